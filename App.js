@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import {
   StyleSheet,
   View,
@@ -7,57 +7,243 @@ import {
   TextInput,
   FlatList,
   Animated,
+  Alert,
 } from "react-native";
 import { CameraView, useCameraPermissions } from "expo-camera";
+import * as DocumentPicker from "expo-document-picker";
 import * as Location from "expo-location";
 import { Accelerometer, Gyroscope, Magnetometer } from "expo-sensors";
-import AHRS from "ahrs";
+import * as ScreenOrientation from "expo-screen-orientation";
 import * as Astro from "astronomy-engine";
 import { Ionicons } from "@expo/vector-icons";
-import geomagnetism from "geomagnetism";
-import { searchCelestial } from "./StarData";
+import {
+  searchCelestial,
+  solarSystemBodies,
+  calculateSolarSystemBodyPosition,
+} from "./StarData";
+import {
+  loadSatellites,
+  importTLEFile,
+  getSatellites,
+  calculateSatellitePosition,
+} from "./SatelliteData";
+import { loadMinorBodies, importMPCFile } from "./MinorBodyData";
+import { describePositionAngle } from "./PlanetMoonData";
+import {
+  getTargetHorizon,
+  calculateGuidance,
+  getInViewRadius,
+  describeTurn,
+  IN_VIEW_RADIUS,
+} from "./Guidance";
+import { DSO_GROUPS, getDeepSkyType, formatDeepSkySize } from "./DeepSkyData";
+import SkyOverlay from "./SkyOverlay";
+import { findConstellationAt, constellationTarget } from "./ConstellationData";
+import TimeControls, { formatSimulatedDate } from "./TimeControls";
+import CelestialDetails, { formatEventTime } from "./CelestialDetails";
+import { calculateRiseTransitSet } from "./VisibilityData";
+import SiteManager from "./SiteManager";
+import CalibrationWizard from "./CalibrationWizard";
+import SessionRecorder, { formatElapsed } from "./SessionRecorder";
+import FusionSettings from "./FusionSettings";
+import TonightPanel from "./TonightPanel";
+import IdentifyPanel, { formatSeparation } from "./IdentifyPanel";
+import { findObjectsNear, findNearestBright } from "./IdentifyData";
+import TourPicker, { TourStepCard } from "./TourPanel";
+import Logbook, { ObservationForm } from "./LogbookPanel";
+import { loadLogbook, addObservation } from "./LogbookData";
+import SunMoonPanel from "./SunMoonPanel";
+import { getSunMoonStatus, describeDarkSky } from "./SunMoonData";
+import EventCalendar from "./EventCalendar";
+import LanguagePicker from "./LanguagePicker";
+import {
+  configureEventNotifications,
+  loadReminders,
+  subscribeReminderResponses,
+  getLaunchReminderResponse,
+} from "./EventData";
+import {
+  TOUR_HOLD_MS,
+  loadTours,
+  importTourFile,
+  getTours,
+  getTour,
+  resolveTourStep,
+  loadTourProgress,
+  saveTourProgress,
+  clearTourProgress,
+} from "./TourData";
+import {
+  DEFAULT_FUSION_SETTINGS,
+  DEFAULT_IDENTIFY_SETTINGS,
+  loadSettings,
+  saveFusionSettings,
+  saveIdentifySettings,
+} from "./SettingsData";
+import {
+  loadTheme,
+  setTheme,
+  nextThemeId,
+  useTheme,
+  useThemedStyles,
+} from "./ThemeData";
+import {
+  loadLocale,
+  useLocale,
+  t,
+  localizeText,
+  getObjectName,
+} from "./LocaleData";
+import {
+  MAX_RECORDING_MS,
+  startRecording,
+  stopRecording,
+  recordSensorSample,
+  loadSession,
+  createReplayer,
+} from "./SensorSessionData";
+import {
+  createOrientationEngine,
+  rotationFromScreenOrientation,
+} from "./OrientationEngine";
+import {
+  calculateMagneticField,
+  checkInterference,
+  crossCheckHeading,
+} from "./MagneticFieldData";
+import {
+  applyMagCalibration,
+  loadMagCalibration,
+  saveMagCalibration,
+  clearMagCalibration,
+  describeQuality,
+} from "./MagCalibration";
+import {
+  GPS_SITE_ID,
+  loadSites,
+  getSites,
+  getActiveSiteId,
+  saveSite,
+  deleteSite,
+  setActiveSite,
+  makeObserver,
+} from "./SiteData";
+import {
+  getSimulatedDate,
+  setSimulatedDate,
+  setClockRate,
+  play,
+  resetToNow,
+  useClockState,
+  useSimulatedDate,
+} from "./SimulationClock";
 
 const SAMPLE_RATE_MS = 50; // 33 Hz – snappier response
+const SATELLITE_UPDATE_MS = 1000; // 인공위성 위치 갱신 주기
+const SOLAR_SYSTEM_UPDATE_MS = 10000; // 태양계 천체 위치 갱신 주기 (1× 기준)
+const COMPASS_RADIUS = 125; // 안내 원 반지름 (px, 기본 시야 반경일 때)
+const COMPASS_MAX_RADIUS = 180; // 큰 천체일 때 안내 원 최대 반지름 (px)
 
 export default function App() {
   /*-------------- 상태변수 -------------- */
   const [cameraFacing, setCameraFacing] = useState("back"); // 카메라 방향
   const [camPerm, requestCamPerm] = useCameraPermissions(); // 카메라 권한
   const [locPerm, setLocPerm] = useState(false); // 위치 권한 상태
-  const [observer, setObserver] = useState(null); // 위도·경도·고도
-  const [declination, setDeclination] = useState(0); // 자기-진북 편각
-  const [azAlt, setAzAlt] = useState({ az: 0, alt: 0 }); // 방위각·고도
+  const [gpsObserver, setGpsObserver] = useState(null); // GPS 위도·경도·고도
+  const [siteState, setSiteState] = useState({
+    sites: [],
+    activeSiteId: GPS_SITE_ID,
+  }); // 저장 관측지, 선택된 위치 출처
+  const [showSites, setShowSites] = useState(false);
+  const [magCalibration, setMagCalibration] = useState(null); // 자기 센서 보정값
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [showSessions, setShowSessions] = useState(false); // 센서 기록 패널
+  const [recording, setRecording] = useState(false); // 센서 기록 중 여부
+  const [replay, setReplay] = useState(null); // 재생 중인 기록 { session, elapsed }
+  const [fusionSettings, setFusionSettings] = useState(DEFAULT_FUSION_SETTINGS); // 센서 융합 설정
+  const [showFusionSettings, setShowFusionSettings] = useState(false);
+  const [showTonight, setShowTonight] = useState(false); // 지금 떠 있는 천체 목록
+  const [showIdentify, setShowIdentify] = useState(false); // 조준점 주변 천체 패널
+  const [identifySettings, setIdentifySettings] = useState(
+    DEFAULT_IDENTIFY_SETTINGS
+  ); // 조준점 천체 찾기 반경·한계 등급
+  const [showTours, setShowTours] = useState(false); // 관측 투어 목록
+  const [tours, setTours] = useState(getTours);
+  const [activeTour, setActiveTour] = useState(null); // 진행 중인 투어 { tourId, step }
+  const [tourTarget, setTourTarget] = useState(null); // 현재 단계의 목표 천체
+  const [showLogbook, setShowLogbook] = useState(false); // 관측 일지
+  const [loggingTarget, setLoggingTarget] = useState(null); // 관측 기록 창에서 기록 중인 천체
+  const [showSunMoon, setShowSunMoon] = useState(false); // 해·달·박명 패널
+  const [showEvents, setShowEvents] = useState(false); // 천문 현상 달력
+  const [showLanguages, setShowLanguages] = useState(false); // 언어 선택
+  const theme = useTheme(); // 화면 테마 (기본·야간·고대비)
+  const styles = useThemedStyles(createStyles);
+  useLocale(); // 언어가 바뀌면 다시 그림
+
+  // 관측자 - 기록 재생 중이면 기록 당시 위치, 아니면 선택된 저장 관측지, 없으면 GPS 위치
+  const activeSite =
+    siteState.sites.find((site) => site.id === siteState.activeSiteId) || null;
+  const replaySession = replay ? replay.session : null;
+  const observer = useMemo(() => {
+    if (replaySession) return makeObserver(replaySession.observer);
+    return activeSite ? makeObserver(activeSite) : gpsObserver;
+  }, [activeSite, gpsObserver, replaySession]);
+  const [platformHeading, setPlatformHeading] = useState(null); // 기기 나침반 (편각 교차 확인용)
+  const [magInterference, setMagInterference] = useState(null); // 자기 간섭 판단 결과
+  const [azAlt, setAzAlt] = useState({
+    az: 0,
+    alt: 0,
+    roll: 0,
+    quaternion: null,
+  }); // 방위각·고도·회전각 + 자세 쿼터니언
   const [eq, setEq] = useState({ ra: 0, dec: 0 }); // 적경·적위
 
   /*-------------- 검색관련 상태 -------------- */
   const [showSearch, setShowSearch] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
+  const [searchGroup, setSearchGroup] = useState(null); // 딥스카이 종류 필터
+  const [hasSatellites, setHasSatellites] = useState(false); // 가져온 TLE 유무
   const [selectedCelestial, setSelectedCelestial] = useState(null);
 
+  /*-------------- 시간 여행 (시뮬레이션 시계) -------------- */
+  const [showTimeControls, setShowTimeControls] = useState(false);
+  const [showDetails, setShowDetails] = useState(false); // 선택 천체 상세 패널
+  const simDate = useSimulatedDate();
+  const clockState = useClockState();
+
+  /*-------------- 지구 자기장 (WMM) - 관측지·날짜가 바뀔 때 다시 계산 -------------- */
+  const simDay = Math.floor(simDate.getTime() / 86400000);
+  const magneticField = useMemo(
+    () => calculateMagneticField(observer, getSimulatedDate()),
+    [observer, simDay]
+  );
+  // 자기-진북 편각 (재생 중이면 기록 당시 값)
+  const declination = replaySession
+    ? replaySession.declination
+    : magneticField
+    ? magneticField.declination
+    : 0;
+  const headingCheck = crossCheckHeading(platformHeading, declination);
+
   /*-------------- 검색창 애니메이션 -------------- */
   const searchModalOpacity = useRef(new Animated.Value(0)).current;
   const searchModalScale = useRef(new Animated.Value(0.8)).current;
 
-  /*-------------- 센서 이력 -------------- */
+  /*-------------- 자기장 크기 이력 (간섭 판단용 이동 평균) -------------- */
   const sensorHistory = useRef({
-    azimuth: [],
-    altitude: [],
+    fieldStrength: [],
     windowSize: 5,
   });
 
-  /*-------------- 이전 방위각·고도 -------------- */
-  const previousAzAlt = useRef({ az: 0, alt: 0 });
-  const changeThreshold = 0.3; // 변화량 임계값
-
-  /*-------------- AHRS 필터 준비 -------------- */
-  const madgwick = useRef(
-    new AHRS({
+  /*-------------- 자세 추정 엔진 (AHRS 센서 융합) -------------- */
+  const orientationEngine = useRef(
+    createOrientationEngine({
       sampleInterval: SAMPLE_RATE_MS,
-      algorithm: "Madgwick", // Use Madgwick for beta gain
-      beta: 0.4, // Faster convergence for 30 Hz
+      ...DEFAULT_FUSION_SETTINGS,
     })
   );
+  const [screenRotation, setScreenRotation] = useState(0); // 화면 회전 (도)
 
   /*-------------- 이동 평균 필터 적용 -------------- */
   const applyMovingAverage = (newValue, history, windowSize) => {
@@ -68,6 +254,22 @@ export default function App() {
     const sum = history.reduce((acc, val) => acc + val, 0);
     return sum / history.length;
   };
+  /*-------------- 최신 기기 자세 (AR 오버레이용, 매 센서 주기 갱신) -------------- */
+  const orientationRef = useRef({ quaternion: null });
+
+  /*-------------- 자기 센서 보정값 (센서 융합에서 사용) -------------- */
+  const magCalibrationRef = useRef(null);
+  useEffect(() => {
+    magCalibrationRef.current = magCalibration;
+  }, [magCalibration]);
+
+  /*-------------- 예상 자기장 (간섭 판단용) -------------- */
+  const magneticFieldRef = useRef(null);
+  useEffect(() => {
+    magneticFieldRef.current = magneticField;
+  }, [magneticField]);
+  const interferenceRef = useRef(false);
+
   /*-------------- 최근 센서 값 저장용 -------------- */
   const last = useRef({ accel: null, gyro: null, mag: null });
 
@@ -75,17 +277,6 @@ export default function App() {
   const sensorSubs = useRef({ accel: null, gyro: null, mag: null });
   const lastSensorTs = useRef(Date.now());
 
-  /*-------------- 변화량 임계값 이상일 때만 업데이트 -------------- */
-  const shouldUpdateOrientation = (newAz, newAlt) => {
-    const azDiff = Math.abs(newAz - previousAzAlt.current.az);
-    const altDiff = Math.abs(newAlt - previousAzAlt.current.alt);
-
-    // 방위각은 circular이므로 특별히 처리
-    const normalizedAzDiff = Math.min(azDiff, 360 - azDiff);
-
-    return normalizedAzDiff > changeThreshold || altDiff > changeThreshold;
-  };
-
   /*-------------- 위치 권한 요청 함수 -------------- */
   const requestLocationPermission = async () => {
     const { status } = await Location.requestForegroundPermissionsAsync();
@@ -96,7 +287,7 @@ export default function App() {
 
       try {
         const pos = await Location.getCurrentPositionAsync({});
-        setObserver(
+        setGpsObserver(
           new Astro.Observer(
             pos.coords.latitude,
             pos.coords.longitude,
@@ -104,28 +295,194 @@ export default function App() {
           )
         );
 
-        /*-------------- 편각 측정 (한 번만) -------------- */
+        /*-------------- 기기 나침반 (WMM 편각 교차 확인용) -------------- */
         const headingData = await Location.getHeadingAsync();
-        if (
-          headingData &&
-          typeof headingData.trueHeading === "number" &&
-          typeof headingData.magHeading === "number"
-        ) {
-          const dec = headingData.trueHeading - headingData.magHeading;
-          setDeclination(dec);
-          console.log("편각 측정 완료:", dec);
-        }
+        setPlatformHeading(headingData);
       } catch (error) {
         console.error("위치 정보 가져오기 실패:", error);
       }
     }
   };
 
-  /*-------------- 위치·편각 초기화 -------------- */
+  /*-------------- 위치 초기화 -------------- */
   useEffect(() => {
     requestLocationPermission();
   }, []);
 
+  /*-------------- 저장된 궤도 데이터·관측지 불러오기 -------------- */
+  useEffect(() => {
+    loadSatellites().then((list) => setHasSatellites(list.length > 0));
+    loadMinorBodies();
+    loadSites().then(setSiteState);
+    loadLogbook();
+    configureEventNotifications();
+    loadReminders();
+    loadMagCalibration().then(setMagCalibration);
+    loadSettings().then((settings) => {
+      setFusionSettings(settings.fusion);
+      setIdentifySettings(settings.identify);
+      loadTheme();
+      loadLocale();
+    });
+    // 가져온 투어를 불러온 뒤 진행 중이던 투어 이어서
+    loadTours()
+      .then((list) => {
+        setTours(list);
+        return loadTourProgress();
+      })
+      .then((progress) => progress && setActiveTour(progress));
+  }, []);
+
+  /*-------------- 센서 융합 설정 저장 -------------- */
+  const saveFusion = async (values) => {
+    const settings = await saveFusionSettings(values);
+    setFusionSettings(settings.fusion);
+    setShowFusionSettings(false);
+  };
+
+  /*-------------- 조준점 천체 찾기 설정 저장 -------------- */
+  const changeIdentifySettings = async (values) => {
+    const settings = await saveIdentifySettings(values);
+    setIdentifySettings(settings.identify);
+  };
+
+  /*-------------- 자기 센서 보정 저장·초기화 -------------- */
+  const saveCalibration = async (calibration) => {
+    try {
+      await saveMagCalibration(calibration);
+      setMagCalibration(calibration);
+      setShowCalibration(false);
+    } catch (error) {
+      Alert.alert(t("app.alerts.calibrationSaveFailed"), error.message);
+    }
+  };
+
+  const resetCalibration = async () => {
+    await clearMagCalibration();
+    setMagCalibration(null);
+  };
+
+  /*-------------- 관측지 선택·저장·삭제 -------------- */
+  const refreshSites = () =>
+    setSiteState({ sites: getSites(), activeSiteId: getActiveSiteId() });
+
+  const selectSite = async (id) => {
+    await setActiveSite(id);
+    refreshSites();
+    setShowSites(false);
+    if (id === GPS_SITE_ID && !gpsObserver) requestLocationPermission();
+  };
+
+  const saveAndUseSite = async (fields) => {
+    try {
+      const site = await saveSite(fields);
+      await setActiveSite(site.id);
+      refreshSites();
+      setShowSites(false);
+    } catch (error) {
+      Alert.alert(t("app.alerts.siteSaveFailed"), error.message);
+    }
+  };
+
+  const removeSite = async (id) => {
+    await deleteSite(id);
+    refreshSites();
+  };
+
+  /*-------------- 센서 기록·재생 -------------- */
+  const replayingRef = useRef(false); // 재생 중이면 실제 센서 값은 무시
+  const replayerRef = useRef(null);
+  const sensorSampleRef = useRef(null); // 센서 샘플 처리 함수 (실제 센서·재생 공용)
+
+  const toggleRecording = async () => {
+    if (!recording) {
+      startRecording({
+        observer,
+        declination,
+        calibration: magCalibration,
+        fusion: fusionSettings,
+        rotation: screenRotation,
+        simulatedDate: getSimulatedDate(),
+      });
+      setRecording(true);
+      return;
+    }
+    setRecording(false);
+    try {
+      const saved = await stopRecording();
+      if (saved) {
+        Alert.alert(
+          t("app.alerts.recordingSaved"),
+          t("app.alerts.recordingSummary", {
+            duration: formatElapsed(saved.duration),
+            count: saved.sampleCount,
+          })
+        );
+      }
+    } catch (error) {
+      Alert.alert(t("app.alerts.recordingSaveFailed"), error.message);
+    }
+  };
+
+  // 최대 길이가 되면 자동으로 기록 종료
+  useEffect(() => {
+    if (!recording) return;
+    const timer = setTimeout(toggleRecording, MAX_RECORDING_MS);
+    return () => clearTimeout(timer);
+  }, [recording]);
+
+  const stopReplay = () => {
+    if (replayerRef.current) replayerRef.current.stop();
+    replayerRef.current = null;
+    if (!replayingRef.current) return;
+
+    // 실제 센서·현재 설정으로 되돌리기
+    replayingRef.current = false;
+    magCalibrationRef.current = magCalibration;
+    orientationEngine.current.configure(fusionSettings);
+    orientationEngine.current.setRotation(screenRotation);
+    orientationEngine.current.reset();
+    last.current = { accel: null, gyro: null, mag: null };
+    resetToNow();
+    setReplay(null);
+  };
+
+  // 기록 재생 - 기록 당시의 관측지·편각·보정값·융합 설정·화면 회전·시각으로 같은 융합 경로를 거침
+  const startReplay = async (uri) => {
+    const session = await loadSession(uri);
+    if (!session) {
+      Alert.alert(
+        t("app.alerts.replayFailed"),
+        t("app.alerts.replayUnreadable")
+      );
+      return;
+    }
+    stopReplay();
+
+    replayingRef.current = true;
+    magCalibrationRef.current = session.calibration;
+    orientationEngine.current.configure(
+      session.fusion || DEFAULT_FUSION_SETTINGS
+    );
+    orientationEngine.current.setRotation(session.rotation);
+    orientationEngine.current.reset();
+    last.current = { accel: null, gyro: null, mag: null };
+    setSimulatedDate(new Date(session.simulatedDate));
+    setClockRate(1);
+    play();
+    setReplay({ session, elapsed: 0 });
+
+    replayerRef.current = createReplayer(session, {
+      onSample: (type, data) => sensorSampleRef.current(type, data),
+      onProgress: (elapsed) =>
+        setReplay((prev) => prev && { ...prev, elapsed }),
+      onEnd: stopReplay,
+    });
+  };
+
+  // 화면을 벗어나면 재생 중지
+  useEffect(() => () => replayerRef.current && replayerRef.current.stop(), []);
+
   /*-------------- 센서 구독 & 필터 갱신 -------------- */
   useEffect(() => {
     // 센서 데이터 융합 함수
@@ -134,63 +491,75 @@ export default function App() {
         const { accel, gyro, mag } = last.current;
         if (!accel || !gyro || !mag) return;
 
-        // Convert Expo (device) axes → NED axes expected by AHRS
-        const aX = -accel.z,
-          aY = accel.x,
-          aZ = -accel.y; // m/s²
-        const gX = -gyro.z,
-          gY = gyro.x,
-          gZ = -gyro.y; // rad/s
-        const mX = -mag.z,
-          mY = mag.x,
-          mZ = -mag.y; // µT
-
-        madgwick.current.update(gX, gY, gZ, aX, aY, aZ, mX, mY, mZ);
-
-        const { heading, pitch } = madgwick.current.getEulerAngles(); // rad
-        let azDeg = ((heading * 180) / Math.PI) % 360;
-        azDeg = (azDeg + declination + 360) % 360;
-        const altDeg = (pitch * 180) / Math.PI;
-
-        // 이동 평균 필터 적용
-        const filteredAz = applyMovingAverage(
-          azDeg,
-          sensorHistory.current.azimuth,
+        // 하드/소프트 아이언 보정 (축 변환은 자세 추정 엔진에서)
+        const magCal = applyMagCalibration(magCalibrationRef.current, mag);
+
+        // 측정 자기장 크기를 WMM 예상값과 비교 (바뀔 때만 상태 갱신)
+        const fieldStrength = applyMovingAverage(
+          Math.hypot(magCal.x, magCal.y, magCal.z),
+          sensorHistory.current.fieldStrength,
           sensorHistory.current.windowSize
         );
-        const filteredAlt = applyMovingAverage(
-          altDeg,
-          sensorHistory.current.altitude,
-          sensorHistory.current.windowSize
+        const interference = checkInterference(
+          magneticFieldRef.current,
+          fieldStrength
         );
-        if (shouldUpdateOrientation(filteredAz, filteredAlt)) {
-          setAzAlt({ az: filteredAz, alt: filteredAlt });
-          previousAzAlt.current = { az: filteredAz, alt: filteredAlt };
+        if (
+          interference &&
+          interference.interference !== interferenceRef.current
+        ) {
+          interferenceRef.current = interference.interference;
+          setMagInterference(interference);
+        }
+
+        const orientation = orientationEngine.current.update({
+          accel,
+          gyro,
+          mag: magCal,
+        });
+        orientationRef.current.quaternion = orientation.quaternion;
+
+        // 변화량 임계값 이상일 때만 업데이트
+        if (orientation.changed) {
+          setAzAlt({
+            az: orientation.az,
+            alt: orientation.alt,
+            roll: orientation.roll,
+            // 기기 좌표계 안내 계산용 (자북 기준 NED)
+            quaternion: orientation.quaternion,
+          });
         }
       } catch (e) {
         console.error("센서 융합 중 오류", e);
       }
     }
 
-    // 센서 구독 시작 함수
-    const startSensor = () => {
-      sensorSubs.current.accel = Accelerometer.addListener((d) => {
-        last.current.accel = d;
-        lastSensorTs.current = Date.now();
-        tryFuse();
-      });
+    // 센서 샘플 처리 - 최근 값 저장, 기록, 융합
+    const handleSample = (type, data) => {
+      last.current[type] = data;
+      lastSensorTs.current = Date.now();
+      // 재생된 샘플은 새 기록에 넣지 않음
+      if (!replayingRef.current) recordSensorSample(type, data);
+      tryFuse();
+    };
+    sensorSampleRef.current = handleSample;
 
-      sensorSubs.current.gyro = Gyroscope.addListener((d) => {
-        last.current.gyro = d;
+    // 재생 중이 아닐 때만 실제 센서 값 사용
+    const liveListener = (type) => (d) => {
+      if (replayingRef.current) {
         lastSensorTs.current = Date.now();
-        tryFuse();
-      });
+        return;
+      }
+      handleSample(type, d);
+    };
 
-      sensorSubs.current.mag = Magnetometer.addListener((d) => {
-        last.current.mag = d;
-        lastSensorTs.current = Date.now();
-        tryFuse();
-      });
+    // 센서 구독 시작 함수
+    const startSensor = () => {
+      sensorSubs.current.accel = Accelerometer.addListener(
+        liveListener("accel")
+      );
+      sensorSubs.current.gyro = Gyroscope.addListener(liveListener("gyro"));
+      sensorSubs.current.mag = Magnetometer.addListener(liveListener("mag"));
 
       Accelerometer.setUpdateInterval(SAMPLE_RATE_MS);
       Gyroscope.setUpdateInterval(SAMPLE_RATE_MS);
@@ -223,13 +592,42 @@ export default function App() {
       stopSensor();
       clearInterval(watchdog);
     };
+  }, []);
+
+  /*-------------- 편각·화면 회전을 자세 추정 엔진에 반영 -------------- */
+  useEffect(() => {
+    orientationEngine.current.setDeclination(declination);
   }, [declination]);
 
+  useEffect(() => {
+    if (!replayingRef.current) {
+      orientationEngine.current.setRotation(screenRotation);
+    }
+  }, [screenRotation]);
+
+  useEffect(() => {
+    if (!replayingRef.current) {
+      orientationEngine.current.configure(fusionSettings);
+    }
+  }, [fusionSettings]);
+
+  /*-------------- 화면 회전 감지 (가로 화면·삼각대 사용) -------------- */
+  useEffect(() => {
+    const updateRotation = (orientation) =>
+      setScreenRotation(rotationFromScreenOrientation(orientation));
+    ScreenOrientation.getOrientationAsync().then(updateRotation);
+    const subscription = ScreenOrientation.addOrientationChangeListener(
+      ({ orientationInfo }) => updateRotation(orientationInfo.orientation)
+    );
+    return () =>
+      ScreenOrientation.removeOrientationChangeListener(subscription);
+  }, []);
+
   /*-------------- 지평→적도 변환 (azAlt/observer 변경 시) -------------- */
   useEffect(() => {
     if (!observer) return;
     const { az, alt } = azAlt;
-    const time = new Date();
+    const time = getSimulatedDate();
 
     const sph = new Astro.Spherical(alt, az, 1);
     const vHor = Astro.VectorFromHorizon(sph, time, "normal");
@@ -237,7 +635,7 @@ export default function App() {
     const vEq = Astro.RotateVector(rot, vHor);
     let { ra, dec } = Astro.EquatorFromVector(vEq);
     setEq({ ra, dec });
-  }, [azAlt, observer]);
+  }, [azAlt, observer, simDate]);
 
   /*-------------- 검색 기능 -------------- */
   // 검색창 토글
@@ -259,19 +657,58 @@ export default function App() {
     if (showSearch) {
       setSearchQuery("");
       setSearchResults([]);
+      setSearchGroup(null);
     }
   };
 
   /*-------------- 검색어 처리 (StarData 모듈 이용) -------------- */
+  // 종류 필터가 있으면 검색어 없이도 밝은 순 목록 표시
   useEffect(() => {
-    if (!searchQuery || searchQuery.length < 1 || !observer) {
+    if ((!searchQuery && !searchGroup) || !observer) {
       setSearchResults([]);
       return;
     }
 
-    const results = searchCelestial(searchQuery, observer);
+    const results = searchCelestial(
+      searchQuery,
+      observer,
+      undefined,
+      searchGroup
+    );
     setSearchResults(results);
-  }, [searchQuery, observer]);
+  }, [searchQuery, searchGroup, observer]);
+
+  /*-------------- 궤도 데이터 파일 가져오기 (TLE 또는 MPC) -------------- */
+  const importOrbitFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const { uri } = result.assets[0];
+      let message;
+      try {
+        const count = await importTLEFile(uri);
+        setHasSatellites(getSatellites().length > 0);
+        message = t("app.alerts.satellitesImported", { count });
+      } catch (tleError) {
+        // TLE가 아니면 MPC 궤도요소로 시도
+        const count = await importMPCFile(uri);
+        message = t("app.alerts.minorBodiesImported", { count });
+      }
+      Alert.alert(t("app.alerts.orbitImport"), message);
+
+      if (searchQuery && observer) {
+        setSearchResults(
+          searchCelestial(searchQuery, observer, undefined, searchGroup)
+        );
+      }
+    } catch (error) {
+      console.error("궤도 데이터 가져오기 실패:", error);
+      Alert.alert(t("app.alerts.orbitImportFailed"), error.message);
+    }
+  };
 
   /*-------------- 천체 선택 처리 -------------- */
   const selectCelestial = (celestial) => {
@@ -279,42 +716,211 @@ export default function App() {
     toggleSearch(); // 검색창 닫기
   };
 
-  /*-------------- 방향 차이 계산 (천체가 선택되었을 때) -------------- */
-  const calculateDirection = () => {
-    if (!selectedCelestial || !eq) return null;
+  // 조준점 천체 고정 (검색 결과 선택과 같음)
+  const lockIdentified = (celestial) => {
+    setSelectedCelestial(celestial);
+    setShowIdentify(false);
+  };
+
+  // 지금 떠 있는 천체 목록에서 선택 (검색 결과 선택과 같음)
+  const selectVisibleObject = (celestial) => {
+    setSelectedCelestial(celestial);
+    setShowTonight(false);
+  };
 
-    // RA는 시간 단위(0-24h)에서 각도(0-360)로 변환
-    const targetRaDeg = selectedCelestial.ra * 15; // 1h = 15°
-    const currentRaDeg = eq.ra * 15;
+  /*-------------- 관측 투어 -------------- */
+  const tour = activeTour ? getTour(activeTour.tourId) : null;
+  const tourStep = tour ? tour.steps[activeTour.step] : null;
 
-    // 적경 차이 계산 (-180 ~ 180 범위)
-    let raDiff = targetRaDeg - currentRaDeg;
-    if (raDiff > 180) raDiff -= 360;
-    if (raDiff < -180) raDiff += 360;
+  // 단계 이동 - 마지막 단계 다음이면 투어 끝
+  const goToTourStep = (tourId, step) => {
+    const next = getTour(tourId);
+    if (!next || step >= next.steps.length) {
+      finishTour();
+      if (next) {
+        Alert.alert(
+          t("app.alerts.tour"),
+          t("app.alerts.tourFinished", { title: localizeText(next.title) })
+        );
+      }
+      return;
+    }
+    setActiveTour({ tourId, step });
+    saveTourProgress(tourId, step);
+  };
 
-    // 적위 차이 계산
-    const decDiff = selectedCelestial.dec - eq.dec;
+  const startTour = (tourId) => {
+    goToTourStep(tourId, 0);
+    setShowTours(false);
+  };
 
-    // 각도 차이의 크기
-    const distance = Math.sqrt(raDiff * raDiff + decDiff * decDiff);
+  const finishTour = () => {
+    setActiveTour(null);
+    setTourTarget(null);
+    clearTourProgress();
+  };
 
-    // 방향각 계산 (라디안) - 화살표 위치 계산에 사용
-    const angle = Math.atan2(decDiff, raDiff);
+  const importTours = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
 
-    return {
-      raDiff,
-      decDiff,
-      distance,
-      angle, // 방향 각도 (라디안)
-      angleDeg: ((angle * 180) / Math.PI + 360) % 360, // 방향 각도 (도)
+      const count = await importTourFile(result.assets[0].uri);
+      setTours(getTours());
+      Alert.alert(
+        t("app.alerts.tourImport"),
+        t("app.alerts.toursImported", { count })
+      );
+    } catch (error) {
+      console.error("투어 가져오기 실패:", error);
+      Alert.alert(t("app.alerts.tourImportFailed"), error.message);
+    }
+  };
+
+  // 단계가 바뀌면 목표 천체를 찾아 선택
+  const hasObserver = observer != null;
+  useEffect(() => {
+    if (!tourStep || !hasObserver) return;
+    const target = resolveTourStep(tourStep, observer);
+    setTourTarget(target);
+    if (target) setSelectedCelestial(target);
+  }, [tourStep, hasObserver]);
+
+  /*-------------- 관측 일지 -------------- */
+  const logSiteName = replaySession
+    ? t("app.hud.logSiteReplay")
+    : activeSite
+    ? activeSite.name
+    : t("app.hud.logSiteGps");
+
+  const saveObservation = async ({ conditions, equipment, notes }) => {
+    try {
+      const date = new Date();
+      await addObservation({
+        target: loggingTarget,
+        site: observer && {
+          name: logSiteName,
+          latitude: observer.latitude,
+          longitude: observer.longitude,
+          height: observer.height,
+        },
+        horizon: getTargetHorizon(loggingTarget, observer, date),
+        date,
+        conditions,
+        equipment,
+        notes,
+      });
+      setLoggingTarget(null);
+      Alert.alert(
+        t("app.alerts.observationLogged"),
+        t("app.alerts.observationLoggedMessage", {
+          name: getObjectName(loggingTarget),
+        })
+      );
+    } catch (error) {
+      console.error("관측 기록 저장 실패:", error);
+      Alert.alert(t("app.alerts.observationSaveFailed"), error.message);
+    }
+  };
+
+  /*-------------- 천문 현상 -------------- */
+  // 현상을 볼 시각으로 이동하고 관련 천체 선택 (달력에서 고르거나 알림을 눌렀을 때)
+  const openEvent = ({ viewTime, targetName }) => {
+    setSimulatedDate(viewTime);
+    if (observer && targetName) {
+      const [target] = searchCelestial(targetName, observer, viewTime);
+      if (target) setSelectedCelestial(target);
+    }
+    setShowEvents(false);
+  };
+
+  useEffect(() => subscribeReminderResponses(openEvent), [observer]);
+
+  // 알림을 눌러 앱이 실행된 경우 - 관측지를 안 뒤에 한 번만 (그 전에는 천체를 고를 수 없음)
+  const launchReminderCheckedRef = useRef(false);
+  useEffect(() => {
+    if (!observer || launchReminderCheckedRef.current) return;
+    launchReminderCheckedRef.current = true;
+    getLaunchReminderResponse().then((event) => {
+      if (event) openEvent(event);
+    });
+  }, [observer]);
+
+  /*-------------- 움직이는 천체 위치 실시간 갱신 (인공위성, 태양계 천체) -------------- */
+  // 시뮬레이션 시계 기준 - 배속이 높을수록 자주, 일시정지·시각 변경 시 즉시 갱신
+  const liveTargetId =
+    selectedCelestial?.isSatellite || selectedCelestial?.isSolarSystemBody
+      ? selectedCelestial.id
+      : null;
+
+  useEffect(() => {
+    if (!liveTargetId || !observer) return;
+    const { name, isSatellite } = selectedCelestial;
+
+    const update = () => {
+      const position = isSatellite
+        ? calculateSatellitePosition(liveTargetId, observer)
+        : calculateSolarSystemBodyPosition(name, observer);
+      if (!position) return;
+      setSelectedCelestial((prev) =>
+        prev && prev.id === liveTargetId ? { ...prev, ...position } : prev
+      );
     };
+
+    update();
+    if (!clockState.playing) return;
+    const timer = setInterval(
+      update,
+      isSatellite
+        ? SATELLITE_UPDATE_MS
+        : Math.max(
+            SATELLITE_UPDATE_MS,
+            SOLAR_SYSTEM_UPDATE_MS / clockState.rate
+          )
+    );
+
+    return () => clearInterval(timer);
+  }, [liveTargetId, observer, clockState]);
+
+  /*-------------- 행성 위성의 모행성 기준 위치 문구 -------------- */
+  const describeMoonOffset = (moon) => {
+    if (!moon?.parent || moon.separation == null) return null;
+    const parent = solarSystemBodies.find((body) => body.name === moon.parent);
+    const separation =
+      moon.separation < 1
+        ? `${(moon.separation * 60).toFixed(0)}″`
+        : `${moon.separation.toFixed(1)}′`;
+    return t("app.hud.moonOffset", {
+      parent: parent ? getObjectName(parent) : moon.parent,
+      direction: describePositionAngle(moon.positionAngle),
+      separation,
+    });
+  };
+
+  const moonOffsetText = describeMoonOffset(selectedCelestial);
+
+  /*-------------- 현재 가리키는 별자리 (IAU 경계 기준) -------------- */
+  const pointingConstellation = findConstellationAt(eq.ra, eq.dec);
+
+  /*-------------- 방향 안내 계산 (천체가 선택되었을 때) -------------- */
+  // 지평 좌표(방위각·고도)와 기기 자세 기준으로 계산
+  //  - distance: 화면 중앙과 천체 사이의 대원 거리 (도)
+  //  - angleDeg: 화면 위쪽 0°, 시계 방향 (기기 회전 반영)
+  //  - turnAz / turnAlt: 몸을 돌려야 하는 방위각·고도 차이
+  const calculateDirection = () => {
+    if (!selectedCelestial || !observer) return null;
+
+    const targetHor = getTargetHorizon(selectedCelestial, observer, simDate);
+    return calculateGuidance(azAlt, targetHor, declination);
   };
 
   const directionInfo = selectedCelestial ? calculateDirection() : null;
 
   /*-------------- 화살표 위치 계산 (원의 가장자리에 위치) -------------- */
   const calculateArrowPosition = (angle, radius) => {
-    // 시계방향으로 0도는 오른쪽(동), 90도는 위(북)에 대응하도록 조정
+    // 0도는 화면 위쪽, 시계방향으로 증가
     const adjustedAngle = ((angle - 90) * Math.PI) / 180;
     return {
       x: Math.cos(adjustedAngle) * radius,
@@ -322,39 +928,132 @@ export default function App() {
     };
   };
 
+  /*-------------- 지평선 아래 천체 (땅속을 가리키는 대신 경고) -------------- */
+  const targetBelowHorizon = directionInfo && directionInfo.targetAlt < 0;
+  const simMinute = Math.floor(simDate.getTime() / 60000);
+  const belowHorizonRise = useMemo(() => {
+    if (!targetBelowHorizon) return null;
+    const events = calculateRiseTransitSet(
+      selectedCelestial,
+      observer,
+      simDate
+    );
+    return events ? events.rise : null;
+  }, [selectedCelestial?.id, observer, targetBelowHorizon, simMinute]);
+
+  /*-------------- 조준점 천체 찾기 (화면 중앙의 적경·적위 기준) -------------- */
+  // 센서 잡음마다 다시 계산하지 않도록 약 0.1° 단위로 묶음
+  const pointingKey = `${eq.ra.toFixed(2)}:${eq.dec.toFixed(1)}`;
+  const nearestBright = useMemo(
+    () =>
+      findNearestBright(eq, azAlt, observer, simDate, identifySettings.radius),
+    [pointingKey, observer, simMinute, identifySettings.radius]
+  );
+  const nearbyObjects = useMemo(
+    () =>
+      showIdentify
+        ? findObjectsNear(eq, azAlt, observer, simDate, identifySettings)
+        : [],
+    [showIdentify, pointingKey, observer, simMinute, identifySettings]
+  );
+
+  /*-------------- 해·달·박명 (관측하기에 충분히 어두운지) -------------- */
+  const sunMoonStatus = useMemo(
+    () => getSunMoonStatus(observer, simDate),
+    [observer, simMinute]
+  );
+  const darkSkyText = describeDarkSky(sunMoonStatus, (time) =>
+    formatEventTime(time, simDate)
+  );
+
   /*-------------- 나침반 렌더링 여부 -------------- */
   const showCompass =
-    selectedCelestial && directionInfo && directionInfo.distance > 0.5;
+    selectedCelestial &&
+    directionInfo &&
+    !targetBelowHorizon &&
+    directionInfo.distance > 0.5;
+  // 딥스카이 천체는 겉보기 크기만큼 원을 키움 (큰 천체는 더 일찍 시야 안으로)
+  const inViewRadius = getInViewRadius(selectedCelestial);
   const targetInCircle =
-    selectedCelestial && directionInfo && directionInfo.distance <= 3;
+    selectedCelestial &&
+    directionInfo &&
+    directionInfo.distance <= inViewRadius;
+  // 투어 목표를 원 안에 TOUR_HOLD_MS 동안 유지하면 다음 단계로
+  const tourHolding = Boolean(
+    tourTarget && targetInCircle && selectedCelestial.id === tourTarget.id
+  );
+  useEffect(() => {
+    if (!tourHolding) return;
+    const { tourId, step } = activeTour;
+    const timer = setTimeout(
+      () => goToTourStep(tourId, step + 1),
+      TOUR_HOLD_MS
+    );
+    return () => clearTimeout(timer);
+  }, [tourHolding, activeTour]);
+  const compassRadius = Math.min(
+    COMPASS_MAX_RADIUS,
+    (COMPASS_RADIUS * inViewRadius) / IN_VIEW_RADIUS
+  );
+
+  /*-------------- 관측지 관리 창 -------------- */
+  const gpsStatus = gpsObserver
+    ? `${gpsObserver.latitude.toFixed(3)}, ${gpsObserver.longitude.toFixed(3)}`
+    : locPerm === "denied"
+    ? t("app.permissions.locationDenied")
+    : t("app.permissions.locating");
+  const siteManager = showSites && (
+    <SiteManager
+      sites={siteState.sites}
+      activeSiteId={siteState.activeSiteId}
+      gpsStatus={gpsStatus}
+      onSelect={selectSite}
+      onSave={saveAndUseSite}
+      onDelete={removeSite}
+      onClose={observer ? () => setShowSites(false) : null}
+    />
+  );
 
   /*-------------- 권한 처리 -------------- */
   if (!camPerm?.granted) {
     return (
       <View style={styles.center}>
-        <Text>카메라 권한이 필요합니다</Text>
+        <Text style={styles.txt}>{t("app.permissions.cameraRequired")}</Text>
         <TouchableOpacity onPress={requestCamPerm}>
-          <Text style={{ color: "blue" }}>권한 요청</Text>
+          <Text style={styles.link}>{t("app.permissions.request")}</Text>
         </TouchableOpacity>
       </View>
     );
   }
 
-  if (locPerm === "denied") {
+  // GPS 를 쓸 수 없어도 저장 관측지나 직접 입력으로 시작할 수 있음
+  if (locPerm === "denied" && !observer) {
     return (
       <View style={styles.center}>
-        <Text>위치 권한이 필요합니다</Text>
+        <Text style={styles.txt}>{t("app.permissions.locationRequired")}</Text>
         <TouchableOpacity onPress={requestLocationPermission}>
-          <Text style={{ color: "blue" }}>권한 요청</Text>
+          <Text style={styles.link}>{t("app.permissions.request")}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setShowSites(true)}>
+          <Text style={[styles.link, styles.linkSpaced]}>
+            {t("app.permissions.enterLocation")}
+          </Text>
         </TouchableOpacity>
+        {siteManager}
       </View>
     );
   }
 
-  if (!locPerm || !observer) {
+  if (!observer) {
     return (
       <View style={styles.center}>
-        <Text>위치 권한/데이터 로딩 중...</Text>
+        <Text style={styles.txt}>{t("app.permissions.loading")}</Text>
+        <TouchableOpacity onPress={() => setShowSites(true)}>
+          <Text style={[styles.link, styles.linkSpaced]}>
+            {t("app.permissions.enterLocation")}
+          </Text>
+        </TouchableOpacity>
+        {siteManager}
       </View>
     );
   }
@@ -363,23 +1062,134 @@ export default function App() {
   return (
     <View style={styles.container}>
       <CameraView style={styles.camera} facing={cameraFacing}></CameraView>
+      {/* 카메라 화면 색·밝기 (야간 모드는 빨간색만 남김) */}
+      {theme.camera.tint && (
+        <View style={styles.cameraTint} pointerEvents="none" />
+      )}
+      {theme.camera.dim > 0 && (
+        <View style={styles.cameraDim} pointerEvents="none" />
+      )}
+      <SkyOverlay
+        observer={observer}
+        orientationRef={orientationRef}
+        declination={declination}
+        updateInterval={SAMPLE_RATE_MS}
+      />
       <View style={styles.overlay}>
-        <Text style={styles.txt}>방위각: {azAlt.az.toFixed(1)}°</Text>
-        <Text style={styles.txt}>고도각: {azAlt.alt.toFixed(1)}°</Text>
-        <Text style={styles.txt}>적경: {eq.ra.toFixed(2)}h</Text>
-        <Text style={styles.txt}>적위: {eq.dec.toFixed(2)}°</Text>
+        {!clockState.live && (
+          <Text style={styles.txtWarning}>
+            {t("app.hud.simulation", { date: formatSimulatedDate(simDate) })}
+            {clockState.playing
+              ? t("app.hud.rate", { rate: clockState.rate })
+              : t("app.hud.paused")}
+          </Text>
+        )}
+        {replay && (
+          <Text style={styles.txtWarning}>
+            {t("app.hud.replaying", {
+              elapsed: formatElapsed(replay.elapsed),
+              duration: formatElapsed(replay.session.duration),
+            })}
+          </Text>
+        )}
+        {recording && (
+          <Text style={styles.txtWarning}>{t("app.hud.recording")}</Text>
+        )}
+        <Text style={styles.txt}>
+          {t("app.hud.site", {
+            name: replay
+              ? t("app.hud.siteReplay")
+              : activeSite
+              ? activeSite.name
+              : t("app.hud.siteGps"),
+          })}
+        </Text>
+        <Text style={magCalibration ? styles.txt : styles.txtWarning}>
+          {t("app.hud.magCalibration", {
+            quality: describeQuality(magCalibration?.quality),
+          })}
+          {magCalibration ? ` (${magCalibration.quality}%)` : ""}
+        </Text>
+        {magneticField && (
+          <Text style={styles.txt}>
+            {t("app.hud.magneticField", {
+              declination: declination.toFixed(1),
+              inclination: magneticField.inclination.toFixed(1),
+              strength: magneticField.fieldStrength.toFixed(1),
+            })}
+          </Text>
+        )}
+        {headingCheck?.mismatch && (
+          <Text style={styles.txtWarning}>
+            {t("app.hud.headingMismatch", {
+              value: headingCheck.platformDeclination.toFixed(1),
+            })}
+          </Text>
+        )}
+        {magInterference?.interference && (
+          <Text style={styles.txtWarning}>
+            {t("app.hud.interference", {
+              measured: magInterference.measured.toFixed(0),
+              expected: magInterference.expected.toFixed(0),
+            })}
+          </Text>
+        )}
+        <Text style={styles.txt}>
+          {t("app.hud.azimuth", { value: azAlt.az.toFixed(1) })}
+        </Text>
+        <Text style={styles.txt}>
+          {t("app.hud.altitude", { value: azAlt.alt.toFixed(1) })}
+        </Text>
+        <Text style={styles.txt}>
+          {t("app.hud.ra", { value: eq.ra.toFixed(2) })}
+        </Text>
+        <Text style={styles.txt}>
+          {t("app.hud.dec", { value: eq.dec.toFixed(2) })}
+        </Text>
+        {darkSkyText && (
+          <Text style={styles.txt}>
+            {t("app.hud.sky", { text: darkSkyText })}
+          </Text>
+        )}
+        {pointingConstellation && (
+          <Text style={styles.txt}>
+            {t("app.hud.constellation", {
+              name: getObjectName(constellationTarget(pointingConstellation)),
+            })}
+          </Text>
+        )}
+        {nearestBright && (
+          <Text style={styles.txt}>
+            {t("app.hud.aim", {
+              name: getObjectName(nearestBright.target),
+              separation: formatSeparation(nearestBright.separation),
+            })}
+          </Text>
+        )}
 
         {selectedCelestial && directionInfo && (
           <>
             <Text style={styles.txtHeader}>
-              선택된 천체: {selectedCelestial.proper || selectedCelestial.name}
+              {t("app.hud.selected", {
+                name: getObjectName(selectedCelestial),
+              })}
+            </Text>
+            <Text style={styles.txt}>
+              {t("app.hud.ra", { value: selectedCelestial.ra.toFixed(2) })}
             </Text>
             <Text style={styles.txt}>
-              적경: {selectedCelestial.ra.toFixed(2)}h
+              {t("app.hud.dec", { value: selectedCelestial.dec.toFixed(2) })}
             </Text>
             <Text style={styles.txt}>
-              적위: {selectedCelestial.dec.toFixed(2)}°
+              {t("app.hud.targetPosition", {
+                az: directionInfo.targetAz.toFixed(1),
+                alt: directionInfo.targetAlt.toFixed(1),
+              })}
             </Text>
+            {moonOffsetText && <Text style={styles.txt}>{moonOffsetText}</Text>}
+            {selectedCelestial.isTleStale && (
+              <Text style={styles.txtWarning}>{t("app.hud.tleStale")}</Text>
+            )}
           </>
         )}
       </View>
@@ -391,7 +1201,12 @@ export default function App() {
           <View
             style={[
               styles.compassCircle,
-              targetInCircle && { borderColor: "red", borderWidth: 3 },
+              {
+                width: compassRadius * 2,
+                height: compassRadius * 2,
+                borderRadius: compassRadius,
+              },
+              targetInCircle && styles.compassCircleLocked,
             ]}
           />
 
@@ -409,13 +1224,13 @@ export default function App() {
                     {
                       translateX: calculateArrowPosition(
                         directionInfo.angleDeg,
-                        120
+                        compassRadius - 5
                       ).x,
                     },
                     {
                       translateY: calculateArrowPosition(
                         directionInfo.angleDeg,
-                        120
+                        compassRadius - 5
                       ).y,
                     },
                     { rotate: `${directionInfo.angleDeg}deg` },
@@ -435,13 +1250,13 @@ export default function App() {
                     {
                       translateX: calculateArrowPosition(
                         directionInfo.angleDeg,
-                        150
+                        compassRadius + 25
                       ).x,
                     },
                     {
                       translateY: calculateArrowPosition(
                         directionInfo.angleDeg,
-                        150
+                        compassRadius + 25
                       ).y,
                     },
                   ],
@@ -449,21 +1264,372 @@ export default function App() {
               ]}
             >
               <Text style={styles.celestialLabelText}>
-                {selectedCelestial.proper || selectedCelestial.name}
+                {getObjectName(selectedCelestial)}
               </Text>
               <Text style={styles.txt}>
-                거리: {directionInfo.distance.toFixed(1)}°
+                {t("app.hud.distance", {
+                  value: directionInfo.distance.toFixed(1),
+                })}
               </Text>
+              {describeTurn(directionInfo) !== "" && (
+                <Text style={styles.txt}>{describeTurn(directionInfo)}</Text>
+              )}
             </View>
           )}
         </View>
       )}
 
+      {/* 조준점 - 누르면 가장 가까운 밝은 천체를 선택 천체로 고정 */}
+      <TouchableOpacity
+        style={styles.identifyTouchArea}
+        activeOpacity={0.6}
+        disabled={!nearestBright}
+        onPress={() => lockIdentified(nearestBright.target)}
+        onLongPress={() => {
+          setShowIdentify(true);
+          setShowTimeControls(false);
+          setShowDetails(false);
+          setShowSessions(false);
+        }}
+      >
+        {!showCompass && <View style={styles.reticle} />}
+      </TouchableOpacity>
+
+      {/* 지평선 아래 경고 (화면 중앙) */}
+      {targetBelowHorizon && (
+        <View style={styles.horizonWarning} pointerEvents="none">
+          <Text style={styles.horizonWarningTitle}>
+            {t("app.hud.belowHorizon", {
+              name: getObjectName(selectedCelestial),
+            })}
+          </Text>
+          <Text style={styles.txt}>
+            {t("app.hud.nextRise", {
+              alt: directionInfo.targetAlt.toFixed(1),
+              time: formatEventTime(belowHorizonRise, simDate),
+            })}
+          </Text>
+        </View>
+      )}
+
+      {/* 행성 위성 위치 안내 (모행성이 가운데 들어왔을 때) */}
+      {targetInCircle && moonOffsetText && (
+        <View style={styles.moonOffsetLabel} pointerEvents="none">
+          <Text style={styles.celestialLabelText}>
+            {getObjectName(selectedCelestial)}: {moonOffsetText}
+          </Text>
+        </View>
+      )}
+
       {/* 검색 버튼 (오른쪽 상단) */}
       <TouchableOpacity style={styles.searchButton} onPress={toggleSearch}>
-        <Ionicons name="search" size={24} color="white" />
+        <Ionicons name="search" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 시간 여행 버튼 (검색 버튼 아래) */}
+      <TouchableOpacity
+        style={styles.timeButton}
+        onPress={() => {
+          setShowTimeControls((prev) => !prev);
+          setShowDetails(false);
+          setShowSessions(false);
+          setShowIdentify(false);
+          setShowSunMoon(false);
+        }}
+      >
+        <Ionicons name="time-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 선택 천체 상세 버튼 (시간 여행 버튼 아래) */}
+      {selectedCelestial && (
+        <TouchableOpacity
+          style={styles.detailsButton}
+          onPress={() => {
+            setShowDetails((prev) => !prev);
+            setShowTimeControls(false);
+            setShowSessions(false);
+            setShowIdentify(false);
+            setShowSunMoon(false);
+          }}
+        >
+          <Ionicons
+            name="information-circle-outline"
+            size={24}
+            color={theme.colors.text}
+          />
+        </TouchableOpacity>
+      )}
+
+      {/* 조준점 주변 천체 버튼 */}
+      <TouchableOpacity
+        style={styles.identifyButton}
+        onPress={() => {
+          setShowIdentify((prev) => !prev);
+          setShowTimeControls(false);
+          setShowDetails(false);
+          setShowSessions(false);
+          setShowSunMoon(false);
+        }}
+      >
+        <Ionicons name="scan-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 지금 떠 있는 천체 목록 버튼 (상세 버튼 아래) */}
+      <TouchableOpacity
+        style={styles.tonightButton}
+        onPress={() => setShowTonight(true)}
+      >
+        <Ionicons name="list-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 관측 투어 버튼 */}
+      <TouchableOpacity
+        style={styles.tourButton}
+        onPress={() => setShowTours(true)}
+      >
+        <Ionicons
+          name={activeTour ? "flag" : "flag-outline"}
+          size={24}
+          color={theme.colors.text}
+        />
+      </TouchableOpacity>
+
+      {/* 관측 기록 버튼 (천체가 원 안에 들어왔을 때) */}
+      {targetInCircle && (
+        <TouchableOpacity
+          style={styles.logObservationButton}
+          onPress={() => setLoggingTarget(selectedCelestial)}
+        >
+          <Ionicons name="create-outline" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+      )}
+
+      {/* 관측 일지 버튼 */}
+      <TouchableOpacity
+        style={styles.logbookButton}
+        onPress={() => setShowLogbook(true)}
+      >
+        <Ionicons name="book-outline" size={24} color={theme.colors.text} />
       </TouchableOpacity>
 
+      {/* 해·달·박명 버튼 */}
+      <TouchableOpacity
+        style={styles.sunMoonButton}
+        onPress={() => {
+          setShowSunMoon((prev) => !prev);
+          setShowTimeControls(false);
+          setShowDetails(false);
+          setShowSessions(false);
+          setShowIdentify(false);
+        }}
+      >
+        <Ionicons name="moon-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 천문 현상 달력 버튼 */}
+      <TouchableOpacity
+        style={styles.eventsButton}
+        onPress={() => setShowEvents(true)}
+      >
+        <Ionicons name="calendar-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 화면 테마 버튼 - 누를 때마다 기본 → 야간 → 고대비 */}
+      <TouchableOpacity
+        style={styles.themeButton}
+        onPress={() => setTheme(nextThemeId(theme.id))}
+      >
+        <Ionicons name={theme.icon} size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 언어 선택 버튼 */}
+      <TouchableOpacity
+        style={styles.languageButton}
+        onPress={() => setShowLanguages(true)}
+      >
+        <Ionicons name="language-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 관측지 버튼 */}
+      <TouchableOpacity
+        style={styles.siteButton}
+        onPress={() => setShowSites(true)}
+      >
+        <Ionicons
+          name={activeSite ? "location" : "navigate"}
+          size={24}
+          color={theme.colors.text}
+        />
+      </TouchableOpacity>
+
+      {/* 자기 센서 보정 버튼 */}
+      <TouchableOpacity
+        style={styles.calibrationButton}
+        onPress={() => setShowCalibration(true)}
+      >
+        <Ionicons name="compass-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 센서 융합 설정 버튼 */}
+      <TouchableOpacity
+        style={styles.fusionButton}
+        onPress={() => setShowFusionSettings(true)}
+      >
+        <Ionicons name="options-outline" size={24} color={theme.colors.text} />
+      </TouchableOpacity>
+
+      {/* 센서 기록·재생 버튼 */}
+      <TouchableOpacity
+        style={styles.sessionButton}
+        onPress={() => {
+          setShowSessions((prev) => !prev);
+          setShowTimeControls(false);
+          setShowDetails(false);
+          setShowIdentify(false);
+          setShowSunMoon(false);
+        }}
+      >
+        <Ionicons
+          name={recording ? "radio-button-on" : "recording-outline"}
+          size={24}
+          color={recording ? theme.colors.danger : theme.colors.text}
+        />
+      </TouchableOpacity>
+
+      {/* 센서 기록 패널 (화면 아래쪽) */}
+      {showSessions && (
+        <SessionRecorder
+          recording={recording}
+          replay={replay}
+          onToggleRecording={toggleRecording}
+          onReplay={startReplay}
+          onStopReplay={stopReplay}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+
+      {/* 조준점 주변 천체 패널 (화면 아래쪽) */}
+      {showIdentify && (
+        <IdentifyPanel
+          objects={nearbyObjects}
+          settings={identifySettings}
+          onChangeSettings={changeIdentifySettings}
+          onSelect={lockIdentified}
+          onClose={() => setShowIdentify(false)}
+        />
+      )}
+
+      {/* 진행 중인 투어 단계 (화면 아래쪽, 다른 패널이 열려 있으면 숨김) */}
+      {tourStep &&
+        !showTimeControls &&
+        !showDetails &&
+        !showSessions &&
+        !showIdentify &&
+        !showSunMoon && (
+          <TourStepCard
+            tour={tour}
+            step={activeTour.step}
+            target={tourTarget}
+            holding={tourHolding}
+            onPrev={() => goToTourStep(tour.id, activeTour.step - 1)}
+            onNext={() => goToTourStep(tour.id, activeTour.step + 1)}
+            onStop={finishTour}
+          />
+        )}
+
+      {/* 해·달·박명 패널 (화면 아래쪽) */}
+      {showSunMoon && (
+        <SunMoonPanel
+          status={sunMoonStatus}
+          date={simDate}
+          onClose={() => setShowSunMoon(false)}
+        />
+      )}
+
+      {/* 시간 여행 패널 (화면 아래쪽) */}
+      {showTimeControls && <TimeControls />}
+
+      {/* 선택 천체 상세 패널 (화면 아래쪽) */}
+      {showDetails && selectedCelestial && (
+        <CelestialDetails
+          target={selectedCelestial}
+          observer={observer}
+          date={simDate}
+          onClose={() => setShowDetails(false)}
+        />
+      )}
+
+      {/* 관측지 관리 창 */}
+      {siteManager}
+
+      {/* 센서 융합 설정 창 */}
+      {showFusionSettings && (
+        <FusionSettings
+          settings={fusionSettings}
+          onSave={saveFusion}
+          onClose={() => setShowFusionSettings(false)}
+        />
+      )}
+
+      {/* 지금 떠 있는 천체 목록 */}
+      {showTonight && (
+        <TonightPanel
+          observer={observer}
+          date={simDate}
+          onSelect={selectVisibleObject}
+          onClose={() => setShowTonight(false)}
+        />
+      )}
+
+      {/* 천문 현상 달력 */}
+      {showEvents && (
+        <EventCalendar
+          observer={observer}
+          date={simDate}
+          onSelect={openEvent}
+          onClose={() => setShowEvents(false)}
+        />
+      )}
+
+      {/* 관측 투어 목록 */}
+      {showTours && (
+        <TourPicker
+          tours={tours}
+          activeTourId={activeTour?.tourId}
+          onStart={startTour}
+          onImport={importTours}
+          onClose={() => setShowTours(false)}
+        />
+      )}
+
+      {/* 관측 기록 창 */}
+      {loggingTarget && (
+        <ObservationForm
+          target={loggingTarget}
+          siteName={logSiteName}
+          onSave={saveObservation}
+          onClose={() => setLoggingTarget(null)}
+        />
+      )}
+
+      {/* 관측 일지 */}
+      {showLogbook && <Logbook onClose={() => setShowLogbook(false)} />}
+
+      {/* 언어 선택 */}
+      {showLanguages && (
+        <LanguagePicker onClose={() => setShowLanguages(false)} />
+      )}
+
+      {/* 자기 센서 보정 마법사 */}
+      {showCalibration && (
+        <CalibrationWizard
+          calibration={magCalibration}
+          onSave={saveCalibration}
+          onReset={resetCalibration}
+          onClose={() => setShowCalibration(false)}
+        />
+      )}
+
       {/* 검색 모달 (화면 중앙) */}
       {showSearch && (
         <TouchableOpacity
@@ -486,21 +1652,57 @@ export default function App() {
               onPress={(e) => e.stopPropagation()} // 모달 내부 클릭 시 닫히지 않게
             >
               <View style={styles.modalHeader}>
-                <Text style={styles.modalTitle}>별 검색</Text>
-                <TouchableOpacity onPress={toggleSearch}>
-                  <Ionicons name="close" size={24} color="white" />
-                </TouchableOpacity>
+                <Text style={styles.modalTitle}>{t("app.search.title")}</Text>
+                <View style={styles.modalHeaderButtons}>
+                  <TouchableOpacity
+                    style={styles.modalHeaderButton}
+                    onPress={importOrbitFile}
+                  >
+                    <Ionicons
+                      name="document-attach-outline"
+                      size={22}
+                      color={theme.colors.text}
+                    />
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={toggleSearch}>
+                    <Ionicons
+                      name="close"
+                      size={24}
+                      color={theme.colors.text}
+                    />
+                  </TouchableOpacity>
+                </View>
               </View>
 
               <TextInput
                 style={styles.searchInput}
-                placeholder="별 이름 검색..."
+                placeholder={t("app.search.placeholder")}
                 value={searchQuery}
                 onChangeText={setSearchQuery}
-                placeholderTextColor="#999"
+                placeholderTextColor={theme.colors.placeholder}
                 autoFocus={true}
               />
 
+              {/* 딥스카이 종류 필터 */}
+              <View style={styles.filterRow}>
+                {[{ id: null }, ...DSO_GROUPS].map((group) => (
+                  <TouchableOpacity
+                    key={group.id || "all"}
+                    style={[
+                      styles.filterChip,
+                      searchGroup === group.id && styles.filterChipActive,
+                    ]}
+                    onPress={() => setSearchGroup(group.id)}
+                  >
+                    <Text style={styles.filterChipText}>
+                      {group.id
+                        ? t(`deepSky.groups.${group.id}`)
+                        : t("app.search.all")}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
               <FlatList
                 data={searchResults}
                 keyExtractor={(item) => item.id.toString()}
@@ -509,15 +1711,44 @@ export default function App() {
                     style={styles.resultItem}
                     onPress={() => selectCelestial(item)}
                   >
-                    <Text style={styles.resultName}>
-                      {item.proper || item.name}
-                    </Text>
+                    <Text style={styles.resultName}>{getObjectName(item)}</Text>
                     <Text style={styles.resultInfo}>
-                      적경: {item.ra.toFixed(2)}h, 적위: {item.dec.toFixed(2)}°,
-                      등급: {item.mag.toFixed(1)}
+                      {t("app.search.position", {
+                        ra: item.ra.toFixed(2),
+                        dec: item.dec.toFixed(2),
+                        mag: item.mag != null ? item.mag.toFixed(1) : "-",
+                      })}
                     </Text>
+                    {item.isDeepSky && (
+                      <Text style={styles.resultInfo}>
+                        {item.designation} ·{" "}
+                        {getDeepSkyType(item.dsoType).label}
+                        {item.size ? ` · ${formatDeepSkySize(item.size)}` : ""}
+                      </Text>
+                    )}
+                    {item.isSatellite && (
+                      <Text style={styles.resultInfo}>
+                        {t("app.search.satellite", {
+                          alt: item.alt.toFixed(1),
+                        })}
+                        {item.isTleStale ? t("app.search.tleStale") : ""}
+                      </Text>
+                    )}
                   </TouchableOpacity>
                 )}
+                // 번들 TLE 가 없으므로 가져오기 전에는 안내
+                ListFooterComponent={
+                  hasSatellites ? null : (
+                    <TouchableOpacity
+                      style={styles.resultItem}
+                      onPress={importOrbitFile}
+                    >
+                      <Text style={styles.resultInfo}>
+                        {t("app.search.noSatellites")}
+                      </Text>
+                    </TouchableOpacity>
+                  )
+                }
                 style={styles.resultsList}
               />
             </TouchableOpacity>
@@ -529,177 +1760,382 @@ export default function App() {
 }
 
 /*-------------- 스타일 -------------- */
-const styles = StyleSheet.create({
-  container: { flex: 1, backgroundColor: "#000" },
-  center: { flex: 1, alignItems: "center", justifyContent: "center" },
-  camera: {
-    flex: 1,
-    position: "absolute",
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-  },
-  overlay: {
-    position: "absolute",
-    top: 40,
-    left: 20,
-    backgroundColor: "rgba(0,0,0,0.6)",
-    padding: 10,
-    borderRadius: 8,
-  },
-  txt: { color: "#fff", fontSize: 14, marginBottom: 4 },
-  txtHeader: {
-    color: "#fff",
-    fontSize: 16,
-    fontWeight: "bold",
-    marginTop: 10,
-    marginBottom: 4,
-  },
-  txtDirection: {
-    color: "#fff",
-    fontSize: 32,
-    textAlign: "center",
-    marginTop: 5,
-  },
-  searchButton: {
-    position: "absolute",
-    top: 40,
-    right: 20,
-    backgroundColor: "rgba(0,0,0,0.6)",
-    padding: 10,
-    borderRadius: 25,
-  },
-  flipButton: {
-    position: "absolute",
-    bottom: 30,
-    alignSelf: "center",
-    backgroundColor: "rgba(255,255,255,0.3)",
-    paddingHorizontal: 16,
-    paddingVertical: 8,
-    borderRadius: 20,
-  },
-  btnText: { color: "#fff", fontSize: 16 },
-  modalBackdrop: {
-    position: "absolute",
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-    backgroundColor: "rgba(0,0,0,0.5)",
-    justifyContent: "center",
-    alignItems: "center",
-    zIndex: 1000,
-  },
-  searchModal: {
-    width: "85%",
-    maxHeight: "70%",
-    backgroundColor: "rgba(20,20,30,0.95)",
-    borderRadius: 15,
-    overflow: "hidden",
-    elevation: 5,
-    shadowColor: "#000",
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.25,
-    shadowRadius: 3.84,
-  },
-  modalContent: {
-    padding: 0,
-    width: "100%",
-    height: "100%",
-  },
-  modalHeader: {
-    flexDirection: "row",
-    justifyContent: "space-between",
-    alignItems: "center",
-    padding: 15,
-    borderBottomWidth: 1,
-    borderBottomColor: "#444",
-  },
-  modalTitle: {
-    color: "#fff",
-    fontSize: 18,
-    fontWeight: "bold",
-  },
-  resultsList: {
-    maxHeight: "80%",
-  },
-  searchInput: {
-    backgroundColor: "#333",
-    margin: 15,
-    marginTop: 5,
-    color: "#fff",
-    borderRadius: 8,
-    padding: 10,
-  },
-  resultItem: {
-    padding: 10,
-    paddingHorizontal: 15,
-    borderBottomWidth: 1,
-    borderBottomColor: "#333",
-  },
-  resultName: {
-    color: "#fff",
-    fontSize: 16,
-    fontWeight: "bold",
-  },
-  resultInfo: {
-    color: "#ccc",
-    fontSize: 12,
-  },
-  // 나침반 스타일
-  compassContainer: {
-    position: "absolute",
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-    justifyContent: "center",
-    alignItems: "center",
-    pointerEvents: "none", // 터치 이벤트 통과
-  },
-  compassCircle: {
-    width: 250,
-    height: 250,
-    borderRadius: 125,
-    borderWidth: 2,
-    borderColor: "rgba(255, 255, 255, 0.5)",
-    backgroundColor: "transparent",
-  },
-  crosshairHorizontal: {
-    position: "absolute",
-    width: 20,
-    height: 1,
-    backgroundColor: "rgba(255, 255, 255, 0.5)",
-  },
-  crosshairVertical: {
-    position: "absolute",
-    width: 1,
-    height: 20,
-    backgroundColor: "rgba(255, 255, 255, 0.5)",
-  },
-  directionArrow: {
-    position: "absolute",
-    width: 0,
-    height: 0,
-    borderLeftWidth: 8,
-    borderRightWidth: 8,
-    borderBottomWidth: 16,
-    borderLeftColor: "transparent",
-    borderRightColor: "transparent",
-    borderBottomColor: "rgba(255, 255, 0, 0.8)",
-  },
-  celestialLabel: {
-    position: "absolute",
-    backgroundColor: "rgba(0, 0, 0, 0.6)",
-    paddingHorizontal: 8,
-    paddingVertical: 4,
-    borderRadius: 12,
-  },
-  celestialLabelText: {
-    color: "#fff",
-    fontSize: 12,
-    fontWeight: "bold",
-    textAlign: "center",
-  },
-});
+const createStyles = ({ colors, camera }) =>
+  StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
+    center: {
+      flex: 1,
+      alignItems: "center",
+      justifyContent: "center",
+      backgroundColor: colors.background,
+    },
+    link: { color: colors.accent, fontSize: 16 },
+    linkSpaced: { marginTop: 12 },
+    camera: {
+      flex: 1,
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+    },
+    cameraTint: {
+      ...StyleSheet.absoluteFillObject,
+      backgroundColor: camera.tint,
+      mixBlendMode: "multiply", // 빨강 외 성분 제거
+    },
+    cameraDim: {
+      ...StyleSheet.absoluteFillObject,
+      backgroundColor: `rgba(0, 0, 0, ${camera.dim})`,
+    },
+    overlay: {
+      position: "absolute",
+      top: 40,
+      left: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 8,
+    },
+    txt: { color: colors.text, fontSize: 14, marginBottom: 4 },
+    txtHeader: {
+      color: colors.text,
+      fontSize: 16,
+      fontWeight: "bold",
+      marginTop: 10,
+      marginBottom: 4,
+    },
+    txtWarning: { color: colors.warning, fontSize: 13, marginBottom: 4 },
+    txtDirection: {
+      color: colors.text,
+      fontSize: 32,
+      textAlign: "center",
+      marginTop: 5,
+    },
+    searchButton: {
+      position: "absolute",
+      top: 40,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    timeButton: {
+      position: "absolute",
+      top: 100,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    siteButton: {
+      position: "absolute",
+      top: 40,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    calibrationButton: {
+      position: "absolute",
+      top: 100,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    sessionButton: {
+      position: "absolute",
+      top: 160,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    fusionButton: {
+      position: "absolute",
+      top: 220,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    detailsButton: {
+      position: "absolute",
+      top: 160,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    tonightButton: {
+      position: "absolute",
+      top: 220,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    identifyButton: {
+      position: "absolute",
+      top: 280,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    tourButton: {
+      position: "absolute",
+      top: 340,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    logbookButton: {
+      position: "absolute",
+      top: 280,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    sunMoonButton: {
+      position: "absolute",
+      top: 340,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    eventsButton: {
+      position: "absolute",
+      top: 400,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    themeButton: {
+      position: "absolute",
+      top: 460,
+      right: 80,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    languageButton: {
+      position: "absolute",
+      top: 460,
+      right: 20,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 25,
+    },
+    logObservationButton: {
+      position: "absolute",
+      top: 400,
+      right: 20,
+      backgroundColor: colors.successFill,
+      padding: 10,
+      borderRadius: 25,
+    },
+    identifyTouchArea: {
+      position: "absolute",
+      top: "50%",
+      left: "50%",
+      width: 100,
+      height: 100,
+      marginTop: -50,
+      marginLeft: -50,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    reticle: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      borderWidth: 1,
+      borderColor: colors.guide,
+    },
+    horizonWarning: {
+      position: "absolute",
+      top: "45%",
+      alignSelf: "center",
+      alignItems: "center",
+      backgroundColor: colors.surfaceStrong,
+      borderColor: colors.warning,
+      borderWidth: 1,
+      paddingHorizontal: 16,
+      paddingVertical: 10,
+      borderRadius: 12,
+    },
+    horizonWarningTitle: {
+      color: colors.warning,
+      fontSize: 16,
+      fontWeight: "bold",
+      marginBottom: 4,
+    },
+    flipButton: {
+      position: "absolute",
+      bottom: 30,
+      alignSelf: "center",
+      backgroundColor: colors.button,
+      paddingHorizontal: 16,
+      paddingVertical: 8,
+      borderRadius: 20,
+    },
+    btnText: { color: colors.text, fontSize: 16 },
+    modalBackdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+      zIndex: 1000,
+    },
+    searchModal: {
+      width: "85%",
+      maxHeight: "70%",
+      backgroundColor: colors.panel,
+      borderRadius: 15,
+      overflow: "hidden",
+      elevation: 5,
+      shadowColor: colors.background,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.25,
+      shadowRadius: 3.84,
+    },
+    modalContent: {
+      padding: 0,
+      width: "100%",
+      height: "100%",
+    },
+    modalHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      padding: 15,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    modalHeaderButtons: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    modalHeaderButton: {
+      marginRight: 15,
+    },
+    modalTitle: {
+      color: colors.text,
+      fontSize: 18,
+      fontWeight: "bold",
+    },
+    resultsList: {
+      maxHeight: "80%",
+    },
+    searchInput: {
+      backgroundColor: colors.field,
+      margin: 15,
+      marginTop: 5,
+      color: colors.text,
+      borderRadius: 8,
+      padding: 10,
+    },
+    filterRow: {
+      flexDirection: "row",
+      marginHorizontal: 15,
+      marginBottom: 10,
+      gap: 8,
+    },
+    filterChip: {
+      paddingHorizontal: 12,
+      paddingVertical: 5,
+      borderRadius: 14,
+      backgroundColor: colors.field,
+    },
+    filterChipActive: { backgroundColor: colors.accentSoft },
+    filterChipText: { color: colors.text, fontSize: 13 },
+    resultItem: {
+      padding: 10,
+      paddingHorizontal: 15,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    resultName: {
+      color: colors.text,
+      fontSize: 16,
+      fontWeight: "bold",
+    },
+    resultInfo: {
+      color: colors.textSecondary,
+      fontSize: 12,
+    },
+    // 나침반 스타일
+    compassContainer: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      justifyContent: "center",
+      alignItems: "center",
+      pointerEvents: "none", // 터치 이벤트 통과
+    },
+    compassCircle: {
+      width: 250,
+      height: 250,
+      borderRadius: 125,
+      borderWidth: 2,
+      borderColor: colors.guide,
+      backgroundColor: "transparent",
+    },
+    compassCircleLocked: { borderColor: colors.target, borderWidth: 3 },
+    crosshairHorizontal: {
+      position: "absolute",
+      width: 20,
+      height: 1,
+      backgroundColor: colors.guide,
+    },
+    crosshairVertical: {
+      position: "absolute",
+      width: 1,
+      height: 20,
+      backgroundColor: colors.guide,
+    },
+    directionArrow: {
+      position: "absolute",
+      width: 0,
+      height: 0,
+      borderLeftWidth: 8,
+      borderRightWidth: 8,
+      borderBottomWidth: 16,
+      borderLeftColor: "transparent",
+      borderRightColor: "transparent",
+      borderBottomColor: colors.arrow,
+    },
+    celestialLabel: {
+      position: "absolute",
+      backgroundColor: colors.surface,
+      paddingHorizontal: 8,
+      paddingVertical: 4,
+      borderRadius: 12,
+    },
+    moonOffsetLabel: {
+      position: "absolute",
+      bottom: 120,
+      alignSelf: "center",
+      backgroundColor: colors.surface,
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 12,
+    },
+    celestialLabelText: {
+      color: colors.text,
+      fontSize: 12,
+      fontWeight: "bold",
+      textAlign: "center",
+    },
+  });
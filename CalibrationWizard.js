@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useRef } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import { Magnetometer } from "expo-sensors";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  COVERAGE_BINS,
+  MIN_SAMPLES,
+  MIN_COVERAGE,
+  calculateCoverage,
+  computeMagCalibration,
+  describeQuality,
+} from "./MagCalibration";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+const MAX_SAMPLES = 1500; // 너무 오래 돌려도 계산량이 늘지 않도록
+const COVERAGE_COLUMNS = 8; // 커버리지 격자 한 줄의 칸 수 (경도 45°)
+
+// 자기 센서 보정 마법사 - 8자 모양으로 돌리며 샘플 수집 → 하드/소프트 아이언 보정
+//  - calibration: 현재 저장된 보정값 (없으면 null)
+//  - onSave(calibration): 새 보정값 저장
+//  - onReset(): 보정 초기화
+export default function CalibrationWizard({
+  calibration,
+  onSave,
+  onReset,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [collecting, setCollecting] = useState(false);
+  const [progress, setProgress] = useState({ count: 0, coverage: 0, bins: [] });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const samples = useRef([]);
+
+  /*-------------- 샘플 수집 (원시 자기 센서 값, 앱의 센서 주기 그대로) -------------- */
+  useEffect(() => {
+    if (!collecting) return;
+    const sub = Magnetometer.addListener(({ x, y, z }) => {
+      if (samples.current.length >= MAX_SAMPLES) samples.current.shift();
+      samples.current.push([x, y, z]);
+    });
+    // 커버리지 표시는 0.5초마다 갱신
+    const timer = setInterval(() => {
+      const { coverage, bins } = calculateCoverage(samples.current);
+      setProgress({ count: samples.current.length, coverage, bins });
+    }, 500);
+    return () => {
+      sub.remove();
+      clearInterval(timer);
+    };
+  }, [collecting]);
+
+  const start = () => {
+    samples.current = [];
+    setProgress({ count: 0, coverage: 0, bins: [] });
+    setResult(null);
+    setError(null);
+    setCollecting(true);
+  };
+
+  const finish = () => {
+    setCollecting(false);
+    try {
+      setResult(computeMagCalibration(samples.current));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const ready =
+    progress.count >= MIN_SAMPLES && progress.coverage >= MIN_COVERAGE;
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("calibration.title")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.txt}>
+          {t("calibration.current", {
+            quality: describeQuality(calibration?.quality),
+          })}
+          {calibration ? ` (${calibration.quality}%)` : ""}
+        </Text>
+        <Text style={styles.help}>{t("calibration.help")}</Text>
+
+        {/* 커버리지 격자 (위도 30° × 경도 45°) */}
+        <View style={styles.grid}>
+          {Array.from({ length: COVERAGE_BINS }, (_, i) => (
+            <View
+              key={i}
+              style={[styles.cell, progress.bins[i] && styles.cellFilled]}
+            />
+          ))}
+        </View>
+        <Text style={styles.txt}>
+          {t("calibration.progress", {
+            coverage: Math.round(progress.coverage * 100),
+            count: progress.count,
+          })}
+        </Text>
+
+        {error && <Text style={styles.error}>{error}</Text>}
+        {result && (
+          <Text style={styles.txt}>
+            {t("calibration.result", {
+              quality: describeQuality(result.quality),
+              percent: result.quality,
+            })}
+            {t(
+              result.softIron
+                ? "calibration.softIron"
+                : "calibration.hardIronOnly"
+            )}
+          </Text>
+        )}
+
+        <View style={styles.buttons}>
+          {!collecting && (
+            <TouchableOpacity style={styles.button} onPress={start}>
+              <Text style={styles.buttonText}>
+                {t(result || error ? "calibration.retry" : "calibration.start")}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {collecting && (
+            <TouchableOpacity
+              style={[styles.button, !ready && styles.buttonDisabled]}
+              disabled={!ready}
+              onPress={finish}
+            >
+              <Text style={styles.buttonText}>{t("calibration.finish")}</Text>
+            </TouchableOpacity>
+          )}
+          {result && (
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => onSave(result)}
+            >
+              <Text style={styles.buttonText}>{t("calibration.save")}</Text>
+            </TouchableOpacity>
+          )}
+          {calibration && !collecting && (
+            <TouchableOpacity style={styles.button} onPress={onReset}>
+              <Text style={styles.buttonText}>{t("calibration.reset")}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    txt: { color: colors.text, fontSize: 14, marginVertical: 4 },
+    help: { color: colors.textSecondary, fontSize: 13, marginVertical: 8 },
+    error: { color: colors.dangerSoft, fontSize: 13, marginVertical: 4 },
+    grid: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      width: COVERAGE_COLUMNS * 28,
+      alignSelf: "center",
+      marginVertical: 8,
+    },
+    cell: {
+      width: 24,
+      height: 16,
+      margin: 2,
+      borderRadius: 3,
+      backgroundColor: colors.button,
+    },
+    cellFilled: { backgroundColor: colors.successFill },
+    buttons: {
+      flexDirection: "row",
+      justifyContent: "center",
+      gap: 10,
+      marginTop: 10,
+    },
+    button: {
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 8,
+      paddingHorizontal: 16,
+    },
+    buttonDisabled: { opacity: 0.4 },
+    buttonText: { color: colors.text, fontSize: 15, fontWeight: "bold" },
+  });
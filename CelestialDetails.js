@@ -0,0 +1,214 @@
+import React, { useMemo } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import Svg, { Rect, Line, Polyline, Text as SvgText } from "react-native-svg";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  calculateRiseTransitSet,
+  calculateAltitudeCurve,
+} from "./VisibilityData";
+import { getDeepSkyType, formatDeepSkySize } from "./DeepSkyData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t, getObjectName } from "./LocaleData";
+
+const GRAPH_WIDTH = 300;
+const GRAPH_HEIGHT = 120;
+const GRAPH_MIN_ALT = -30; // 그래프 세로축 범위 (도)
+const GRAPH_MAX_ALT = 90;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 시각 표시 (기기 현지 시간, 다른 날이면 날짜 포함)
+export const formatEventTime = (date, reference) => {
+  if (!date) return "-";
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  if (reference && date.toDateString() === reference.toDateString()) {
+    return time;
+  }
+  return `${date.getMonth() + 1}/${date.getDate()} ${time}`;
+};
+
+// 고도 → 그래프 y 좌표
+const altToY = (alt) =>
+  ((GRAPH_MAX_ALT - Math.max(GRAPH_MIN_ALT, Math.min(GRAPH_MAX_ALT, alt))) /
+    (GRAPH_MAX_ALT - GRAPH_MIN_ALT)) *
+  GRAPH_HEIGHT;
+
+// 밤 동안의 고도 그래프 (박명 음영, 지평선, 현재 시각 표시)
+const AltitudeGraph = ({ curve, date }) => {
+  const { colors, twilight } = useTheme();
+  if (curve.length < 2) return null;
+
+  const start = curve[0].date.getTime();
+  const span = curve[curve.length - 1].date.getTime() - start;
+  const timeToX = (t) => ((t - start) / span) * GRAPH_WIDTH;
+  const step = GRAPH_WIDTH / (curve.length - 1);
+
+  const points = curve
+    .filter((p) => p.alt !== null)
+    .map((p) => `${timeToX(p.date.getTime())},${altToY(p.alt)}`)
+    .join(" ");
+  const nowX = timeToX(date.getTime());
+
+  return (
+    <Svg width={GRAPH_WIDTH} height={GRAPH_HEIGHT}>
+      {curve.map((p, i) => (
+        <Rect
+          key={i}
+          x={timeToX(p.date.getTime()) - step / 2}
+          y={0}
+          width={step + 0.5}
+          height={GRAPH_HEIGHT}
+          fill={twilight[p.twilight]}
+        />
+      ))}
+      {/* 지평선 */}
+      <Line
+        x1={0}
+        y1={altToY(0)}
+        x2={GRAPH_WIDTH}
+        y2={altToY(0)}
+        stroke={colors.guide}
+        strokeWidth={1}
+      />
+      <SvgText x={2} y={altToY(0) - 3} fill={colors.text} fontSize={9}>
+        0°
+      </SvgText>
+      <Polyline
+        points={points}
+        fill="none"
+        stroke={colors.highlight}
+        strokeWidth={2}
+      />
+      {/* 현재 (시뮬레이션) 시각 */}
+      {nowX >= 0 && nowX <= GRAPH_WIDTH && (
+        <Line
+          x1={nowX}
+          y1={0}
+          x2={nowX}
+          y2={GRAPH_HEIGHT}
+          stroke={colors.danger}
+          strokeWidth={1}
+        />
+      )}
+    </Svg>
+  );
+};
+
+// 선택된 천체 상세 정보 - 현재 고도, 뜨는/남중/지는 시각, 밤 동안의 고도 그래프
+export default function CelestialDetails({ target, observer, date, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  // 시뮬레이션 시각이 1분 단위로 바뀔 때만 다시 계산
+  const minute = Math.floor(date.getTime() / 60000);
+  const events = useMemo(
+    () => calculateRiseTransitSet(target, observer, date),
+    [target.id, observer, minute]
+  );
+  const curve = useMemo(
+    () => calculateAltitudeCurve(target, observer, date),
+    [target.id, observer, minute]
+  );
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{getObjectName(target)}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Ionicons name="close" size={22} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      {target.isDeepSky && (
+        <>
+          <Text style={styles.txt}>
+            {target.designation} · {getDeepSkyType(target.dsoType).label}
+          </Text>
+          <Text style={styles.txt}>
+            {t("details.magnitude", {
+              value: target.mag != null ? target.mag.toFixed(1) : "-",
+            })}
+            {target.size
+              ? t("details.size", { value: formatDeepSkySize(target.size) })
+              : ""}
+            {target.surfaceBrightness != null
+              ? t("details.surfaceBrightness", {
+                  value: target.surfaceBrightness.toFixed(1),
+                })
+              : ""}
+          </Text>
+        </>
+      )}
+
+      {events && (
+        <>
+          <Text style={events.isUp ? styles.txt : styles.txtWarning}>
+            {t("details.altitude", {
+              value: events.alt != null ? events.alt.toFixed(1) : "-",
+              state: t(
+                events.isUp ? "details.aboveHorizon" : "details.belowHorizon"
+              ),
+            })}
+          </Text>
+          {events.circumpolar && (
+            <Text style={styles.txt}>{t("details.circumpolar")}</Text>
+          )}
+          {events.neverRises && (
+            <Text style={styles.txtWarning}>
+              {t(target.isSatellite ? "details.noPass" : "details.neverRises")}
+            </Text>
+          )}
+          {!events.circumpolar && !events.neverRises && (
+            <View style={styles.eventRow}>
+              <Text style={styles.txt}>
+                {t("details.rise", {
+                  time: formatEventTime(events.rise, date),
+                })}
+              </Text>
+              <Text style={styles.txt}>
+                {t("details.transit", {
+                  time: formatEventTime(events.transit, date),
+                })}
+                {events.transitAlt != null
+                  ? ` (${events.transitAlt.toFixed(0)}°)`
+                  : ""}
+              </Text>
+              <Text style={styles.txt}>
+                {t("details.set", { time: formatEventTime(events.set, date) })}
+              </Text>
+            </View>
+          )}
+        </>
+      )}
+
+      <AltitudeGraph curve={curve} date={date} />
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    panel: {
+      position: "absolute",
+      bottom: 40,
+      alignSelf: "center",
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 12,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 6,
+    },
+    title: { color: colors.text, fontSize: 18, fontWeight: "bold" },
+    eventRow: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      marginVertical: 6,
+    },
+    txt: { color: colors.text, fontSize: 14 },
+    txtWarning: { color: colors.warning, fontSize: 14 },
+  });
@@ -0,0 +1,82 @@
+import * as Astronomy from "astronomy-engine";
+import constellationData from "./assets/constellations.json";
+import { normalizeText, scoreMatch, getAliases } from "./SearchData";
+
+// 88개 별자리 (scripts/buildConstellations.js 로 생성)
+//  - lines: 별자리 선 (HIP 번호 목록의 목록)
+//  - bounds: IAU 경계 다각형 ([적경(시), 적위] J2000)
+//  - center: 이름 표시 위치 [적경(시), 적위]
+export const constellations = constellationData.constellations;
+
+const byId = new Map(constellations.map((con) => [con.id, con]));
+
+export const getConstellation = (id) => byId.get(id) || null;
+
+// 적경·적위(J2000)가 속한 별자리 (IAU 경계 기준)
+export const findConstellationAt = (ra, dec) => {
+  try {
+    const { symbol } = Astronomy.Constellation(ra, dec);
+    return getConstellation(symbol);
+  } catch (error) {
+    console.error("별자리 판별 중 오류:", error);
+    return null;
+  }
+};
+
+// 별자리 → 검색 결과/안내 대상 (별자리 중심을 목표로)
+export const constellationTarget = (con) => ({
+  id: `con-${con.id}`,
+  proper: con.ko,
+  name: con.name,
+  mag: null,
+  ra: con.center[0],
+  dec: con.center[1],
+  constellation: con.id,
+  isConstellation: true,
+  isSolarSystemBody: false,
+});
+
+// 약자·영문 이름·소유격·한글 이름으로 별자리 찾기 (정확히 일치할 때만)
+export const findConstellationByName = (text) => {
+  const key = normalizeText(text);
+  if (!key) return null;
+  return (
+    constellations.find((con) =>
+      [con.id, con.name, con.genitive, con.ko].some(
+        (name) => normalizeText(name) === key
+      )
+    ) || null
+  );
+};
+
+// 별자리 검색 - 한글/영문 이름, 소유격, 약자 (초성·오타 허용, 일치도 순)
+export const searchConstellations = (query, limit = 5) =>
+  constellations
+    .map((con) => ({
+      con,
+      score:
+        normalizeText(query) === con.id.toLowerCase()
+          ? 1
+          : scoreMatch(query, [
+              con.ko,
+              con.name,
+              con.genitive,
+              ...getAliases(`con-${con.id}`),
+            ]),
+    }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.con.rank - b.con.rank)
+    .slice(0, limit)
+    .map(({ con, score }) => ({
+      ...constellationTarget(con),
+      matchScore: score,
+    }));
+
+export default {
+  constellations,
+  getConstellation,
+  findConstellationAt,
+  constellationTarget,
+  findConstellationByName,
+  searchConstellations,
+};
@@ -0,0 +1,155 @@
+import deepSkyData from "./assets/deepsky.json";
+import { scoreMatch, getAliases } from "./SearchData";
+import { t } from "./LocaleData";
+
+// 딥스카이 천체 - 메시에·NGC·IC·콜드웰 (scripts/buildDeepSkyCatalog.js 로 생성)
+//  - type: 천체 종류 코드 (DSO_TYPES)
+//  - size: [장축, 단축] (분), sb: 평균 표면 밝기 (등급/제곱분)
+//  - ra, dec: J2000 적도 좌표
+export const deepSkyObjects = deepSkyData.objects;
+
+// 종류 코드 → 분류 (이름은 문자열 표 deepSky.types)
+export const DSO_TYPES = {
+  gg: { group: "galaxy" },
+  g: { group: "galaxy" },
+  s: { group: "galaxy" },
+  s0: { group: "galaxy" },
+  sd: { group: "galaxy" },
+  e: { group: "galaxy" },
+  i: { group: "galaxy" },
+  oc: { group: "cluster" },
+  gc: { group: "cluster" },
+  pos: { group: "cluster" },
+  en: { group: "nebula" },
+  bn: { group: "nebula" },
+  sfr: { group: "nebula" },
+  rn: { group: "nebula" },
+  dn: { group: "nebula" },
+  pn: { group: "nebula" },
+  snr: { group: "nebula" },
+};
+
+// 검색창 종류 필터 (이름은 문자열 표 deepSky.groups)
+export const DSO_GROUPS = [
+  { id: "galaxy" },
+  { id: "cluster" },
+  { id: "nebula" },
+];
+
+// 종류 코드 → { label: 현재 언어 이름, group }
+export const getDeepSkyType = (type) =>
+  DSO_TYPES[type]
+    ? { label: t(`deepSky.types.${type}`), group: DSO_TYPES[type].group }
+    : { label: t("deepSky.types.unknown"), group: null };
+
+// 표기 목록 (예: ["M31", "NGC 224"], ["C14", "NGC 869"])
+export const getDeepSkyDesignations = (object) => {
+  const designations = [];
+  if (object.messier) designations.push(`M${object.messier}`);
+  if (object.caldwell) designations.push(`C${object.caldwell}`);
+  if (!/^[MC] \d+$/.test(object.id)) designations.push(object.id);
+  return designations;
+};
+
+// 크기 표시 (예: "189′×62′", 원형이면 "30′")
+export const formatDeepSkySize = (size) => {
+  if (!size) return "";
+  const [major, minor] = size.map((value) =>
+    value >= 10 ? value.toFixed(0) : value.toFixed(1)
+  );
+  return major === minor ? `${major}′` : `${major}′×${minor}′`;
+};
+
+// 딥스카이 천체 → 검색 결과/안내 대상
+export const deepSkyTarget = (object) => {
+  const designations = getDeepSkyDesignations(object);
+  return {
+    id: `dso-${object.id}`,
+    proper: object.ko || null,
+    name: object.name || designations[0],
+    designation: designations.join(" · "),
+    messier: object.messier || null,
+    caldwell: object.caldwell || null,
+    dsoType: object.type,
+    mag: object.mag,
+    ra: object.ra,
+    dec: object.dec,
+    size: object.size,
+    // 안내 원 크기용 장축 (분)
+    sizeArcmin: object.size ? object.size[0] : 0,
+    surfaceBrightness: object.sb,
+    isDeepSky: true,
+    isSolarSystemBody: false,
+  };
+};
+
+// 카탈로그 표기(SearchData.parseDesignation 결과)로 딥스카이 천체 찾기
+export const findDeepSkyByDesignation = (designation) => {
+  if (!designation) return [];
+  let matches;
+  switch (designation.type) {
+    case "messier":
+      matches = deepSkyObjects.filter(
+        (object) => object.messier === designation.number
+      );
+      break;
+    case "caldwell":
+      matches = deepSkyObjects.filter(
+        (object) => object.caldwell === designation.number
+      );
+      break;
+    case "ngc":
+    case "ic": {
+      const id = `${designation.type.toUpperCase()} ${designation.number}`;
+      matches = deepSkyObjects.filter((object) => object.id === id);
+      break;
+    }
+    default:
+      return [];
+  }
+  return matches.map(deepSkyTarget);
+};
+
+// 딥스카이 검색 - 한글/영문 이름, 메시에·콜드웰·NGC·IC 표기 (일치도 순)
+//  - group: "galaxy" | "cluster" | "nebula" 이면 그 분류만
+//  - 검색어가 비어 있으면 분류 안에서 밝은 순
+export const searchDeepSky = (query, { group = null, limit = 20 } = {}) => {
+  const inGroup = (object) => !group || DSO_TYPES[object.type]?.group === group;
+
+  if (!query) {
+    return deepSkyObjects
+      .filter(inGroup)
+      .slice(0, limit)
+      .map((object) => ({ ...deepSkyTarget(object), matchScore: 0 }));
+  }
+
+  const matches = [];
+  deepSkyObjects.forEach((object) => {
+    if (!inGroup(object)) return;
+    const score = scoreMatch(query, [
+      object.ko,
+      object.name,
+      ...getDeepSkyDesignations(object),
+      ...getAliases(`dso-${object.id}`),
+    ]);
+    if (score !== null) matches.push({ object, score });
+  });
+  // 목록은 밝은 순이므로 안정 정렬이면 같은 점수 안에서 밝은 순 유지
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit).map(({ object, score }) => ({
+    ...deepSkyTarget(object),
+    matchScore: score,
+  }));
+};
+
+export default {
+  deepSkyObjects,
+  DSO_TYPES,
+  DSO_GROUPS,
+  getDeepSkyType,
+  getDeepSkyDesignations,
+  formatDeepSkySize,
+  deepSkyTarget,
+  findDeepSkyByDesignation,
+  searchDeepSky,
+};
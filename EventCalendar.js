@@ -0,0 +1,249 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  SectionList,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  EVENT_TYPES,
+  EVENT_SEARCH_DAYS,
+  startEventSearch,
+  getReminders,
+  scheduleEventReminder,
+  cancelEventReminder,
+} from "./EventData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "11/5 (수) 21:30"
+const formatEventDate = (date) =>
+  `${date.getMonth() + 1}/${date.getDate()} (${
+    t("common.weekdays")[date.getDay()]
+  }) ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// 달별로 묶기 - SectionList 섹션
+const groupByMonth = (events) => {
+  const sections = [];
+  events.forEach((event) => {
+    const title = t("events.month", {
+      year: event.date.getFullYear(),
+      month: event.date.getMonth() + 1,
+    });
+    if (
+      sections.length === 0 ||
+      sections[sections.length - 1].title !== title
+    ) {
+      sections.push({ title, data: [] });
+    }
+    sections[sections.length - 1].data.push(event);
+  });
+  return sections;
+};
+
+// 천문 현상 달력 - 앞으로 EVENT_SEARCH_DAYS 일 동안 관측지에서 볼 수 있는 현상
+//  - 누르면 onSelect(event) - 볼 시각으로 이동하고 관련 천체 선택
+//  - 종 모양 버튼으로 알림 예약·취소
+export default function EventCalendar({ observer, date, onSelect, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const locale = useLocale();
+  const [events, setEvents] = useState(null);
+  const [types, setTypes] = useState(Object.keys(EVENT_TYPES));
+  const [reminders, setReminders] = useState(getReminders);
+
+  // 탐색에 시간이 걸리므로 나눠서 계산 (하루 단위로 다시 계산, 같은 날은 캐시)
+  //  - 현상 제목·설명이 탐색할 때의 언어라서 언어가 바뀌어도 다시 계산
+  const day = Math.floor(date.getTime() / 86400000);
+  useEffect(() => {
+    setEvents(null);
+    const search = startEventSearch(observer, {
+      start: date,
+      onDone: setEvents,
+    });
+    return search.stop;
+  }, [observer, day, locale]);
+
+  const sections = useMemo(
+    () =>
+      groupByMonth(
+        (events || []).filter((event) => types.includes(event.type))
+      ),
+    [events, types, locale]
+  );
+
+  const toggleType = (type) =>
+    setTypes((prev) =>
+      prev.includes(type)
+        ? prev.filter((item) => item !== type)
+        : [...prev, type]
+    );
+
+  const toggleReminder = async (event) => {
+    try {
+      setReminders(
+        reminders[event.id]
+          ? await cancelEventReminder(event.id)
+          : await scheduleEventReminder(event)
+      );
+    } catch (error) {
+      Alert.alert(t("events.reminderFailed"), error.message);
+    }
+  };
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("events.title")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {/* 종류 */}
+        <View style={styles.chipRow}>
+          {Object.keys(EVENT_TYPES).map((type) => (
+            <TouchableOpacity
+              key={type}
+              style={[styles.chip, types.includes(type) && styles.chipActive]}
+              onPress={() => toggleType(type)}
+            >
+              <Text style={styles.chipText}>{t(`events.types.${type}`)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {!events ? (
+          <View style={styles.loading}>
+            <ActivityIndicator color={colors.text} />
+            <Text style={styles.empty}>
+              {t("events.searching", { days: EVENT_SEARCH_DAYS })}
+            </Text>
+          </View>
+        ) : (
+          <SectionList
+            sections={sections}
+            keyExtractor={(event) => event.id}
+            stickySectionHeadersEnabled={false}
+            ListEmptyComponent={
+              <Text style={styles.empty}>{t("events.empty")}</Text>
+            }
+            renderSectionHeader={({ section }) => (
+              <Text style={styles.sectionTitle}>{section.title}</Text>
+            )}
+            renderItem={({ item: event }) => (
+              <TouchableOpacity
+                style={styles.item}
+                onPress={() => onSelect(event)}
+              >
+                <Ionicons
+                  name={EVENT_TYPES[event.type].icon}
+                  size={20}
+                  color={colors.textSecondary}
+                />
+                <View style={styles.itemBody}>
+                  <Text style={styles.itemName}>{event.title}</Text>
+                  <Text style={styles.itemInfo}>
+                    {formatEventDate(event.date)} · {event.description}
+                  </Text>
+                  {event.viewTime.getTime() !== event.date.getTime() && (
+                    <Text style={styles.itemInfo}>
+                      {t("events.bestView", {
+                        time: formatEventDate(event.viewTime),
+                      })}
+                    </Text>
+                  )}
+                </View>
+                <TouchableOpacity onPress={() => toggleReminder(event)}>
+                  <Ionicons
+                    name={
+                      reminders[event.id]
+                        ? "notifications"
+                        : "notifications-outline"
+                    }
+                    size={22}
+                    color={reminders[event.id] ? colors.highlight : colors.text}
+                  />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            )}
+          />
+        )}
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      height: "80%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    chipRow: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      gap: 8,
+      marginBottom: 6,
+    },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 5,
+      borderRadius: 14,
+      backgroundColor: colors.field,
+    },
+    chipActive: { backgroundColor: colors.accentSoft },
+    chipText: { color: colors.text, fontSize: 13 },
+    loading: { marginTop: 30, alignItems: "center" },
+    empty: {
+      color: colors.textMuted,
+      fontSize: 14,
+      textAlign: "center",
+      marginTop: 20,
+    },
+    sectionTitle: {
+      color: colors.textMuted,
+      fontSize: 14,
+      marginTop: 12,
+      marginBottom: 4,
+    },
+    item: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 10,
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemBody: { flex: 1 },
+    itemName: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+    itemInfo: { color: colors.textSecondary, fontSize: 12, marginTop: 2 },
+  });
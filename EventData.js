@@ -0,0 +1,703 @@
+import * as Astronomy from "astronomy-engine";
+import * as FileSystem from "expo-file-system";
+import * as Notifications from "expo-notifications";
+import { solarSystemBodies, getBodyForName } from "./StarData";
+import { getNightWindow } from "./VisibilityData";
+import { getSimulatedDate } from "./SimulationClock";
+import { t, getObjectName, getLocale } from "./LocaleData";
+
+// 천문 현상 달력 - 일식·월식, 행성 근접, 충, 최대 이각, 달–행성 근접, 유성우 극대
+//  - 관측지에서 볼 수 있는 현상만 (해가 진 뒤 지평선 위에 뜨는지 확인)
+//  - 제목·설명은 탐색할 때의 언어로 만들어짐 (언어가 바뀌면 다시 탐색)
+
+// 앞으로 찾아볼 기간 (일)
+export const EVENT_SEARCH_DAYS = 365;
+
+// 알림 - 볼 시각보다 이만큼 먼저
+export const REMINDER_LEAD_MINUTES = 60;
+
+const REMINDERS_FILE = `${FileSystem.documentDirectory}eventReminders.json`;
+
+// 현상 종류 (이름은 문자열 표 events.types)
+export const EVENT_TYPES = {
+  lunarEclipse: { icon: "moon" },
+  solarEclipse: { icon: "sunny" },
+  conjunction: { icon: "git-commit-outline" },
+  opposition: { icon: "planet-outline" },
+  elongation: { icon: "swap-horizontal-outline" },
+  moonApproach: { icon: "moon-outline" },
+  meteorShower: { icon: "sparkles-outline" },
+};
+
+// 맨눈 행성 (근접 현상), 충이 있는 외행성
+const BRIGHT_PLANETS = ["Mercury", "Venus", "Mars", "Jupiter", "Saturn"];
+const OUTER_PLANETS = ["Mars", "Jupiter", "Saturn", "Uranus", "Neptune"];
+const INNER_PLANETS = ["Mercury", "Venus"];
+
+// 근접으로 볼 최대 각거리 (도)
+const CONJUNCTION_MAX_SEPARATION = 3;
+const MOON_APPROACH_MAX_SEPARATION = 5;
+
+// 각거리 표본 간격 (시간) - 달은 하루에 약 13° 움직이므로 촘촘하게
+const PLANET_STEP_HOURS = 24;
+const MOON_STEP_HOURS = 3;
+
+// 볼 수 있는지 판단 - 해가 이 고도 아래이고 천체가 이 고도 위일 때
+const VIEW_SUN_MAX_ALT = -6;
+const VIEW_MIN_ALT = 5;
+const VIEW_STEP_MINUTES = 30;
+
+// 주요 유성우 - 극대 시각의 태양 황경 (J2000, 도), 복사점 (J2000), 시간당 천정 유성 수
+//  - 이름은 문자열 표 events.showers.<id>
+const METEOR_SHOWERS = [
+  {
+    id: "quadrantids",
+    sunLon: 283.15,
+    ra: 15.33,
+    dec: 49.5,
+    zhr: 110,
+    con: "Boo",
+  },
+  {
+    id: "lyrids",
+    sunLon: 32.32,
+    ra: 18.07,
+    dec: 33.6,
+    zhr: 18,
+    con: "Lyr",
+  },
+  {
+    id: "eta-aquariids",
+    sunLon: 45.5,
+    ra: 22.53,
+    dec: -1,
+    zhr: 50,
+    con: "Aqr",
+  },
+  {
+    id: "perseids",
+    sunLon: 140.0,
+    ra: 3.2,
+    dec: 58,
+    zhr: 100,
+    con: "Per",
+  },
+  {
+    id: "orionids",
+    sunLon: 208,
+    ra: 6.33,
+    dec: 15.5,
+    zhr: 20,
+    con: "Ori",
+  },
+  {
+    id: "leonids",
+    sunLon: 235.27,
+    ra: 10.2,
+    dec: 21.6,
+    zhr: 15,
+    con: "Leo",
+  },
+  {
+    id: "geminids",
+    sunLon: 262.2,
+    ra: 7.47,
+    dec: 32.5,
+    zhr: 150,
+    con: "Gem",
+  },
+];
+
+// 행성 이름 (현재 언어)
+const planetName = (name) =>
+  getObjectName(solarSystemBodies.find((body) => body.name === name)) || name;
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+// 천체(Body 또는 { ra, dec } 고정 위치)의 고도 (대기 굴절 보정)
+const altitudeOf = (target, observer, date) => {
+  const equ =
+    typeof target === "string"
+      ? Astronomy.Equator(target, date, observer, true, true)
+      : target;
+  return Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal").altitude;
+};
+
+// 천체를 볼 수 있는 가장 좋은 시각 - 해가 충분히 지고 지평선 위에 뜬 때 중
+//  - 기본: 현상이 있는 밤에 가장 높이 뜰 때
+//  - closest: 현상 시각 앞뒤 12시간 중 현상 시각에 가장 가까울 때 (달처럼 빨리 움직이는 천체)
+// 볼 수 없으면 null
+const findViewingTime = (target, observer, date, closest = false) => {
+  const { start, end } = closest
+    ? { start: addDays(date, -0.5), end: addDays(date, 0.5) }
+    : getNightWindow(observer, date);
+  let best = null;
+  for (
+    let t = start.getTime();
+    t <= end.getTime();
+    t += VIEW_STEP_MINUTES * 60000
+  ) {
+    const time = new Date(t);
+    if (altitudeOf(Astronomy.Body.Sun, observer, time) > VIEW_SUN_MAX_ALT) {
+      continue;
+    }
+    const alt = altitudeOf(target, observer, time);
+    if (alt <= VIEW_MIN_ALT) continue;
+    const score = closest ? -Math.abs(t - date.getTime()) : alt;
+    if (!best || score > best.score) best = { time, score };
+  }
+  return best ? best.time : null;
+};
+
+// 두 천체 사이의 지구 중심 각거리 (도)
+const separationAt = (bodyA, bodyB, date) =>
+  Astronomy.AngleBetween(
+    Astronomy.GeoVector(bodyA, date, true),
+    Astronomy.GeoVector(bodyB, date, true)
+  );
+
+// 구간 [t0, t1] (ms) 안에서 f 가 가장 작은 시각 - 황금 분할 탐색
+const refineMinimum = (f, t0, t1) => {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = t0;
+  let b = t1;
+  while (b - a > 60000) {
+    const c = b - (b - a) * ratio;
+    const d = a + (b - a) * ratio;
+    if (f(new Date(c)) < f(new Date(d))) b = d;
+    else a = c;
+  }
+  return new Date((a + b) / 2);
+};
+
+// 두 천체가 maxSeparation 안으로 가장 가까워지는 시각들
+// 반환: [{ date, separation }]
+const findCloseApproaches = (
+  bodyA,
+  bodyB,
+  start,
+  end,
+  stepHours,
+  maxSeparation
+) => {
+  const step = stepHours * 3600000;
+  const samples = [];
+  for (let t = start.getTime() - step; t <= end.getTime() + step; t += step) {
+    samples.push({ t, separation: separationAt(bodyA, bodyB, new Date(t)) });
+  }
+
+  const approaches = [];
+  for (let i = 1; i < samples.length - 1; i++) {
+    const { t, separation } = samples[i];
+    if (
+      separation <= samples[i - 1].separation &&
+      separation < samples[i + 1].separation &&
+      separation < maxSeparation + 1
+    ) {
+      const date = refineMinimum(
+        (time) => separationAt(bodyA, bodyB, time),
+        t - step,
+        t + step
+      );
+      const closest = separationAt(bodyA, bodyB, date);
+      if (closest <= maxSeparation && date >= start && date <= end) {
+        approaches.push({ date, separation: closest });
+      }
+    }
+  }
+  return approaches;
+};
+
+const makeEvent = (type, date, fields) => ({
+  id: `${type}-${fields.key}-${date.toISOString().slice(0, 10)}`,
+  type,
+  date,
+  viewTime: date,
+  ...fields,
+});
+
+/*-------------- 현상별 탐색 -------------- */
+// 월식 - 최대일 때(또는 부분 식 시작·끝에) 달이 떠 있으면
+const searchLunarEclipses = (observer, start, end) => {
+  const events = [];
+  let eclipse = Astronomy.SearchLunarEclipse(start);
+  while (eclipse.peak.date <= end) {
+    const peak = eclipse.peak.date;
+    const halfSpan = (eclipse.sd_partial || eclipse.sd_penum) * 60000;
+    const viewTime = [
+      peak,
+      new Date(peak - halfSpan),
+      new Date(+peak + halfSpan),
+    ].find((time) => altitudeOf(Astronomy.Body.Moon, observer, time) > 0);
+    if (viewTime) {
+      events.push(
+        makeEvent("lunarEclipse", peak, {
+          key: eclipse.kind,
+          title: t(`events.lunarEclipses.${eclipse.kind}`),
+          // 반영월식은 본영에 들지 않아 가려지는 정도가 항상 0 - 반영식 지속 시간으로
+          description:
+            eclipse.kind === "penumbral"
+              ? t("events.penumbralDuration", {
+                  minutes: Math.round(eclipse.sd_penum * 2),
+                })
+              : t("events.obscuration", {
+                  percent: percent(eclipse.obscuration),
+                }),
+          targetName: "Moon",
+          viewTime,
+        })
+      );
+    }
+    eclipse = Astronomy.NextLunarEclipse(eclipse.peak);
+  }
+  return events;
+};
+
+// 일식 - 관측지에서 해가 떠 있을 때 일어나는 것만
+const searchSolarEclipses = (observer, start, end) => {
+  const events = [];
+  let eclipse = Astronomy.SearchLocalSolarEclipse(start, observer);
+  while (eclipse.peak.time.date <= end) {
+    const { peak } = eclipse;
+    if (peak.altitude > 0) {
+      events.push(
+        makeEvent("solarEclipse", peak.time.date, {
+          key: eclipse.kind,
+          title: t(`events.solarEclipses.${eclipse.kind}`),
+          description: t("events.solarObscuration", {
+            percent: percent(eclipse.obscuration),
+            alt: peak.altitude.toFixed(0),
+          }),
+          targetName: "Sun",
+        })
+      );
+    }
+    eclipse = Astronomy.NextLocalSolarEclipse(peak.time, observer);
+  }
+  return events;
+};
+
+// 행성끼리 근접
+const searchConjunctions = (observer, start, end) => {
+  const events = [];
+  BRIGHT_PLANETS.forEach((nameA, index) => {
+    BRIGHT_PLANETS.slice(index + 1).forEach((nameB) => {
+      const bodyA = getBodyForName(nameA);
+      const bodyB = getBodyForName(nameB);
+      findCloseApproaches(
+        bodyA,
+        bodyB,
+        start,
+        end,
+        PLANET_STEP_HOURS,
+        CONJUNCTION_MAX_SEPARATION
+      ).forEach(({ date, separation }) => {
+        const viewTime = findViewingTime(bodyA, observer, date);
+        if (!viewTime) return;
+        events.push(
+          makeEvent("conjunction", date, {
+            key: `${nameA}-${nameB}`.toLowerCase(),
+            title: t("events.conjunctionTitle", {
+              a: planetName(nameA),
+              b: planetName(nameB),
+            }),
+            description: t("events.conjunctionDescription", {
+              separation: separation.toFixed(1),
+            }),
+            targetName: nameA,
+            viewTime,
+          })
+        );
+      });
+    });
+  });
+  return events;
+};
+
+// 달과 행성 근접
+const searchMoonApproaches = (observer, start, end) => {
+  const events = [];
+  BRIGHT_PLANETS.forEach((name) => {
+    const body = getBodyForName(name);
+    findCloseApproaches(
+      Astronomy.Body.Moon,
+      body,
+      start,
+      end,
+      MOON_STEP_HOURS,
+      MOON_APPROACH_MAX_SEPARATION
+    ).forEach(({ date, separation }) => {
+      const viewTime = findViewingTime(body, observer, date, true);
+      if (!viewTime) return;
+      events.push(
+        makeEvent("moonApproach", date, {
+          key: name.toLowerCase(),
+          title: t("events.moonApproachTitle", { planet: planetName(name) }),
+          description: t("events.moonApproachDescription", {
+            planet: planetName(name),
+            separation: separation.toFixed(1),
+          }),
+          targetName: name,
+          viewTime,
+        })
+      );
+    });
+  });
+  return events;
+};
+
+// 외행성의 충 (태양 반대편 - 밤새 보이고 가장 밝음)
+const searchOppositions = (observer, start, end) => {
+  const events = [];
+  OUTER_PLANETS.forEach((name) => {
+    const body = getBodyForName(name);
+    // 상대 황경 0° - 외행성은 충
+    let time = Astronomy.SearchRelativeLongitude(body, 0, start);
+    while (time.date <= end) {
+      const viewTime = findViewingTime(body, observer, time.date);
+      if (viewTime) {
+        events.push(
+          makeEvent("opposition", time.date, {
+            key: name.toLowerCase(),
+            title: t("events.oppositionTitle", { planet: planetName(name) }),
+            description: t("events.oppositionDescription"),
+            targetName: name,
+            viewTime,
+          })
+        );
+      }
+      time = Astronomy.SearchRelativeLongitude(body, 0, time.AddDays(1));
+    }
+  });
+  return events;
+};
+
+// 수성·금성의 최대 이각 (저녁: 동방, 새벽: 서방)
+const searchElongations = (observer, start, end) => {
+  const events = [];
+  INNER_PLANETS.forEach((name) => {
+    const body = getBodyForName(name);
+    let elongation = Astronomy.SearchMaxElongation(body, start);
+    while (elongation.time.date <= end) {
+      const { time, visibility } = elongation;
+      const viewTime = findViewingTime(body, observer, time.date);
+      if (viewTime) {
+        events.push(
+          makeEvent("elongation", time.date, {
+            key: `${name}-${visibility}`.toLowerCase(),
+            title: t(
+              visibility === "evening" ? "events.eastern" : "events.western",
+              { planet: planetName(name) }
+            ),
+            description: t(
+              visibility === "evening"
+                ? "events.eveningSky"
+                : "events.morningSky",
+              { elongation: elongation.elongation.toFixed(0) }
+            ),
+            targetName: name,
+            viewTime,
+          })
+        );
+      }
+      elongation = Astronomy.SearchMaxElongation(body, time.AddDays(1));
+    }
+  });
+  return events;
+};
+
+// 유성우 극대 - 복사점이 어두운 하늘에 떠 있는 밤만
+const searchMeteorShowers = (observer, start, end) => {
+  const events = [];
+  METEOR_SHOWERS.forEach((shower) => {
+    const peak = Astronomy.SearchSunLongitude(
+      shower.sunLon,
+      start,
+      (end - start) / 86400000
+    );
+    if (!peak) return;
+    const viewTime = findViewingTime(shower, observer, peak.date);
+    if (!viewTime) return;
+    events.push(
+      makeEvent("meteorShower", peak.date, {
+        key: shower.id,
+        title: t("events.showerTitle", {
+          shower: t(`events.showers.${shower.id}`),
+        }),
+        description: t("events.showerDescription", {
+          zhr: shower.zhr,
+          con: shower.con,
+        }),
+        targetName: shower.con,
+        viewTime,
+      })
+    );
+  });
+  return events;
+};
+
+const SEARCHES = {
+  lunarEclipse: searchLunarEclipses,
+  solarEclipse: searchSolarEclipses,
+  conjunction: searchConjunctions,
+  opposition: searchOppositions,
+  elongation: searchElongations,
+  moonApproach: searchMoonApproaches,
+  meteorShower: searchMeteorShowers,
+};
+
+// 근접 탐색은 오래 걸려서 이 기간(일)씩 나눠 계산 (한 번에 JS 스레드를 오래 막지 않도록)
+//  - 창 경계에서는 findCloseApproaches 가 앞뒤 한 단계씩 더 보므로 빠지는 근접이 없음
+//  - 기간은 탐색 간격(PLANET_STEP_HOURS, MOON_STEP_HOURS)의 배수
+const CHUNKED_SEARCHES = ["conjunction", "moonApproach"];
+const SEARCH_CHUNK_DAYS = 6;
+
+// 탐색 작업 목록 - 작업 하나가 현상 배열을 반환
+const makeSearchTasks = (observer, start, end) =>
+  Object.entries(SEARCHES).flatMap(([type, search]) => {
+    const ranges = [];
+    if (CHUNKED_SEARCHES.includes(type)) {
+      for (
+        let from = start;
+        from < end;
+        from = addDays(from, SEARCH_CHUNK_DAYS)
+      ) {
+        const to = addDays(from, SEARCH_CHUNK_DAYS);
+        ranges.push([from, to < end ? to : end]);
+      }
+    } else {
+      ranges.push([start, end]);
+    }
+    return ranges.map(([from, to]) => () => {
+      try {
+        return search(observer, from, to);
+      } catch (error) {
+        console.error(`천문 현상 탐색 중 오류 (${type}):`, error);
+        return [];
+      }
+    });
+  });
+
+const byDate = (a, b) => a.date - b.date;
+
+// 관측지에서 볼 수 있는 천문 현상 (날짜순)
+// 반환: [{ id, type, date, viewTime, title, description, targetName }]
+//  - date: 현상 시각, viewTime: 관측하기 좋은 시각 (선택 시 이동)
+//  - targetName: 선택할 천체의 검색어 (searchCelestial)
+export const searchEvents = (
+  observer,
+  start = getSimulatedDate(),
+  days = EVENT_SEARCH_DAYS
+) => {
+  if (!observer) return [];
+  return makeSearchTasks(observer, start, addDays(start, days))
+    .flatMap((task) => task())
+    .sort(byDate);
+};
+
+// 마지막 탐색 결과 - 같은 관측지·날짜·언어로 다시 열면 그대로 사용
+let lastSearch = null; // { key, events }
+
+const searchKey = (observer, start, days) =>
+  [
+    observer.latitude.toFixed(3),
+    observer.longitude.toFixed(3),
+    Math.round(observer.height),
+    Math.floor(start.getTime() / 86400000),
+    days,
+    getLocale(),
+  ].join("|");
+
+// searchEvents 를 작업 하나씩 나눠 실행 (작업 사이에 화면·센서 처리가 끼어들 수 있도록)
+//  - 끝나면 onDone(events), 결과가 캐시에 있으면 바로 onDone
+// 반환: { stop } - 탐색 중단
+export const startEventSearch = (
+  observer,
+  { start = getSimulatedDate(), days = EVENT_SEARCH_DAYS, onDone }
+) => {
+  if (!observer) {
+    onDone([]);
+    return { stop: () => {} };
+  }
+  const key = searchKey(observer, start, days);
+  if (lastSearch && lastSearch.key === key) {
+    onDone(lastSearch.events);
+    return { stop: () => {} };
+  }
+
+  const tasks = makeSearchTasks(observer, start, addDays(start, days));
+  const events = [];
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+
+  const tick = () => {
+    if (stopped) return;
+    events.push(...tasks[index]());
+    index++;
+    if (index < tasks.length) {
+      timer = setTimeout(tick, 0);
+      return;
+    }
+    events.sort(byDate);
+    lastSearch = { key, events };
+    onDone(events);
+  };
+  // 패널을 먼저 그린 뒤 시작
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+/*-------------- 알림 -------------- */
+let reminders = {}; // 현상 id → 예약된 알림 id
+
+const persistReminders = async () => {
+  try {
+    await FileSystem.writeAsStringAsync(
+      REMINDERS_FILE,
+      JSON.stringify(reminders)
+    );
+  } catch (error) {
+    console.error("천문 현상 알림 저장 실패:", error);
+  }
+};
+
+// 앱이 열려 있을 때도 알림 표시 (앱 시작 시 한 번)
+export const configureEventNotifications = () => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+};
+
+// 예약된 알림 불러오기 (이미 지난 알림은 정리)
+export const loadReminders = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(REMINDERS_FILE);
+    if (info.exists) {
+      const saved = JSON.parse(
+        await FileSystem.readAsStringAsync(REMINDERS_FILE)
+      );
+      const scheduled = new Set(
+        (await Notifications.getAllScheduledNotificationsAsync()).map(
+          (notification) => notification.identifier
+        )
+      );
+      reminders = Object.fromEntries(
+        Object.entries(saved).filter(([, id]) => scheduled.has(id))
+      );
+    }
+  } catch (error) {
+    console.error("천문 현상 알림 불러오기 실패:", error);
+  }
+  return reminders;
+};
+
+export const getReminders = () => reminders;
+
+// 현상 알림 예약 - 볼 시각 REMINDER_LEAD_MINUTES 분 전
+export const scheduleEventReminder = async (event) => {
+  const triggerDate = new Date(
+    event.viewTime.getTime() - REMINDER_LEAD_MINUTES * 60000
+  );
+  if (triggerDate <= new Date()) {
+    throw new Error(t("events.errors.tooLate"));
+  }
+
+  const { granted } = await Notifications.requestPermissionsAsync();
+  if (!granted) throw new Error(t("events.errors.noPermission"));
+
+  const id = await Notifications.scheduleNotificationAsync({
+    content: {
+      title: t("events.reminderTitle", {
+        title: event.title,
+        minutes: REMINDER_LEAD_MINUTES,
+      }),
+      body: event.description,
+      data: {
+        eventId: event.id,
+        viewTime: event.viewTime.toISOString(),
+        targetName: event.targetName,
+      },
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: triggerDate,
+    },
+  });
+  reminders = { ...reminders, [event.id]: id };
+  await persistReminders();
+  return reminders;
+};
+
+export const cancelEventReminder = async (eventId) => {
+  const id = reminders[eventId];
+  if (id) await Notifications.cancelScheduledNotificationAsync(id);
+  reminders = Object.fromEntries(
+    Object.entries(reminders).filter(([key]) => key !== eventId)
+  );
+  await persistReminders();
+  return reminders;
+};
+
+// 알림 응답 → { viewTime, targetName } (현상 알림이 아니면 null)
+const reminderTarget = (response) => {
+  const { viewTime, targetName } =
+    response.notification.request.content.data || {};
+  return viewTime ? { viewTime: new Date(viewTime), targetName } : null;
+};
+
+// 알림을 눌렀을 때 - onOpen({ viewTime, targetName }), 해제 함수 반환
+export const subscribeReminderResponses = (onOpen) => {
+  const subscription = Notifications.addNotificationResponseReceivedListener(
+    (response) => {
+      const target = reminderTarget(response);
+      if (!target) return;
+      // 처리한 응답은 지워서 다음 실행 때 getLaunchReminderResponse 가 다시 돌려주지 않게
+      Notifications.clearLastNotificationResponseAsync().catch(() => {});
+      onOpen(target);
+    }
+  );
+  return () => subscription.remove();
+};
+
+// 종료된 앱을 알림으로 실행했을 때 - 리스너가 생기기 전에 온 응답
+// 반환: { viewTime, targetName } 또는 null (한 번 읽으면 지워서 다시 적용하지 않음)
+export const getLaunchReminderResponse = async () => {
+  try {
+    const response = await Notifications.getLastNotificationResponseAsync();
+    if (!response) return null;
+    await Notifications.clearLastNotificationResponseAsync();
+    return reminderTarget(response);
+  } catch (error) {
+    console.error("알림 응답 확인 중 오류:", error);
+    return null;
+  }
+};
+
+export default {
+  EVENT_SEARCH_DAYS,
+  REMINDER_LEAD_MINUTES,
+  EVENT_TYPES,
+  searchEvents,
+  startEventSearch,
+  configureEventNotifications,
+  loadReminders,
+  getReminders,
+  scheduleEventReminder,
+  cancelEventReminder,
+  subscribeReminderResponses,
+  getLaunchReminderResponse,
+};
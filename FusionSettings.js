@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  DEFAULT_FUSION_SETTINGS,
+  FUSION_ALGORITHMS,
+  FUSION_LIMITS,
+  normalizeFusionSettings,
+} from "./SettingsData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+// 숫자 설정 한 줄 (- 값 +)
+const Stepper = ({ label, description, value, unit, limits, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const decimals = limits.step < 1 ? 2 : 0;
+  const change = (direction) =>
+    onChange(
+      Math.min(
+        limits.max,
+        Math.max(
+          limits.min,
+          Math.round((value + direction * limits.step) * 100) / 100
+        )
+      )
+    );
+
+  return (
+    <View style={styles.settingRow}>
+      <View style={styles.settingLabel}>
+        <Text style={styles.txt}>{label}</Text>
+        <Text style={styles.description}>{description}</Text>
+      </View>
+      <TouchableOpacity onPress={() => change(-1)}>
+        <Ionicons name="remove-circle-outline" size={26} color={colors.text} />
+      </TouchableOpacity>
+      <Text style={styles.value}>
+        {value.toFixed(decimals)}
+        {unit}
+      </Text>
+      <TouchableOpacity onPress={() => change(1)}>
+        <Ionicons name="add-circle-outline" size={26} color={colors.text} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// 센서 융합 설정 - 알고리즘(Madgwick/Mahony), 이득, 평활화, 갱신 임계값
+export default function FusionSettings({ settings, onSave, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [draft, setDraft] = useState(normalizeFusionSettings(settings));
+  const set = (key) => (value) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("fusion.title")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView>
+          {/* 알고리즘 */}
+          <Text style={styles.sectionTitle}>{t("fusion.algorithm")}</Text>
+          <View style={styles.segment}>
+            {FUSION_ALGORITHMS.map((algorithm) => (
+              <TouchableOpacity
+                key={algorithm}
+                style={[
+                  styles.segmentItem,
+                  draft.algorithm === algorithm && styles.segmentActive,
+                ]}
+                onPress={() => set("algorithm")(algorithm)}
+              >
+                <Text style={styles.txt}>{algorithm}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* 필터 이득 */}
+          <Text style={styles.sectionTitle}>{t("fusion.gain")}</Text>
+          {draft.algorithm === "Madgwick" ? (
+            <Stepper
+              label="beta"
+              description={t("fusion.betaHelp")}
+              value={draft.beta}
+              limits={FUSION_LIMITS.beta}
+              onChange={set("beta")}
+            />
+          ) : (
+            <>
+              <Stepper
+                label="Kp"
+                description={t("fusion.kpHelp")}
+                value={draft.kp}
+                limits={FUSION_LIMITS.kp}
+                onChange={set("kp")}
+              />
+              <Stepper
+                label="Ki"
+                description={t("fusion.kiHelp")}
+                value={draft.ki}
+                limits={FUSION_LIMITS.ki}
+                onChange={set("ki")}
+              />
+            </>
+          )}
+
+          {/* 평활화 */}
+          <Text style={styles.sectionTitle}>{t("fusion.smoothing")}</Text>
+          <Stepper
+            label={t("fusion.timeConstant")}
+            description={t("fusion.timeConstantHelp")}
+            value={draft.smoothingMs}
+            unit="ms"
+            limits={FUSION_LIMITS.smoothingMs}
+            onChange={set("smoothingMs")}
+          />
+          <View style={styles.settingRow}>
+            <View style={styles.settingLabel}>
+              <Text style={styles.txt}>{t("fusion.adaptive")}</Text>
+              <Text style={styles.description}>{t("fusion.adaptiveHelp")}</Text>
+            </View>
+            <Switch value={draft.adaptive} onValueChange={set("adaptive")} />
+          </View>
+          <Stepper
+            label={t("fusion.threshold")}
+            description={t("fusion.thresholdHelp")}
+            value={draft.changeThreshold}
+            unit="°"
+            limits={FUSION_LIMITS.changeThreshold}
+            onChange={set("changeThreshold")}
+          />
+        </ScrollView>
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={() => setDraft(DEFAULT_FUSION_SETTINGS)}
+          >
+            <Text style={styles.buttonText}>{t("fusion.defaults")}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => onSave(draft)}>
+            <Text style={styles.buttonText}>{t("common.save")}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      maxHeight: "85%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    sectionTitle: {
+      color: colors.textMuted,
+      fontSize: 14,
+      marginTop: 16,
+      marginBottom: 6,
+    },
+    segment: { flexDirection: "row", gap: 8 },
+    segmentItem: {
+      flex: 1,
+      alignItems: "center",
+      paddingVertical: 8,
+      borderRadius: 8,
+      backgroundColor: colors.field,
+    },
+    segmentActive: { backgroundColor: colors.accentSoft },
+    settingRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 6,
+      gap: 8,
+    },
+    settingLabel: { flex: 1 },
+    description: { color: colors.textMuted, fontSize: 12 },
+    value: {
+      color: colors.text,
+      fontSize: 16,
+      minWidth: 56,
+      textAlign: "center",
+    },
+    txt: { color: colors.text, fontSize: 15 },
+    buttonRow: { flexDirection: "row", gap: 8, marginTop: 12 },
+    button: {
+      flex: 1,
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 10,
+      alignItems: "center",
+    },
+    secondaryButton: { backgroundColor: colors.button },
+    buttonText: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+  });
@@ -0,0 +1,168 @@
+import * as Astronomy from "astronomy-engine";
+import { getSimulatedDate } from "./SimulationClock";
+import { t } from "./LocaleData";
+
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+// 화면 중앙 원 안에 들어왔다고 보는 거리 (도)
+export const IN_VIEW_RADIUS = 3;
+
+// 방위각 차이를 -180 ~ 180 범위로
+const wrapDegrees = (deg) => ((((deg + 180) % 360) + 360) % 360) - 180;
+
+// 천체의 현재 지평 좌표 (방위각·고도, 대기 굴절 포함)
+// 항성 카탈로그는 J2000 적도 좌표, 태양계 천체는 관측 시점의 적도 좌표
+export const getTargetHorizon = (
+  target,
+  observer,
+  date = getSimulatedDate()
+) => {
+  if (!target || !observer) return null;
+
+  // 인공위성은 실시간 갱신된 지평 좌표를 그대로 사용
+  if (target.isSatellite && typeof target.alt === "number") {
+    return { az: target.az, alt: target.alt };
+  }
+
+  if (target.isSolarSystemBody) {
+    const hor = Astronomy.Horizon(
+      date,
+      observer,
+      target.ra,
+      target.dec,
+      "normal"
+    );
+    return { az: hor.azimuth, alt: hor.altitude };
+  }
+
+  const time = Astronomy.MakeTime(date);
+  const vEq = Astronomy.VectorFromSphere(
+    new Astronomy.Spherical(target.dec, target.ra * 15, 1),
+    time
+  );
+  const rot = Astronomy.Rotation_EQJ_HOR(time, observer);
+  const hor = Astronomy.HorizonFromVector(
+    Astronomy.RotateVector(rot, vEq),
+    "normal"
+  );
+  return { az: hor.lon, alt: hor.lat };
+};
+
+// 지평 좌표 → NED(북·동·아래) 단위 벡터
+export const horizonToNed = (az, alt) => {
+  const cosAlt = Math.cos(alt * DEG2RAD);
+  return [
+    cosAlt * Math.cos(az * DEG2RAD),
+    cosAlt * Math.sin(az * DEG2RAD),
+    -Math.sin(alt * DEG2RAD),
+  ];
+};
+
+// NED → 기기 좌표 회전 행렬 (X: 카메라 방향, Y: 화면 오른쪽, Z: 화면 아래쪽)
+// AHRS 쿼터니언은 기기 → NED 회전이므로 그 전치 행렬
+export const nedToDeviceMatrix = ({ w, x, y, z }) => [
+  [w * w + x * x - y * y - z * z, 2 * (x * y + w * z), 2 * (x * z - w * y)],
+  [2 * (x * y - w * z), w * w - x * x + y * y - z * z, 2 * (y * z + w * x)],
+  [2 * (x * z + w * y), 2 * (y * z - w * x), w * w - x * x - y * y + z * z],
+];
+
+// 3x3 행렬 × 벡터
+export const applyMatrix = (m, [a, b, c]) => [
+  m[0][0] * a + m[0][1] * b + m[0][2] * c,
+  m[1][0] * a + m[1][1] * b + m[1][2] * c,
+  m[2][0] * a + m[2][1] * b + m[2][2] * c,
+];
+
+// NED 벡터 → 기기 좌표
+export const nedToDevice = (q, v) => applyMatrix(nedToDeviceMatrix(q), v);
+
+// 방위각·고도·회전각 (ZYX 오일러, 도) → 기기 → NED 쿼터니언
+// AHRS getEulerAngles 와 같은 규약
+export const eulerToQuaternion = (heading, pitch, roll = 0) => {
+  const cy = Math.cos((heading * DEG2RAD) / 2);
+  const sy = Math.sin((heading * DEG2RAD) / 2);
+  const cp = Math.cos((pitch * DEG2RAD) / 2);
+  const sp = Math.sin((pitch * DEG2RAD) / 2);
+  const cr = Math.cos((roll * DEG2RAD) / 2);
+  const sr = Math.sin((roll * DEG2RAD) / 2);
+  return {
+    w: cr * cp * cy + sr * sp * sy,
+    x: sr * cp * cy - cr * sp * sy,
+    y: cr * sp * cy + sr * cp * sy,
+    z: cr * cp * sy - sr * sp * cy,
+  };
+};
+
+// 현재 기기 방향 → 목표 천체 안내 정보
+//  - orientation: { az, alt, roll, quaternion } (az는 진북 기준, quaternion은 자북 기준)
+//  - declination: 자북-진북 편각 (도)
+export const calculateGuidance = (orientation, targetHor, declination = 0) => {
+  if (!orientation || !targetHor) return null;
+
+  // 쿼터니언이 아직 없으면 방위각·고도·회전각으로 대신 구성
+  const quaternion =
+    orientation.quaternion ||
+    eulerToQuaternion(
+      orientation.az - declination,
+      orientation.alt,
+      orientation.roll || 0
+    );
+
+  // 기기 좌표계에서 목표 방향을 구하면 기기 회전(roll)이 자동으로 반영됨
+  const [fwd, right, down] = nedToDevice(
+    quaternion,
+    horizonToNed(targetHor.az - declination, targetHor.alt)
+  );
+  const distance = Math.acos(Math.min(1, Math.max(-1, fwd))) * RAD2DEG;
+  const screenAngle = Math.atan2(right, -down) * RAD2DEG;
+
+  return {
+    distance,
+    // 화면 위쪽 0°, 시계 방향 (화살표 회전각)
+    angleDeg: (screenAngle + 360) % 360,
+    // 몸을 돌려야 하는 양 (+: 오른쪽/위쪽)
+    turnAz: wrapDegrees(targetHor.az - orientation.az),
+    turnAlt: targetHor.alt - orientation.alt,
+    targetAz: targetHor.az,
+    targetAlt: targetHor.alt,
+  };
+};
+
+// 천체의 겉보기 크기를 반영한 시야 반경 (도)
+// 딥스카이 천체는 가장자리가 원에 들어오면 시야 안으로 봄 (예: M31 은 약 4.6°)
+export const getInViewRadius = (target) =>
+  IN_VIEW_RADIUS + (target?.sizeArcmin || 0) / 60 / 2;
+
+// "오른쪽으로 12° · 위로 5°" 형태의 안내 문구
+export const describeTurn = ({ turnAz, turnAlt }) => {
+  const parts = [];
+  if (Math.abs(turnAz) >= 1) {
+    parts.push(
+      t(turnAz > 0 ? "guidance.right" : "guidance.left", {
+        value: Math.abs(turnAz).toFixed(0),
+      })
+    );
+  }
+  if (Math.abs(turnAlt) >= 1) {
+    parts.push(
+      t(turnAlt > 0 ? "guidance.up" : "guidance.down", {
+        value: Math.abs(turnAlt).toFixed(0),
+      })
+    );
+  }
+  return parts.join(" · ");
+};
+
+export default {
+  IN_VIEW_RADIUS,
+  getTargetHorizon,
+  horizonToNed,
+  nedToDeviceMatrix,
+  applyMatrix,
+  nedToDevice,
+  eulerToQuaternion,
+  calculateGuidance,
+  getInViewRadius,
+  describeTurn,
+};
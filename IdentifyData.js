@@ -0,0 +1,107 @@
+import * as Astronomy from "astronomy-engine";
+import {
+  getStarsBrighterThan,
+  getAllSolarSystemBodiesPositions,
+} from "./StarData";
+import { deepSkyObjects, deepSkyTarget } from "./DeepSkyData";
+import { getSimulatedDate } from "./SimulationClock";
+
+// 화면 중앙(조준점)에 있는 천체 찾기 - 이름 → 방향의 반대 방향
+
+// HUD 에 이름을 표시할 천체의 한계 등급
+export const HUD_LIMIT_MAG = 3.5;
+
+// 한계 등급별 항성 목록 (J2000 좌표는 변하지 않으므로 한 번만 만듦)
+//  - 쓰는 한계 등급은 HUD·식별 패널 설정 몇 가지뿐이라 모두 보관
+const starCache = new Map();
+const getStars = (limitMag) => {
+  if (!starCache.has(limitMag)) {
+    starCache.set(limitMag, getStarsBrighterThan(limitMag));
+  }
+  return starCache.get(limitMag);
+};
+
+// 두 방향 사이의 각거리 (도) - 경도·위도 (도)
+export const angularSeparation = (lon1, lat1, lon2, lat2) => {
+  const d2r = Astronomy.DEG2RAD;
+  const cos =
+    Math.sin(lat1 * d2r) * Math.sin(lat2 * d2r) +
+    Math.cos(lat1 * d2r) * Math.cos(lat2 * d2r) * Math.cos((lon1 - lon2) * d2r);
+  return Math.acos(Math.min(1, Math.max(-1, cos))) * Astronomy.RAD2DEG;
+};
+
+// 조준점 주변 천체 (가까운 순)
+//  - eq: 조준점 J2000 적도 좌표 { ra(시), dec }
+//  - horizon: 조준점 지평 좌표 { az, alt } (태양계 천체는 관측 시점 좌표라 지평 좌표로 비교)
+// 반환: [{ target, separation, mag }]
+export const findObjectsNear = (
+  eq,
+  horizon,
+  observer,
+  date = getSimulatedDate(),
+  { radius = 5, limitMag = 6 } = {}
+) => {
+  if (!eq || !observer) return [];
+  const results = [];
+  const add = (target, separation) => {
+    if (separation <= radius) {
+      results.push({ target, separation, mag: target.mag });
+    }
+  };
+
+  try {
+    getStars(limitMag).forEach((star) => {
+      // 적위 차이만으로 먼저 거름
+      if (Math.abs(star.dec - eq.dec) > radius) return;
+      add(star, angularSeparation(star.ra * 15, star.dec, eq.ra * 15, eq.dec));
+    });
+
+    deepSkyObjects.forEach((object) => {
+      if (object.mag === null || object.mag > limitMag) return;
+      if (Math.abs(object.dec - eq.dec) > radius) return;
+      const separation = angularSeparation(
+        object.ra * 15,
+        object.dec,
+        eq.ra * 15,
+        eq.dec
+      );
+      if (separation <= radius) add(deepSkyTarget(object), separation);
+    });
+
+    if (horizon) {
+      getAllSolarSystemBodiesPositions(observer, date)
+        .filter((body) => body.mag <= limitMag)
+        .forEach((body) =>
+          add(
+            body,
+            angularSeparation(body.az, body.alt, horizon.az, horizon.alt)
+          )
+        );
+    }
+  } catch (error) {
+    console.error("조준점 주변 천체 계산 중 오류:", error);
+    return [];
+  }
+
+  return results.sort((a, b) => a.separation - b.separation);
+};
+
+// 조준점에서 가장 가까운 밝은 천체 (반경 안에 없으면 null)
+export const findNearestBright = (
+  eq,
+  horizon,
+  observer,
+  date = getSimulatedDate(),
+  radius = 5
+) =>
+  findObjectsNear(eq, horizon, observer, date, {
+    radius,
+    limitMag: HUD_LIMIT_MAG,
+  })[0] || null;
+
+export default {
+  HUD_LIMIT_MAG,
+  angularSeparation,
+  findObjectsNear,
+  findNearestBright,
+};
@@ -0,0 +1,166 @@
+import React from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { IDENTIFY_LIMITS } from "./SettingsData";
+import { getDeepSkyType } from "./DeepSkyData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t, getObjectName } from "./LocaleData";
+
+// 천체 종류 표시
+const describeKind = (target) => {
+  if (target.isDeepSky) return getDeepSkyType(target.dsoType).label;
+  if (target.isSolarSystemBody) return t("identify.solarSystem");
+  return target.designation || t("identify.star");
+};
+
+// 각거리 표시 (1° 미만은 분 단위)
+export const formatSeparation = (deg) =>
+  deg < 1 ? `${(deg * 60).toFixed(0)}′` : `${deg.toFixed(1)}°`;
+
+// 숫자 설정 (- 값 +)
+const Stepper = ({ label, value, unit, limits, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.stepper}>
+      <Text style={styles.txt}>{label}</Text>
+      <TouchableOpacity
+        onPress={() => onChange(Math.max(limits.min, value - limits.step))}
+      >
+        <Ionicons name="remove-circle-outline" size={24} color={colors.text} />
+      </TouchableOpacity>
+      <Text style={styles.value}>
+        {value.toFixed(limits.step < 1 ? 1 : 0)}
+        {unit}
+      </Text>
+      <TouchableOpacity
+        onPress={() => onChange(Math.min(limits.max, value + limits.step))}
+      >
+        <Ionicons name="add-circle-outline" size={24} color={colors.text} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// 조준점 주변 천체 목록 - 가까운 순, 누르면 선택 천체로 고정
+//  - objects: IdentifyData.findObjectsNear 결과
+//  - settings: { radius, limitMag }, onChangeSettings(settings)
+export default function IdentifyPanel({
+  objects,
+  settings,
+  onChangeSettings,
+  onSelect,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const set = (key) => (value) =>
+    onChangeSettings({ ...settings, [key]: value });
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t("identify.title")}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Ionicons name="close" size={22} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.row}>
+        <Stepper
+          label={t("identify.radius")}
+          value={settings.radius}
+          unit="°"
+          limits={IDENTIFY_LIMITS.radius}
+          onChange={set("radius")}
+        />
+        <Stepper
+          label={t("identify.limitMag")}
+          value={settings.limitMag}
+          limits={IDENTIFY_LIMITS.limitMag}
+          onChange={set("limitMag")}
+        />
+      </View>
+
+      <FlatList
+        data={objects}
+        keyExtractor={(item) => String(item.target.id)}
+        ListEmptyComponent={
+          <Text style={styles.empty}>{t("identify.empty")}</Text>
+        }
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.item}
+            onPress={() => onSelect(item.target)}
+          >
+            <Text style={styles.itemName}>{getObjectName(item.target)}</Text>
+            <Text style={styles.itemInfo}>
+              {[
+                describeKind(item.target),
+                formatSeparation(item.separation),
+                item.mag != null
+                  ? t("identify.magnitude", { value: item.mag.toFixed(1) })
+                  : t("identify.noMagnitude"),
+              ].join(" · ")}
+            </Text>
+          </TouchableOpacity>
+        )}
+      />
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    panel: {
+      position: "absolute",
+      bottom: 40,
+      left: 20,
+      right: 20,
+      maxHeight: 320,
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 12,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    title: { color: colors.text, fontSize: 18, fontWeight: "bold" },
+    row: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      marginBottom: 6,
+    },
+    stepper: { flexDirection: "row", alignItems: "center", gap: 4 },
+    value: {
+      color: colors.text,
+      fontSize: 15,
+      minWidth: 36,
+      textAlign: "center",
+    },
+    txt: { color: colors.text, fontSize: 14 },
+    empty: {
+      color: colors.textMuted,
+      fontSize: 14,
+      textAlign: "center",
+      marginTop: 12,
+    },
+    item: {
+      paddingVertical: 6,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemName: { color: colors.text, fontSize: 15, fontWeight: "bold" },
+    itemInfo: { color: colors.textSecondary, fontSize: 12 },
+  });
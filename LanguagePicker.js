@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  LOCALES,
+  detectLocale,
+  getLocaleOverride,
+  setLocale,
+  useLocale,
+  t,
+} from "./LocaleData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+
+// 언어 선택 - 기기 언어를 따르거나 직접 고름 (고른 값은 설정에 저장)
+export default function LanguagePicker({ onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [override, setOverride] = useState(getLocaleOverride);
+
+  const choose = async (locale) => {
+    setOverride(locale);
+    await setLocale(locale);
+  };
+
+  // null = 기기 언어
+  const options = [null, ...Object.keys(LOCALES)];
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("language.title")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {options.map((locale) => (
+          <TouchableOpacity
+            key={locale || "device"}
+            style={styles.item}
+            onPress={() => choose(locale)}
+          >
+            <View style={styles.itemBody}>
+              <Text style={styles.itemName}>
+                {locale ? LOCALES[locale].label : t("language.device")}
+              </Text>
+              {!locale && (
+                <Text style={styles.itemInfo}>
+                  {LOCALES[detectLocale()].label}
+                </Text>
+              )}
+            </View>
+            {override === locale && (
+              <Ionicons name="checkmark" size={20} color={colors.text} />
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "80%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    item: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemBody: { flex: 1 },
+    itemName: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+    itemInfo: { color: colors.textSecondary, fontSize: 12, marginTop: 2 },
+  });
@@ -0,0 +1,162 @@
+import { useState, useEffect } from "react";
+import * as Localization from "expo-localization";
+import ko from "./assets/locales/ko.json";
+import en from "./assets/locales/en.json";
+import { getSettings, saveDisplaySettings } from "./SettingsData";
+
+// 화면 언어 - UI 문자열 표와 천체 이름
+//
+// 문자열 표 (assets/locales/<언어>.json):
+//   { "hud": { "azimuth": "방위각: {value}°" }, "common": { "weekdays": [...] } }
+//  - t("hud.azimuth", { value }) 처럼 점으로 이은 key, {이름} 자리에 값을 넣음
+//  - 현재 언어 표에 없는 key 는 FALLBACK_LOCALE 표에서
+//  - "objects": { "<천체 id>": "이름" } 이 있으면 카탈로그 이름보다 우선 (검색에도 쓰임)
+// 언어 추가: 문자열 표를 만들고 LOCALES 에 등록
+//  - nameField: 카탈로그에서 그 언어 이름이 든 필드 (proper = 한글 이름, name = 영문·국제 이름)
+
+export const LOCALES = {
+  ko: { label: "한국어", strings: ko, nameField: "proper" },
+  en: { label: "English", strings: en, nameField: "name" },
+};
+
+// 기기 언어를 지원하지 않을 때, 표에 key 가 없을 때 쓰는 언어
+export const FALLBACK_LOCALE = "en";
+
+// 기기 언어 중 지원하는 첫 번째 (없으면 FALLBACK_LOCALE)
+export const detectLocale = () => {
+  try {
+    const match = Localization.getLocales().find(
+      (locale) => LOCALES[locale.languageCode]
+    );
+    if (match) return match.languageCode;
+  } catch (error) {
+    console.error("기기 언어 확인 실패:", error);
+  }
+  return FALLBACK_LOCALE;
+};
+
+let currentLocale = detectLocale();
+const listeners = new Set();
+
+export const getLocale = () => currentLocale;
+
+const applyLocale = (locale) => {
+  currentLocale = locale;
+  listeners.forEach((listener) => listener(locale));
+};
+
+// 저장된 언어 적용 (앱 시작 시 loadSettings 다음에 한 번) - 없으면 기기 언어
+export const loadLocale = () => {
+  const saved = getSettings().display.locale;
+  applyLocale(LOCALES[saved] ? saved : detectLocale());
+  return currentLocale;
+};
+
+// 언어 바꾸고 저장 - null 이면 기기 언어를 따름
+export const setLocale = async (locale) => {
+  const manual = LOCALES[locale] ? locale : null;
+  applyLocale(manual || detectLocale());
+  await saveDisplaySettings({ locale: manual });
+  return currentLocale;
+};
+
+// 직접 고른 언어 (기기 언어를 따르면 null)
+export const getLocaleOverride = () => {
+  const saved = getSettings().display.locale;
+  return LOCALES[saved] ? saved : null;
+};
+
+// 언어 변경 구독 - 해제 함수 반환
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 현재 언어를 구독하는 훅 - 언어가 바뀌면 컴포넌트를 다시 그림
+export const useLocale = () => {
+  const [locale, setLocaleState] = useState(currentLocale);
+  useEffect(() => {
+    setLocaleState(currentLocale);
+    return subscribeLocale(setLocaleState);
+  }, []);
+  return locale;
+};
+
+/*-------------- 문자열 -------------- */
+const lookup = (strings, key) =>
+  key
+    .split(".")
+    .reduce((node, part) => (node == null ? undefined : node[part]), strings);
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null
+      ? match
+      : String(params[name])
+  );
+
+// 문자열 표 값 (배열·객체면 그대로, 문자열이면 params 를 채워서)
+//  - 어느 표에도 없으면 key 그대로
+export const t = (key, params = {}, locale = currentLocale) => {
+  let value = lookup(LOCALES[locale].strings, key);
+  if (value === undefined)
+    value = lookup(LOCALES[FALLBACK_LOCALE].strings, key);
+  if (value === undefined) {
+    console.warn(`번역 문자열 없음: ${key}`);
+    return key;
+  }
+  return typeof value === "string" ? interpolate(value, params) : value;
+};
+
+// 언어별 값이 든 객체 또는 문자열 (예: 투어 JSON 의 { "ko": "...", "en": "..." })
+export const localizeText = (value, locale = currentLocale) => {
+  if (!value || typeof value !== "object") return value || "";
+  return value[locale] || value[FALLBACK_LOCALE] || Object.values(value)[0];
+};
+
+/*-------------- 천체 이름 -------------- */
+// 천체 이름 - 문자열 표의 objects, 카탈로그의 그 언어 필드, 영문·국제 이름 순
+//  - 기록 당시 값만 남은 천체(관측 일지 등)도 proper·name 만 있으면 됨
+export const getObjectName = (object, locale = currentLocale) => {
+  if (!object) return "";
+  const { strings, nameField } = LOCALES[locale];
+  return (
+    (strings.objects && strings.objects[object.id]) ||
+    (nameField && object[nameField]) ||
+    object.name ||
+    object.proper ||
+    ""
+  );
+};
+
+// 모든 언어의 문자열 표에 든 천체 이름 (검색 후보용)
+export const getTranslatedNames = (id) =>
+  Object.values(LOCALES)
+    .map(({ strings }) => strings.objects && strings.objects[id])
+    .filter(Boolean);
+
+// 문자열 표에 이름이 있는 천체 id 목록 (모든 언어)
+export const getTranslatedIds = () => [
+  ...new Set(
+    Object.values(LOCALES).flatMap(({ strings }) =>
+      Object.keys(strings.objects || {})
+    )
+  ),
+];
+
+export default {
+  LOCALES,
+  FALLBACK_LOCALE,
+  detectLocale,
+  getLocale,
+  loadLocale,
+  setLocale,
+  getLocaleOverride,
+  subscribeLocale,
+  useLocale,
+  t,
+  localizeText,
+  getObjectName,
+  getTranslatedNames,
+  getTranslatedIds,
+};
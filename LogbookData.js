@@ -0,0 +1,513 @@
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { findConstellationAt } from "./ConstellationData";
+import { getLocale, t } from "./LocaleData";
+
+// 관측 일지 - 찾은 천체, 시각, 관측지, 하늘 상태, 장비, 메모
+//  - 앱 안에서는 JSON 으로 저장, 내보낼 때 CSV·OpenAstronomyLog(OAL) XML
+
+const LOGBOOK_FILE = `${FileSystem.documentDirectory}logbook.json`;
+
+// 시상 (안토니아디 척도, OAL <seeing> 과 같음) · 투명도 1(가장 좋음) ~ 5
+export const CONDITION_SCALE = [1, 2, 3, 4, 5];
+
+// 시상 단계 이름 (문자열 표 logbook.seeingLevels)
+export const getSeeingLabel = (level) => t(`logbook.seeingLevels.${level}`);
+
+// 천체 종류(getTargetKind 결과) 이름 (문자열 표 logbook.kinds)
+export const getKindLabel = (kind) => t(`logbook.kinds.${kind}`);
+
+let observations = [];
+let lastEquipment = {
+  scope: "",
+  aperture: null,
+  focalLength: null,
+  eyepiece: "",
+};
+
+const persist = async () => {
+  try {
+    await FileSystem.writeAsStringAsync(
+      LOGBOOK_FILE,
+      JSON.stringify({ version: 1, observations, lastEquipment })
+    );
+  } catch (error) {
+    console.error("관측 일지 저장 실패:", error);
+  }
+};
+
+// 저장된 관측 일지 불러오기 (앱 시작 시 한 번)
+export const loadLogbook = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(LOGBOOK_FILE);
+    if (info.exists) {
+      const saved = JSON.parse(
+        await FileSystem.readAsStringAsync(LOGBOOK_FILE)
+      );
+      observations = saved.observations || [];
+      lastEquipment = saved.lastEquipment || lastEquipment;
+    }
+  } catch (error) {
+    console.error("관측 일지 불러오기 실패:", error);
+  }
+  return observations;
+};
+
+export const getObservations = () => observations;
+
+// 마지막으로 기록한 장비 (기록 창 기본값)
+export const getLastEquipment = () => lastEquipment;
+
+// 검색 결과/안내 대상 → 천체 종류
+export const getTargetKind = (target) => {
+  if (target.isDeepSky) return "deepsky";
+  if (target.isConstellation) return "constellation";
+  if (target.isSatellite) return "satellite";
+  if (target.isComet) return "comet";
+  if (target.isMinorBody) return "asteroid";
+  if (target.id === "sun" || target.id === "moon") return target.id;
+  if (target.isSolarSystemBody) return "planet";
+  return "star";
+};
+
+// 일지에 남길 천체 정보 (위치는 관측 시점 값)
+const summarizeTarget = (target) => {
+  const ra = Number.isFinite(target.ra) ? target.ra : null;
+  const dec = Number.isFinite(target.dec) ? target.dec : null;
+  return {
+    id: String(target.id),
+    name: target.name || target.proper,
+    proper: target.proper || null,
+    designation: target.designation || null,
+    kind: getTargetKind(target),
+    dsoType: target.dsoType || null,
+    ra,
+    dec,
+    mag: Number.isFinite(target.mag) ? target.mag : null,
+    constellation:
+      target.con ||
+      target.constellation ||
+      (ra !== null && dec !== null ? findConstellationAt(ra, dec)?.id : null) ||
+      null,
+  };
+};
+
+const toNumberOrNull = (value) => {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+};
+
+// 관측 기록 추가 - 추가된 기록 반환
+//  - site: { name, latitude, longitude, height }
+//  - horizon: 관측 시점의 { az, alt } (선택)
+//  - conditions: { seeing, transparency, faintestStar }
+//  - equipment: { scope, aperture(mm), focalLength(망원경 초점거리 mm), eyepiece }
+export const addObservation = async ({
+  target,
+  site,
+  horizon = null,
+  date = new Date(),
+  conditions = {},
+  equipment = {},
+  notes = "",
+}) => {
+  if (!target) throw new Error(t("logbook.errors.noTarget"));
+  if (!site) throw new Error(t("logbook.errors.noSite"));
+
+  const entry = {
+    id: `log-${date.getTime()}`,
+    time: date.toISOString(),
+    target: summarizeTarget(target),
+    site: {
+      name: site.name || t("logbook.gpsSite"),
+      latitude: site.latitude,
+      longitude: site.longitude,
+      height: site.height || 0,
+    },
+    horizon: horizon ? { az: horizon.az, alt: horizon.alt } : null,
+    conditions: {
+      seeing: toNumberOrNull(conditions.seeing),
+      transparency: toNumberOrNull(conditions.transparency),
+      faintestStar: toNumberOrNull(conditions.faintestStar),
+    },
+    equipment: {
+      scope: (equipment.scope || "").trim(),
+      aperture: toNumberOrNull(equipment.aperture),
+      focalLength: toNumberOrNull(equipment.focalLength),
+      eyepiece: (equipment.eyepiece || "").trim(),
+    },
+    notes: (notes || "").trim(),
+  };
+
+  observations = [entry, ...observations];
+  lastEquipment = entry.equipment;
+  await persist();
+  return entry;
+};
+
+export const deleteObservation = async (id) => {
+  observations = observations.filter((entry) => entry.id !== id);
+  await persist();
+  return observations;
+};
+
+// 천체별 기록 (최근 관측 순) - [{ target, count, last, entries }]
+export const groupObservationsByTarget = (entries = observations) => {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    if (!groups.has(entry.target.id)) {
+      groups.set(entry.target.id, { target: entry.target, entries: [] });
+    }
+    groups.get(entry.target.id).entries.push(entry);
+  });
+  return [...groups.values()]
+    .map((group) => {
+      const entries = group.entries.sort((a, b) =>
+        b.time.localeCompare(a.time)
+      );
+      return {
+        target: group.target,
+        count: entries.length,
+        last: entries[0].time,
+        entries,
+      };
+    })
+    .sort((a, b) => b.last.localeCompare(a.last));
+};
+
+// 한 천체의 관측 기록 (최근 순)
+export const getTargetHistory = (targetId) =>
+  observations
+    .filter((entry) => entry.target.id === targetId)
+    .sort((a, b) => b.time.localeCompare(a.time));
+
+/*-------------- CSV 내보내기 -------------- */
+const CSV_COLUMNS = [
+  ["time", (entry) => entry.time],
+  ["object", (entry) => entry.target.name],
+  ["name_ko", (entry) => entry.target.proper],
+  ["designation", (entry) => entry.target.designation],
+  ["kind", (entry) => entry.target.kind],
+  ["dso_type", (entry) => entry.target.dsoType],
+  ["ra_h", (entry) => entry.target.ra],
+  ["dec_deg", (entry) => entry.target.dec],
+  ["constellation", (entry) => entry.target.constellation],
+  ["azimuth", (entry) => entry.horizon?.az],
+  ["altitude", (entry) => entry.horizon?.alt],
+  ["site", (entry) => entry.site.name],
+  ["latitude", (entry) => entry.site.latitude],
+  ["longitude", (entry) => entry.site.longitude],
+  ["elevation_m", (entry) => entry.site.height],
+  ["seeing", (entry) => entry.conditions.seeing],
+  ["transparency", (entry) => entry.conditions.transparency],
+  ["faintest_star", (entry) => entry.conditions.faintestStar],
+  ["scope", (entry) => entry.equipment.scope],
+  ["aperture_mm", (entry) => entry.equipment.aperture],
+  ["focal_length_mm", (entry) => entry.equipment.focalLength],
+  ["eyepiece", (entry) => entry.equipment.eyepiece],
+  ["notes", (entry) => entry.notes],
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "number" ? String(+value.toFixed(5)) : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 관측 기록 → CSV 텍스트 (엑셀에서 한글이 깨지지 않도록 BOM 포함)
+export const observationsToCSV = (entries = observations) =>
+  "\uFEFF" +
+  [
+    CSV_COLUMNS.map(([header]) => header).join(","),
+    ...entries.map((entry) =>
+      CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(",")
+    ),
+  ].join("\r\n");
+
+/*-------------- OpenAstronomyLog (OAL 2.1) 내보내기 -------------- */
+const OAL_NAMESPACE = "http://groups.google.com/group/openastronomylog";
+
+// 딥스카이 종류 → OAL 대상 형식
+const OAL_DSO_TYPES = {
+  gg: "oal:deepSkyCG",
+  g: "oal:deepSkyGX",
+  s: "oal:deepSkyGX",
+  s0: "oal:deepSkyGX",
+  sd: "oal:deepSkyGX",
+  e: "oal:deepSkyGX",
+  i: "oal:deepSkyGX",
+  oc: "oal:deepSkyOC",
+  gc: "oal:deepSkyGC",
+  pos: "oal:deepSkyAS",
+  en: "oal:deepSkyGN",
+  bn: "oal:deepSkyGN",
+  sfr: "oal:deepSkyGN",
+  rn: "oal:deepSkyGN",
+  snr: "oal:deepSkyGN",
+  dn: "oal:deepSkyDN",
+  pn: "oal:deepSkyPN",
+};
+
+const OAL_KIND_TYPES = {
+  star: "oal:starTargetType",
+  planet: "oal:PlanetTargetType",
+  moon: "oal:MoonTargetType",
+  sun: "oal:SunTargetType",
+  asteroid: "oal:MinorPlanetTargetType",
+  comet: "oal:CometTargetType",
+  satellite: "oal:observationTargetType",
+  constellation: "oal:observationTargetType",
+};
+
+const oalTargetType = (target) =>
+  target.kind === "deepsky"
+    ? OAL_DSO_TYPES[target.dsoType] || "oal:deepSkyNA"
+    : OAL_KIND_TYPES[target.kind] || "oal:observationTargetType";
+
+const escapeXML = (value) =>
+  (typeof value === "number" ? String(+value.toFixed(5)) : String(value))
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 태그 한 줄 (값이 없으면 생략)
+const xmlElement = (indent, tag, value, attrs = "") =>
+  value === null || value === undefined || value === ""
+    ? []
+    : [`${indent}<${tag}${attrs}>${escapeXML(value)}</${tag}>`];
+
+// 접안렌즈 이름에서 초점거리 (예: "Nagler 13mm" → 13)
+const parseFocalLength = (text) => {
+  const match = (text || "").match(/(\d+(?:\.\d+)?)\s*mm/i);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// 같은 값이면 같은 id 를 주는 목록 (관측지, 대상, 장비 공유)
+const createRegistry = (prefix) => {
+  const items = new Map();
+  return {
+    id: (key, value) => {
+      if (!items.has(key)) {
+        items.set(key, { id: `${prefix}_${items.size + 1}`, value });
+      }
+      return items.get(key).id;
+    },
+    list: () => [...items.values()],
+  };
+};
+
+// 관측 기록 → OAL 2.1 XML 텍스트
+//  - 구경·초점거리를 모르는 망원경, 초점거리를 모르는 접안렌즈는 OAL 에 필수 항목이
+//    없어 관측 설명에 적음
+//  - 관측지 timezone 은 관측지 시간대가 아니라 관측 시점 기기의 UTC 오프셋 (분)
+export const observationsToOAL = (
+  entries = observations,
+  observerName = "MySkyApp"
+) => {
+  const sites = createRegistry("site");
+  const targets = createRegistry("target");
+  const scopes = createRegistry("scope");
+  const eyepieces = createRegistry("eyepiece");
+
+  const observationLines = entries.flatMap((entry, index) => {
+    const { site, target, conditions, equipment } = entry;
+    const siteId = sites.id(`${site.name}|${site.latitude}|${site.longitude}`, {
+      ...site,
+      timezone: -new Date(entry.time).getTimezoneOffset(),
+    });
+    const targetId = targets.id(target.id, target);
+
+    const extras = [];
+    let scopeId = null;
+    // 이전 기록에는 망원경 초점거리가 없음
+    const scopeFocalLength = equipment.focalLength ?? null;
+    if (equipment.scope && equipment.aperture && scopeFocalLength) {
+      scopeId = scopes.id(
+        `${equipment.scope}|${equipment.aperture}|${scopeFocalLength}`,
+        equipment
+      );
+    } else if (equipment.scope) {
+      const value = [
+        equipment.scope,
+        equipment.aperture && `D${equipment.aperture}mm`,
+        scopeFocalLength && `F${scopeFocalLength}mm`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+      extras.push(t("logbook.oalScope", { value }));
+    }
+    const focalLength = parseFocalLength(equipment.eyepiece);
+    let eyepieceId = null;
+    if (equipment.eyepiece && focalLength) {
+      eyepieceId = eyepieces.id(equipment.eyepiece, {
+        model: equipment.eyepiece,
+        focalLength,
+      });
+    } else if (equipment.eyepiece) {
+      extras.push(t("logbook.oalEyepiece", { value: equipment.eyepiece }));
+    }
+    if (conditions.transparency) {
+      extras.push(
+        t("logbook.oalTransparency", { value: conditions.transparency })
+      );
+    }
+    const description =
+      [entry.notes, ...extras].filter(Boolean).join("\n") || "-";
+
+    return [
+      `  <observation id="obs_${index + 1}">`,
+      "    <observer>observer_1</observer>",
+      `    <site>${siteId}</site>`,
+      `    <target>${targetId}</target>`,
+      `    <begin>${entry.time}</begin>`,
+      ...xmlElement("    ", "faintestStar", conditions.faintestStar),
+      ...xmlElement("    ", "seeing", conditions.seeing),
+      ...(scopeId ? [`    <scope>${scopeId}</scope>`] : []),
+      ...(eyepieceId ? [`    <eyepiece>${eyepieceId}</eyepiece>`] : []),
+      `    <result lang="${getLocale()}">`,
+      ...xmlElement("      ", "description", description),
+      "    </result>",
+      "  </observation>",
+    ];
+  });
+
+  const siteLines = sites
+    .list()
+    .flatMap(({ id, value }) => [
+      `    <site id="${id}">`,
+      ...xmlElement("      ", "name", value.name),
+      ...xmlElement("      ", "longitude", value.longitude, ' unit="deg"'),
+      ...xmlElement("      ", "latitude", value.latitude, ' unit="deg"'),
+      ...xmlElement("      ", "elevation", value.height),
+      ...xmlElement("      ", "timezone", value.timezone),
+      "    </site>",
+    ]);
+
+  // 첫 표기를 이름으로, 나머지 표기·이름은 별칭으로 (예: M31 / NGC 224, Andromeda Galaxy)
+  const targetNames = (target) => [
+    ...new Set(
+      [
+        ...(target.designation ? target.designation.split(" · ") : []),
+        target.name,
+        target.proper,
+      ].filter(Boolean)
+    ),
+  ];
+
+  const targetLines = targets.list().flatMap(({ id, value }) => {
+    const [name, ...aliases] = targetNames(value);
+    return [
+      `    <target id="${id}" xsi:type="${oalTargetType(value)}">`,
+      ...xmlElement("      ", "datasource", "MySkyApp"),
+      ...xmlElement("      ", "name", name),
+      ...aliases.flatMap((alias) => xmlElement("      ", "alias", alias)),
+      // 태양계 천체·인공위성은 위치가 계속 바뀌므로 생략
+      ...(["star", "deepsky", "constellation"].includes(value.kind) &&
+      value.ra !== null &&
+      value.dec !== null
+        ? [
+            "      <position>",
+            ...xmlElement("        ", "ra", value.ra * 15, ' unit="deg"'),
+            ...xmlElement("        ", "dec", value.dec, ' unit="deg"'),
+            "      </position>",
+          ]
+        : []),
+      ...xmlElement("      ", "constellation", value.constellation),
+      ...(value.kind === "star"
+        ? xmlElement("      ", "apparentMag", value.mag)
+        : []),
+      "    </target>",
+    ];
+  });
+
+  const scopeLines = scopes
+    .list()
+    .flatMap(({ id, value }) => [
+      `    <scope id="${id}">`,
+      ...xmlElement("      ", "model", value.scope),
+      ...xmlElement("      ", "aperture", value.aperture),
+      ...xmlElement("      ", "focalLength", value.focalLength),
+      "    </scope>",
+    ]);
+
+  const eyepieceLines = eyepieces
+    .list()
+    .flatMap(({ id, value }) => [
+      `    <eyepiece id="${id}">`,
+      ...xmlElement("      ", "model", value.model),
+      ...xmlElement("      ", "focalLength", value.focalLength),
+      "    </eyepiece>",
+    ]);
+
+  // OAL 스키마의 요소 순서를 따름
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<oal:observations version="2.1" xmlns:oal="${OAL_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${OAL_NAMESPACE} oal21.xsd">`,
+    "  <observers>",
+    '    <observer id="observer_1">',
+    ...xmlElement("      ", "name", observerName),
+    "      <surname/>",
+    "    </observer>",
+    "  </observers>",
+    "  <sites>",
+    ...siteLines,
+    "  </sites>",
+    "  <sessions/>",
+    "  <targets>",
+    ...targetLines,
+    "  </targets>",
+    "  <scopes>",
+    ...scopeLines,
+    "  </scopes>",
+    "  <eyepieces>",
+    ...eyepieceLines,
+    "  </eyepieces>",
+    "  <lenses/>",
+    "  <filters/>",
+    "  <imagers/>",
+    ...observationLines,
+    "</oal:observations>",
+  ].join("\n");
+};
+
+// 관측 일지를 파일로 만들어 공유 시트로 내보내기 - format: "csv" | "oal"
+export const shareLogbook = async (format) => {
+  if (observations.length === 0) {
+    throw new Error(t("logbook.errors.empty"));
+  }
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t("common.shareUnavailable"));
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const isCSV = format === "csv";
+  const uri = `${FileSystem.cacheDirectory}logbook-${stamp}.${
+    isCSV ? "csv" : "xml"
+  }`;
+  await FileSystem.writeAsStringAsync(
+    uri,
+    isCSV ? observationsToCSV() : observationsToOAL()
+  );
+  await Sharing.shareAsync(uri, {
+    mimeType: isCSV ? "text/csv" : "application/xml",
+    dialogTitle: t("logbook.shareTitle"),
+  });
+};
+
+export default {
+  CONDITION_SCALE,
+  getSeeingLabel,
+  getKindLabel,
+  loadLogbook,
+  getObservations,
+  getLastEquipment,
+  getTargetKind,
+  addObservation,
+  deleteObservation,
+  groupObservationsByTarget,
+  getTargetHistory,
+  observationsToCSV,
+  observationsToOAL,
+  shareLogbook,
+};
@@ -0,0 +1,422 @@
+import React, { useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  CONDITION_SCALE,
+  getSeeingLabel,
+  getKindLabel,
+  getObservations,
+  getLastEquipment,
+  deleteObservation,
+  groupObservationsByTarget,
+  shareLogbook,
+} from "./LogbookData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t, getObjectName } from "./LocaleData";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 기록 시각 표시 (2025.1.15 21:30)
+export const formatLogTime = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}.${date.getMonth() + 1}.${date.getDate()} ${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}`;
+};
+
+// 1 ~ 5 단계 선택 - describe(단계) 가 있으면 고른 단계 이름 표시
+const ScalePicker = ({ label, value, describe, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.scaleRow}>
+      <Text style={styles.label}>{label}</Text>
+      {CONDITION_SCALE.map((level) => (
+        <TouchableOpacity
+          key={level}
+          style={[styles.chip, value === level && styles.chipActive]}
+          onPress={() => onChange(value === level ? null : level)}
+        >
+          <Text style={styles.chipText}>{level}</Text>
+        </TouchableOpacity>
+      ))}
+      {value && describe && <Text style={styles.info}>{describe(value)}</Text>}
+    </View>
+  );
+};
+
+// 관측 기록 창 - 원 안에 들어온 천체를 일지에 남김
+//  - onSave({ conditions, equipment, notes })
+export const ObservationForm = ({ target, siteName, onSave, onClose }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const lastEquipment = getLastEquipment();
+  const [seeing, setSeeing] = useState(null);
+  const [transparency, setTransparency] = useState(null);
+  const [faintestStar, setFaintestStar] = useState("");
+  const [scope, setScope] = useState(lastEquipment.scope);
+  const [aperture, setAperture] = useState(
+    lastEquipment.aperture ? String(lastEquipment.aperture) : ""
+  );
+  const [focalLength, setFocalLength] = useState(
+    lastEquipment.focalLength ? String(lastEquipment.focalLength) : ""
+  );
+  const [eyepiece, setEyepiece] = useState(lastEquipment.eyepiece);
+  const [notes, setNotes] = useState("");
+
+  const submit = () =>
+    onSave({
+      conditions: { seeing, transparency, faintestStar },
+      equipment: { scope, aperture, focalLength, eyepiece },
+      notes,
+    });
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("logbook.formTitle")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <Text style={styles.itemName}>{getObjectName(target)}</Text>
+          <Text style={styles.info}>
+            {formatLogTime(new Date())} · {siteName}
+          </Text>
+
+          <Text style={styles.sectionTitle}>{t("logbook.conditions")}</Text>
+          <ScalePicker
+            label={t("logbook.seeing")}
+            value={seeing}
+            describe={getSeeingLabel}
+            onChange={setSeeing}
+          />
+          <ScalePicker
+            label={t("logbook.transparency")}
+            value={transparency}
+            onChange={setTransparency}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder={t("logbook.faintestStar")}
+            placeholderTextColor={colors.placeholder}
+            keyboardType="numbers-and-punctuation"
+            value={faintestStar}
+            onChangeText={setFaintestStar}
+          />
+
+          <Text style={styles.sectionTitle}>{t("logbook.equipment")}</Text>
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              placeholder={t("logbook.scope")}
+              placeholderTextColor={colors.placeholder}
+              value={scope}
+              onChangeText={setScope}
+            />
+            <TextInput
+              style={[styles.input, styles.apertureInput]}
+              placeholder={t("logbook.aperture")}
+              placeholderTextColor={colors.placeholder}
+              keyboardType="numbers-and-punctuation"
+              value={aperture}
+              onChangeText={setAperture}
+            />
+            <TextInput
+              style={[styles.input, styles.apertureInput]}
+              placeholder={t("logbook.focalLength")}
+              placeholderTextColor={colors.placeholder}
+              keyboardType="numbers-and-punctuation"
+              value={focalLength}
+              onChangeText={setFocalLength}
+            />
+          </View>
+          <TextInput
+            style={styles.input}
+            placeholder={t("logbook.eyepiece")}
+            placeholderTextColor={colors.placeholder}
+            value={eyepiece}
+            onChangeText={setEyepiece}
+          />
+
+          <Text style={styles.sectionTitle}>{t("logbook.notes")}</Text>
+          <TextInput
+            style={[styles.input, styles.notesInput]}
+            placeholder={t("logbook.notesPlaceholder")}
+            placeholderTextColor={colors.placeholder}
+            multiline
+            value={notes}
+            onChangeText={setNotes}
+          />
+
+          <TouchableOpacity style={styles.saveButton} onPress={submit}>
+            <Text style={styles.saveButtonText}>{t("common.save")}</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    </View>
+  );
+};
+
+// 기록 한 건의 요약 줄
+const describeEntry = (entry) =>
+  [
+    entry.site.name,
+    entry.conditions.seeing &&
+      t("logbook.entrySeeing", { value: entry.conditions.seeing }),
+    entry.conditions.transparency &&
+      t("logbook.entryTransparency", { value: entry.conditions.transparency }),
+    entry.conditions.faintestStar != null &&
+      t("logbook.entryFaintest", { value: entry.conditions.faintestStar }),
+    entry.equipment.scope,
+    entry.equipment.eyepiece,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// 관측 일지 - 천체별 목록, 누르면 그 천체의 관측 기록
+//  - CSV·OAL(XML) 내보내기
+export default function Logbook({ onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [groups, setGroups] = useState(() =>
+    groupObservationsByTarget(getObservations())
+  );
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = groups.find((group) => group.target.id === selectedId);
+
+  const exportLogbook = async (format) => {
+    try {
+      await shareLogbook(format);
+    } catch (error) {
+      Alert.alert(t("common.exportFailed"), error.message);
+    }
+  };
+
+  const remove = (entry) =>
+    Alert.alert(
+      t("logbook.deleteTitle"),
+      t("logbook.deleteMessage", { time: formatLogTime(entry.time) }),
+      [
+        { text: t("common.cancel"), style: "cancel" },
+        {
+          text: t("common.delete"),
+          style: "destructive",
+          onPress: async () => {
+            setGroups(
+              groupObservationsByTarget(await deleteObservation(entry.id))
+            );
+          },
+        },
+      ]
+    );
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          {selected ? (
+            <TouchableOpacity
+              style={styles.backButton}
+              onPress={() => setSelectedId(null)}
+            >
+              <Ionicons name="chevron-back" size={22} color={colors.text} />
+              <Text style={styles.title}>{getObjectName(selected.target)}</Text>
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.title}>{t("logbook.title")}</Text>
+          )}
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {selected ? (
+          <FlatList
+            data={selected.entries}
+            keyExtractor={(entry) => entry.id}
+            renderItem={({ item: entry }) => (
+              <View style={styles.item}>
+                <View style={styles.itemHeader}>
+                  <Text style={styles.itemName}>
+                    {formatLogTime(entry.time)}
+                  </Text>
+                  <TouchableOpacity onPress={() => remove(entry)}>
+                    <Ionicons
+                      name="trash-outline"
+                      size={18}
+                      color={colors.dangerSoft}
+                    />
+                  </TouchableOpacity>
+                </View>
+                <Text style={styles.info}>{describeEntry(entry)}</Text>
+                {entry.notes !== "" && (
+                  <Text style={styles.txt}>{entry.notes}</Text>
+                )}
+              </View>
+            )}
+          />
+        ) : (
+          <>
+            <View style={styles.row}>
+              <TouchableOpacity
+                style={styles.exportButton}
+                onPress={() => exportLogbook("csv")}
+              >
+                <Ionicons name="share-outline" size={16} color={colors.text} />
+                <Text style={styles.exportButtonText}>CSV</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.exportButton}
+                onPress={() => exportLogbook("oal")}
+              >
+                <Ionicons name="share-outline" size={16} color={colors.text} />
+                <Text style={styles.exportButtonText}>OAL (XML)</Text>
+              </TouchableOpacity>
+            </View>
+            <FlatList
+              data={groups}
+              keyExtractor={(group) => group.target.id}
+              ListEmptyComponent={
+                <Text style={styles.empty}>{t("logbook.empty")}</Text>
+              }
+              renderItem={({ item: group }) => (
+                <TouchableOpacity
+                  style={styles.item}
+                  onPress={() => setSelectedId(group.target.id)}
+                >
+                  <Text style={styles.itemName}>
+                    {getObjectName(group.target)}
+                  </Text>
+                  <Text style={styles.info}>
+                    {[
+                      getKindLabel(group.target.kind),
+                      t("logbook.count", { count: group.count }),
+                      t("logbook.last", { time: formatLogTime(group.last) }),
+                    ].join(" · ")}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            />
+          </>
+        )}
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      maxHeight: "85%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    backButton: { flexDirection: "row", alignItems: "center", flexShrink: 1 },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    sectionTitle: {
+      color: colors.textMuted,
+      fontSize: 14,
+      marginTop: 16,
+      marginBottom: 6,
+    },
+    label: { color: colors.text, fontSize: 14, width: 48 },
+    txt: { color: colors.text, fontSize: 14, marginTop: 2 },
+    info: { color: colors.textMuted, fontSize: 12, marginTop: 2 },
+    empty: {
+      color: colors.textMuted,
+      fontSize: 14,
+      textAlign: "center",
+      marginTop: 12,
+    },
+    scaleRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 6,
+      marginBottom: 8,
+    },
+    chip: {
+      width: 30,
+      height: 30,
+      borderRadius: 15,
+      backgroundColor: colors.field,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    chipActive: { backgroundColor: colors.accent },
+    chipText: { color: colors.text, fontSize: 14 },
+    input: {
+      backgroundColor: colors.field,
+      color: colors.text,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      marginBottom: 8,
+    },
+    row: { flexDirection: "row", gap: 6 },
+    rowInput: { flex: 1 },
+    apertureInput: { width: 90 },
+    notesInput: { minHeight: 70, textAlignVertical: "top" },
+    saveButton: {
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 10,
+      alignItems: "center",
+      marginTop: 4,
+    },
+    saveButtonText: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+    exportButton: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 4,
+      backgroundColor: colors.button,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      marginBottom: 6,
+    },
+    exportButtonText: { color: colors.text, fontSize: 14 },
+    item: {
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+    },
+    itemName: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+  });
@@ -0,0 +1,320 @@
+import * as FileSystem from "expo-file-system";
+import { t } from "./LocaleData";
+
+// 보정값 저장 위치 (앱 설치 = 기기별)
+const CALIBRATION_FILE = `${FileSystem.documentDirectory}magCalibration.json`;
+
+// 방향 분포(커버리지) 격자: 위도 30° × 경도 45°
+const LAT_BANDS = 6;
+const LON_SECTORS = 8;
+export const COVERAGE_BINS = LAT_BANDS * LON_SECTORS;
+
+// 보정 계산에 필요한 최소 조건
+export const MIN_SAMPLES = 100;
+export const MIN_COVERAGE = 0.6;
+
+const IDENTITY = [
+  [1, 0, 0],
+  [0, 1, 0],
+  [0, 0, 1],
+];
+
+/*-------------- 선형대수 도우미 -------------- */
+// 가우스 소거법 (부분 피벗) - 특이 행렬이면 null
+const solveLinear = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+};
+
+// 최소제곱 (정규방정식) - rows: 설계 행렬, target: 우변
+const leastSquares = (rows, target) => {
+  const n = rows[0].length;
+  const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+  const Atb = new Array(n).fill(0);
+  rows.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      Atb[i] += row[i] * target[k];
+      for (let j = 0; j < n; j++) AtA[i][j] += row[i] * row[j];
+    }
+  });
+  return solveLinear(AtA, Atb);
+};
+
+// 대칭 3x3 행렬의 고유값 분해 (Jacobi 회전)
+const symmetricEigen = (S) => {
+  const a = S.map((row) => [...row]);
+  const v = IDENTITY.map((row) => [...row]);
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const off = a[0][1] ** 2 + a[0][2] ** 2 + a[1][2] ** 2;
+    if (off < 1e-20) break;
+    [
+      [0, 1],
+      [0, 2],
+      [1, 2],
+    ].forEach(([p, q]) => {
+      if (Math.abs(a[p][q]) < 1e-15) return;
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t =
+        Math.sign(theta || 1) /
+        (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    });
+  }
+  return { values: [a[0][0], a[1][1], a[2][2]], vectors: v };
+};
+
+// V · diag(d) · Vᵀ
+const composeSymmetric = (vectors, d) =>
+  [0, 1, 2].map((i) =>
+    [0, 1, 2].map((j) =>
+      [0, 1, 2].reduce(
+        (sum, k) => sum + vectors[i][k] * d[k] * vectors[j][k],
+        0
+      )
+    )
+  );
+
+const multiply = (m, [x, y, z]) => [
+  m[0][0] * x + m[0][1] * y + m[0][2] * z,
+  m[1][0] * x + m[1][1] * y + m[1][2] * z,
+  m[2][0] * x + m[2][1] * y + m[2][2] * z,
+];
+
+/*-------------- 커버리지 -------------- */
+// 샘플 방향이 구면 격자를 얼마나 채웠는지 (0~1)
+// 중심은 아직 모르므로 축별 최소·최대의 중간값으로 추정
+export const calculateCoverage = (samples) => {
+  if (samples.length === 0) return { coverage: 0, bins: [] };
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  samples.forEach((s) =>
+    s.forEach((value, i) => {
+      min[i] = Math.min(min[i], value);
+      max[i] = Math.max(max[i], value);
+    })
+  );
+  const center = min.map((lo, i) => (lo + max[i]) / 2);
+
+  const bins = new Array(COVERAGE_BINS).fill(false);
+  samples.forEach((s) => {
+    const [x, y, z] = s.map((value, i) => value - center[i]);
+    const r = Math.hypot(x, y, z);
+    if (r === 0) return;
+    const lat = Math.asin(z / r); // -π/2 ~ π/2
+    const lon = Math.atan2(y, x) + Math.PI; // 0 ~ 2π
+    const band = Math.min(
+      LAT_BANDS - 1,
+      Math.floor(((lat + Math.PI / 2) / Math.PI) * LAT_BANDS)
+    );
+    const sector = Math.min(
+      LON_SECTORS - 1,
+      Math.floor((lon / (2 * Math.PI)) * LON_SECTORS)
+    );
+    bins[band * LON_SECTORS + sector] = true;
+  });
+
+  return {
+    coverage: bins.filter(Boolean).length / COVERAGE_BINS,
+    bins,
+  };
+};
+
+/*-------------- 보정값 계산 -------------- */
+// 하드아이언만 (구 맞춤): |m - c|² = r²
+const fitSphere = (samples) => {
+  const rows = samples.map(([x, y, z]) => [2 * x, 2 * y, 2 * z, 1]);
+  const target = samples.map(([x, y, z]) => x * x + y * y + z * z);
+  const p = leastSquares(rows, target);
+  if (!p) return null;
+  const offset = [p[0], p[1], p[2]];
+  const radius = Math.sqrt(p[3] + offset.reduce((sum, c) => sum + c * c, 0));
+  return { offset, matrix: IDENTITY, radius };
+};
+
+// 하드아이언 + 소프트아이언 (타원체 맞춤)
+// xᵀMx + 2vᵀx = 1 → 중심 c = -M⁻¹v, 보정 행렬 W = R·sqrt(M/k)
+const fitEllipsoid = (samples) => {
+  const rows = samples.map(([x, y, z]) => [
+    x * x,
+    y * y,
+    z * z,
+    2 * x * y,
+    2 * x * z,
+    2 * y * z,
+    2 * x,
+    2 * y,
+    2 * z,
+  ]);
+  const p = leastSquares(
+    rows,
+    samples.map(() => 1)
+  );
+  if (!p) return null;
+
+  const M = [
+    [p[0], p[3], p[4]],
+    [p[3], p[1], p[5]],
+    [p[4], p[5], p[2]],
+  ];
+  const v = [p[6], p[7], p[8]];
+  const center = solveLinear(M, v);
+  if (!center) return null;
+  const offset = center.map((c) => -c);
+
+  const k =
+    1 + multiply(M, offset).reduce((sum, m, i) => sum + m * offset[i], 0);
+  const { values, vectors } = symmetricEigen(
+    M.map((row) => row.map((m) => m / k))
+  );
+  // 양의 정부호가 아니면 타원체가 아님
+  if (values.some((value) => !(value > 0))) return null;
+
+  // 반지름은 세 반축의 기하평균 (단위 µT 유지)
+  const radius = Math.cbrt(
+    values.reduce((prod, value) => prod / Math.sqrt(value), 1)
+  );
+  const matrix = composeSymmetric(
+    vectors,
+    values.map((value) => Math.sqrt(value) * radius)
+  );
+  return { offset, matrix, radius };
+};
+
+// 보정 적용: W · (m - offset)
+export const applyMagCalibration = (calibration, { x, y, z }) => {
+  if (!calibration) return { x, y, z };
+  const { offset, matrix } = calibration;
+  const [cx, cy, cz] = multiply(matrix, [
+    x - offset[0],
+    y - offset[1],
+    z - offset[2],
+  ]);
+  return { x: cx, y: cy, z: cz };
+};
+
+// 품질 점수 (0~100): 보정 후 자기장 크기의 일정함 × 방향 분포
+export const scoreCalibration = (calibration, samples, coverage) => {
+  const magnitudes = samples.map(([x, y, z]) => {
+    const c = applyMagCalibration(calibration, { x, y, z });
+    return Math.hypot(c.x, c.y, c.z);
+  });
+  const mean = magnitudes.reduce((sum, m) => sum + m, 0) / magnitudes.length;
+  const variance =
+    magnitudes.reduce((sum, m) => sum + (m - mean) ** 2, 0) / magnitudes.length;
+  const spread = Math.sqrt(variance) / mean;
+
+  const consistency = Math.max(0, 1 - spread / 0.1);
+  const distribution = Math.min(1, coverage / 0.8);
+  return Math.round(consistency * distribution * 100);
+};
+
+export const describeQuality = (quality) => {
+  if (quality == null) return t("calibration.quality.none");
+  if (quality >= 80) return t("calibration.quality.good");
+  if (quality >= 50) return t("calibration.quality.fair");
+  return t("calibration.quality.poor");
+};
+
+// 수집한 샘플([x, y, z] µT 배열)로 보정값 계산
+// 타원체 맞춤이 실패하면 하드아이언만 보정
+export const computeMagCalibration = (samples) => {
+  if (samples.length < MIN_SAMPLES) {
+    throw new Error(
+      t("calibration.errors.notEnoughSamples", {
+        count: samples.length,
+        min: MIN_SAMPLES,
+      })
+    );
+  }
+  const { coverage } = calculateCoverage(samples);
+  if (coverage < MIN_COVERAGE) {
+    throw new Error(t("calibration.errors.lowCoverage"));
+  }
+
+  const fit = fitEllipsoid(samples) || fitSphere(samples);
+  if (!fit) throw new Error(t("calibration.errors.fitFailed"));
+
+  return {
+    ...fit,
+    softIron: fit.matrix !== IDENTITY,
+    coverage,
+    quality: scoreCalibration(fit, samples, coverage),
+    date: new Date().toISOString(),
+  };
+};
+
+/*-------------- 저장·불러오기 -------------- */
+export const loadMagCalibration = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(CALIBRATION_FILE);
+    if (!info.exists) return null;
+    return JSON.parse(await FileSystem.readAsStringAsync(CALIBRATION_FILE));
+  } catch (error) {
+    console.error("자기 보정값 불러오기 실패:", error);
+    return null;
+  }
+};
+
+export const saveMagCalibration = async (calibration) => {
+  await FileSystem.writeAsStringAsync(
+    CALIBRATION_FILE,
+    JSON.stringify(calibration)
+  );
+};
+
+export const clearMagCalibration = async () => {
+  await FileSystem.deleteAsync(CALIBRATION_FILE, { idempotent: true });
+};
+
+export default {
+  COVERAGE_BINS,
+  MIN_SAMPLES,
+  MIN_COVERAGE,
+  calculateCoverage,
+  computeMagCalibration,
+  applyMagCalibration,
+  scoreCalibration,
+  describeQuality,
+  loadMagCalibration,
+  saveMagCalibration,
+  clearMagCalibration,
+};
@@ -0,0 +1,74 @@
+import geomagnetism from "geomagnetism";
+
+// 측정 자기장 크기가 예상값에서 이 비율 이상 벗어나면 자기 간섭으로 판단
+export const INTERFERENCE_TOLERANCE = 0.25;
+
+// 기기 나침반 편각과 WMM 편각이 이 이상 다르면 경고 (도)
+export const HEADING_MISMATCH_DEG = 5;
+
+// WMM 으로 관측지·날짜의 지구 자기장 계산
+//  - declination: 편각 (동쪽 +, 도)
+//  - inclination: 복각 (아래쪽 +, 도)
+//  - fieldStrength: 전체 자기장 세기 (µT)
+export const calculateMagneticField = (observer, date = new Date()) => {
+  if (!observer) return null;
+  try {
+    const point = geomagnetism
+      .model(date)
+      .point([
+        observer.latitude,
+        observer.longitude,
+        (observer.height || 0) / 1000,
+      ]);
+    return {
+      declination: point.decl,
+      inclination: point.incl,
+      fieldStrength: point.f / 1000, // nT → µT
+      horizontalStrength: point.h / 1000,
+    };
+  } catch (error) {
+    console.error("WMM 자기장 계산 실패:", error);
+    return null;
+  }
+};
+
+// 측정한 자기장 크기(µT)를 예상값과 비교해 간섭 여부 판단
+export const checkInterference = (magneticField, measured) => {
+  if (!magneticField || !Number.isFinite(measured)) return null;
+  const deviation =
+    (measured - magneticField.fieldStrength) / magneticField.fieldStrength;
+  return {
+    measured,
+    expected: magneticField.fieldStrength,
+    deviation,
+    interference: Math.abs(deviation) > INTERFERENCE_TOLERANCE,
+  };
+};
+
+// 기기 나침반(getHeadingAsync)의 진북-자북 차이와 WMM 편각 비교
+export const crossCheckHeading = (headingData, declination) => {
+  if (
+    !headingData ||
+    typeof headingData.trueHeading !== "number" ||
+    typeof headingData.magHeading !== "number" ||
+    headingData.trueHeading < 0
+  ) {
+    return null;
+  }
+  const platformDeclination =
+    ((headingData.trueHeading - headingData.magHeading + 540) % 360) - 180;
+  const difference = ((platformDeclination - declination + 540) % 360) - 180;
+  return {
+    platformDeclination,
+    difference,
+    mismatch: Math.abs(difference) > HEADING_MISMATCH_DEG,
+  };
+};
+
+export default {
+  INTERFERENCE_TOLERANCE,
+  HEADING_MISMATCH_DEG,
+  calculateMagneticField,
+  checkInterference,
+  crossCheckHeading,
+};
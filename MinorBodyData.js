@@ -0,0 +1,416 @@
+import * as Astronomy from "astronomy-engine";
+import * as FileSystem from "expo-file-system";
+import bundledMinorBodies from "./assets/minorBodies.json";
+import { getSimulatedDate } from "./SimulationClock";
+import { scoreMatch, getAliases } from "./SearchData";
+import { t } from "./LocaleData";
+
+// 사용자가 가져온 MPC 궤도요소 저장 위치
+const IMPORTED_MPC_FILE = `${FileSystem.documentDirectory}minorBodies.txt`;
+
+// 가우스 중력상수 (rad/day, 질량을 무시한 태양 중심 이체문제)
+const GAUSS_K = 0.01720209895;
+const DEG2RAD = Math.PI / 180;
+const JD_J2000 = 2451545.0;
+
+// 한글 이름 (MPC 번호/혜성 기호 기준)
+const KOREAN_NAMES = {
+  1: "세레스",
+  2: "팔라스",
+  3: "주노",
+  4: "베스타",
+  "1P": "핼리 혜성",
+  "2P": "엥케 혜성",
+};
+
+const importedLines = [];
+let minorBodies = [];
+
+/*-------------- MPC 형식 해석 -------------- */
+// 1-based 열 범위 잘라내기 (MPC 형식 문서의 열 번호 그대로 사용)
+const cols = (line, start, end) => line.slice(start - 1, end).trim();
+
+const PACKED_CENTURY = { I: 1800, J: 1900, K: 2000 };
+
+// 압축된 날짜 "K205V" → 율리우스일 (TT)
+const unpackEpoch = (packed) => {
+  const year = PACKED_CENTURY[packed[0]] + Number(packed.slice(1, 3));
+  const unpack = (ch) => (/\d/.test(ch) ? Number(ch) : ch.charCodeAt(0) - 55);
+  return calendarToJD(year, unpack(packed[3]), unpack(packed[4]));
+};
+
+// 그레고리력 날짜(일은 소수 가능) → 율리우스일
+const calendarToJD = (year, month, day) => {
+  const date = Date.UTC(year, month - 1, 1) + (day - 1) * 86400000;
+  return date / 86400000 + 2440587.5;
+};
+
+// 소행성 한 줄 (MPCORB.DAT 형식)
+const parseAsteroidLine = (line) => {
+  const readable = cols(line, 167, 194);
+  const match = readable.match(/^\((\w+)\)\s*(.+)$/);
+  const designation = match ? match[1] : readable || cols(line, 1, 7);
+  const H = cols(line, 9, 13);
+  const G = cols(line, 15, 19);
+
+  return {
+    kind: "asteroid",
+    designation,
+    name: match ? match[2] : readable || designation,
+    H: H ? Number(H) : null,
+    G: G ? Number(G) : 0.15,
+    epoch: unpackEpoch(cols(line, 21, 25)),
+    meanAnomaly: Number(cols(line, 27, 35)),
+    peri: Number(cols(line, 38, 46)),
+    node: Number(cols(line, 49, 57)),
+    incl: Number(cols(line, 60, 68)),
+    e: Number(cols(line, 71, 79)),
+    a: Number(cols(line, 93, 103)),
+  };
+};
+
+// 혜성 한 줄 (CometEls.txt 형식)
+const parseCometLine = (line) => {
+  const title = cols(line, 103, 158);
+  const slash = title.indexOf("/");
+  const H = cols(line, 92, 95);
+  const K = cols(line, 97, 100);
+
+  return {
+    kind: "comet",
+    designation: slash > 0 ? title.slice(0, slash) : title,
+    name: title,
+    H: H ? Number(H) : null,
+    // MPC 혜성 광도식: m = H + 5 log Δ + 2.5 K log r
+    K: K ? Number(K) : 4.0,
+    perihelionTime: calendarToJD(
+      Number(cols(line, 15, 18)),
+      Number(cols(line, 20, 21)),
+      Number(cols(line, 23, 29))
+    ),
+    q: Number(cols(line, 31, 39)),
+    e: Number(cols(line, 42, 49)),
+    peri: Number(cols(line, 52, 59)),
+    node: Number(cols(line, 62, 69)),
+    incl: Number(cols(line, 72, 79)),
+  };
+};
+
+const isCometLine = (line) =>
+  /^[ \d]{4}[CPDXIA]/.test(line) && /^\d{4}$/.test(cols(line, 15, 18));
+
+const isAsteroidLine = (line) =>
+  line.length >= 103 && /^[IJK]\d\d[1-9A-C][1-9A-V]$/.test(cols(line, 21, 25));
+
+// MPC 궤도요소 텍스트 파싱 (소행성/혜성 줄이 섞여 있어도 됨)
+export const parseMPCElements = (text) =>
+  (text || "")
+    .split(/\r?\n/)
+    .map((line) => {
+      try {
+        if (isCometLine(line)) return parseCometLine(line);
+        if (isAsteroidLine(line)) return parseAsteroidLine(line);
+      } catch (error) {
+        console.error("MPC 궤도요소 해석 오류:", line, error);
+      }
+      return null;
+    })
+    .filter((el) => el !== null && Number.isFinite(el.e));
+
+/*-------------- 목록 관리 -------------- */
+const makeMinorBody = (el) => ({
+  ...el,
+  id: `${el.kind}-${el.designation}`.toLowerCase().replace(/\s+/g, ""),
+  proper: KOREAN_NAMES[el.designation] || null,
+  isMinorBody: true,
+  isComet: el.kind === "comet",
+  isSolarSystemBody: true,
+});
+
+// 번들 요소 + 가져온 요소 병합 (같은 id는 가져온 쪽 우선)
+const rebuildMinorBodies = () => {
+  const byId = new Map();
+  parseMPCElements(
+    [...bundledMinorBodies.elements, ...importedLines].join("\n")
+  )
+    .map(makeMinorBody)
+    .forEach((body) => byId.set(body.id, body));
+  minorBodies = [...byId.values()];
+};
+
+rebuildMinorBodies();
+
+// 저장된 MPC 파일 불러오기 (앱 시작 시 한 번)
+export const loadMinorBodies = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(IMPORTED_MPC_FILE);
+    if (info.exists) {
+      const text = await FileSystem.readAsStringAsync(IMPORTED_MPC_FILE);
+      importedLines.splice(0, importedLines.length, ...text.split(/\r?\n/));
+      rebuildMinorBodies();
+    }
+  } catch (error) {
+    console.error("저장된 궤도요소 불러오기 실패:", error);
+  }
+  return minorBodies;
+};
+
+// 로컬 MPC 파일(MPCORB.DAT / CometEls.txt 형식) 가져오기 - 가져온 천체 수 반환
+export const importMPCFile = async (uri) => {
+  const text = await FileSystem.readAsStringAsync(uri);
+  const count = parseMPCElements(text).length;
+  if (count === 0) {
+    throw new Error(t("orbits.errors.noMPC"));
+  }
+
+  await FileSystem.writeAsStringAsync(IMPORTED_MPC_FILE, text);
+  importedLines.splice(0, importedLines.length, ...text.split(/\r?\n/));
+  rebuildMinorBodies();
+  return count;
+};
+
+export const getMinorBodies = () => minorBodies;
+
+// id 또는 이름("Ceres", "1P/Halley", "Halley", "세레스")으로 찾기
+export const getMinorBody = (idOrName) => {
+  if (!idOrName) return null;
+  const key = String(idOrName).toLowerCase();
+  return (
+    minorBodies.find(
+      (body) =>
+        body.id === key ||
+        body.name.toLowerCase() === key ||
+        body.designation.toLowerCase() === key ||
+        body.name.toLowerCase().split("/")[1] === key ||
+        (body.proper && body.proper === idOrName)
+    ) || null
+  );
+};
+
+/*-------------- 궤도 계산 -------------- */
+// 케플러 방정식 (타원: E - e sinE = M, 쌍곡선: e sinhH - H = M)
+const solveKepler = (e, M) => {
+  if (e < 1) {
+    let E = e > 0.8 ? Math.PI : M;
+    for (let i = 0; i < 50; i++) {
+      const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+      E -= dE;
+      if (Math.abs(dE) < 1e-12) break;
+    }
+    return E;
+  }
+  let H = Math.asinh(M / e);
+  for (let i = 0; i < 50; i++) {
+    const dH = (e * Math.sinh(H) - H - M) / (e * Math.cosh(H) - 1);
+    H -= dH;
+    if (Math.abs(dH) < 1e-12) break;
+  }
+  return H;
+};
+
+// 타원 궤도의 진근점이각(rad)과 태양 거리(AU)
+const ellipticPosition = (a, e, M) => {
+  const E = solveKepler(e, M);
+  return {
+    nu:
+      2 *
+      Math.atan2(
+        Math.sqrt(1 + e) * Math.sin(E / 2),
+        Math.sqrt(1 - e) * Math.cos(E / 2)
+      ),
+    r: a * (1 - e * Math.cos(E)),
+  };
+};
+
+// 궤도면 위의 진근점이각(rad)과 태양 거리(AU)
+const orbitalPosition = (el, jd) => {
+  const { e } = el;
+
+  if (el.kind === "asteroid") {
+    const n = GAUSS_K / Math.pow(el.a, 1.5);
+    const M = el.meanAnomaly * DEG2RAD + n * (jd - el.epoch);
+    return ellipticPosition(el.a, e, M);
+  }
+
+  const dt = jd - el.perihelionTime;
+  const { q } = el;
+
+  // 포물선 궤도 (바커 방정식)
+  if (Math.abs(e - 1) < 1e-6) {
+    const W = ((3 * GAUSS_K) / Math.sqrt(2 * q * q * q)) * dt;
+    const Y = Math.cbrt(W / 2 + Math.sqrt((W * W) / 4 + 1));
+    const s = Y - 1 / Y;
+    return { nu: 2 * Math.atan(s), r: q * (1 + s * s) };
+  }
+
+  const a = q / (1 - e);
+  const M = (GAUSS_K / Math.pow(Math.abs(a), 1.5)) * dt;
+
+  if (e < 1) return ellipticPosition(a, e, M);
+
+  const H = solveKepler(e, M);
+  return {
+    nu: 2 * Math.atan(Math.sqrt((e + 1) / (e - 1)) * Math.tanh(H / 2)),
+    r: a * (1 - e * Math.cosh(H)),
+  };
+};
+
+const ECL_TO_EQJ = Astronomy.Rotation_ECL_EQJ();
+
+// 태양 중심 위치 벡터 (J2000 적도, AU)
+export const minorBodyHelioVector = (el, time) => {
+  const { nu, r } = orbitalPosition(el, time.tt + JD_J2000);
+  const u = el.peri * DEG2RAD + nu;
+  const node = el.node * DEG2RAD;
+  const incl = el.incl * DEG2RAD;
+
+  // MPC 요소는 J2000 황도 기준
+  const ecl = new Astronomy.Vector(
+    r *
+      (Math.cos(node) * Math.cos(u) -
+        Math.sin(node) * Math.sin(u) * Math.cos(incl)),
+    r *
+      (Math.sin(node) * Math.cos(u) +
+        Math.cos(node) * Math.sin(u) * Math.cos(incl)),
+    r * Math.sin(u) * Math.sin(incl),
+    time
+  );
+  return Astronomy.RotateVector(ECL_TO_EQJ, ecl);
+};
+
+// 밝기 추정 (소행성: H-G 계, 혜성: 전체 등급 H, K)
+const estimateMagnitude = (el, r, delta, earthSun) => {
+  if (el.H === null) return null;
+  if (el.kind === "comet") {
+    return el.H + 5 * Math.log10(delta) + 2.5 * el.K * Math.log10(r);
+  }
+
+  const cosPhase =
+    (r * r + delta * delta - earthSun * earthSun) / (2 * r * delta);
+  const phase = Math.acos(Math.min(1, Math.max(-1, cosPhase)));
+  const tanHalf = Math.tan(phase / 2);
+  const phi1 = Math.exp(-3.33 * Math.pow(tanHalf, 0.63));
+  const phi2 = Math.exp(-1.87 * Math.pow(tanHalf, 1.22));
+  return (
+    el.H +
+    5 * Math.log10(r * delta) -
+    2.5 * Math.log10((1 - el.G) * phi1 + el.G * phi2)
+  );
+};
+
+// 소행성·혜성의 실시간 위치 계산
+// Astronomy.Equator 와 같은 방식으로 광행차 시간·광행차 보정
+export const calculateMinorBodyPosition = (
+  idOrName,
+  observer,
+  date = getSimulatedDate(),
+  ofdate = true,
+  aberration = true
+) => {
+  if (!observer) {
+    console.warn("관측자 정보가 없습니다");
+    return null;
+  }
+
+  const el = getMinorBody(idOrName);
+  if (!el) {
+    console.warn(`알 수 없는 소천체: ${idOrName}`);
+    return null;
+  }
+
+  try {
+    const time = Astronomy.MakeTime(date);
+    const earthNow = Astronomy.HelioVector(Astronomy.Body.Earth, time);
+
+    // 빛이 오는 시간만큼 천체 위치를 되돌림 (광행차 포함 시 지구 위치도 함께)
+    let helio = null;
+    const geo = Astronomy.CorrectLightTravel((t) => {
+      helio = minorBodyHelioVector(el, t);
+      const earth = aberration
+        ? Astronomy.HelioVector(Astronomy.Body.Earth, t)
+        : earthNow;
+      return new Astronomy.Vector(
+        helio.x - earth.x,
+        helio.y - earth.y,
+        helio.z - earth.z,
+        t
+      );
+    }, time);
+
+    // 지구 중심 → 관측자 중심
+    const obs = Astronomy.ObserverVector(time, observer, false);
+    let topo = new Astronomy.Vector(
+      geo.x - obs.x,
+      geo.y - obs.y,
+      geo.z - obs.z,
+      time
+    );
+    if (ofdate) {
+      topo = Astronomy.RotateVector(Astronomy.Rotation_EQJ_EQD(time), topo);
+    }
+
+    const equ = Astronomy.EquatorFromVector(topo);
+    const hor = Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal");
+
+    return {
+      ra: equ.ra,
+      dec: equ.dec,
+      az: hor.azimuth,
+      alt: hor.altitude,
+      dist: equ.dist,
+      mag: estimateMagnitude(el, helio.Length(), equ.dist, earthNow.Length()),
+    };
+  } catch (error) {
+    console.error(`소천체 위치 계산 중 오류: ${error}`, idOrName);
+    return null;
+  }
+};
+
+// 소행성·혜성 검색 - 이름, 한글 이름, 번호/기호
+export const searchMinorBodies = (
+  query,
+  observer,
+  date = getSimulatedDate()
+) => {
+  const lowerText = (query || "").trim().toLowerCase();
+  if (!lowerText || !observer) return [];
+
+  return minorBodies
+    .map((body) => ({
+      body,
+      score:
+        body.designation.toLowerCase() === lowerText
+          ? 1
+          : scoreMatch(lowerText, [
+              body.name,
+              body.proper,
+              ...getAliases(body.id),
+            ]),
+    }))
+    .filter(({ score }) => score !== null)
+    .map(({ body, score }) => {
+      const position = calculateMinorBodyPosition(body.id, observer, date);
+      if (!position) return null;
+      return {
+        id: body.id,
+        proper: body.proper,
+        name: body.name,
+        ...position,
+        isMinorBody: true,
+        isComet: body.isComet,
+        isSolarSystemBody: true,
+        matchScore: score,
+      };
+    })
+    .filter((body) => body !== null);
+};
+
+export default {
+  parseMPCElements,
+  loadMinorBodies,
+  importMPCFile,
+  getMinorBodies,
+  getMinorBody,
+  calculateMinorBodyPosition,
+  searchMinorBodies,
+};
@@ -0,0 +1,208 @@
+import AHRS from "ahrs";
+
+const RAD2DEG = 180 / Math.PI;
+
+// 화면 회전 (도) - 세로 화면 기준으로 기기를 시계 반대 방향으로 돌린 각도
+export const SCREEN_ROTATIONS = [0, 90, 180, 270];
+
+// expo-screen-orientation 의 Orientation 값 → 화면 회전
+//  PORTRAIT_UP(1), PORTRAIT_DOWN(2), LANDSCAPE_LEFT(3), LANDSCAPE_RIGHT(4)
+const SCREEN_ORIENTATION_ROTATIONS = { 1: 0, 2: 180, 3: 270, 4: 90 };
+
+export const rotationFromScreenOrientation = (orientation) =>
+  SCREEN_ORIENTATION_ROTATIONS[orientation] ?? 0;
+
+// Expo 센서 축(x 화면 오른쪽, y 화면 위, z 화면 밖) → AHRS 기기 축
+//  X: 카메라 방향, Y: 보이는 화면의 오른쪽, Z: 보이는 화면의 아래쪽
+export const remapAxes = ({ x, y, z }, rotation = 0) => {
+  switch (rotation) {
+    case 90: // 기기 위쪽이 왼편
+      return [-z, -y, -x];
+    case 180: // 거꾸로 든 세로 화면
+      return [-z, -x, y];
+    case 270: // 기기 위쪽이 오른편
+      return [-z, y, x];
+    default:
+      return [-z, x, -y];
+  }
+};
+
+// 쿼터니언 → 오일러 각 (도) - ahrs 의 getEulerAngles 와 같은 ZYX 순서
+export const quaternionToEuler = ({ w, x, y, z }) => ({
+  heading:
+    Math.atan2(2 * (x * y + z * w), x * x - y * y - z * z + w * w) * RAD2DEG,
+  pitch: -Math.asin(Math.max(-1, Math.min(1, 2 * (x * z - y * w)))) * RAD2DEG,
+  roll:
+    Math.atan2(2 * (y * z + x * w), -x * x - y * y + z * z + w * w) * RAD2DEG,
+});
+
+// 두 쿼터니언 사이 구면 선형 보간 (SLERP), t: 0 → a, 1 → b
+export const slerp = (a, b, t) => {
+  let dot = a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+  // q 와 -q 는 같은 자세 - 가까운 쪽으로 보간
+  const sign = dot < 0 ? -1 : 1;
+  dot *= sign;
+
+  let wa = 1 - t;
+  let wb = t * sign;
+  if (dot < 0.9995) {
+    const theta = Math.acos(dot);
+    const sinTheta = Math.sin(theta);
+    wa = Math.sin((1 - t) * theta) / sinTheta;
+    wb = (Math.sin(t * theta) / sinTheta) * sign;
+  }
+  const q = {
+    w: wa * a.w + wb * b.w,
+    x: wa * a.x + wb * b.x,
+    y: wa * a.y + wb * b.y,
+    z: wa * a.z + wb * b.z,
+  };
+  const norm = Math.hypot(q.w, q.x, q.y, q.z);
+  return { w: q.w / norm, x: q.x / norm, y: q.y / norm, z: q.z / norm };
+};
+
+// 두 자세 사이 회전각 (도)
+const quaternionAngle = (a, b) => {
+  const dot = Math.abs(a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z);
+  return 2 * Math.acos(Math.min(1, dot)) * RAD2DEG;
+};
+
+// 적응형 저역 통과에서 시간 상수를 절반으로 줄이는 회전각 (도)
+const ADAPTIVE_ANGLE_DEG = 5;
+
+const angleDiff = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return Math.min(diff, 360 - diff);
+};
+
+// 필터를 새로 만들어야 하는 설정
+const FILTER_OPTIONS = ["algorithm", "beta", "kp", "ki"];
+
+// 센서 융합 엔진 - 원시 가속도·자이로·자기 센서 값 → 쿼터니언, 방위각·고도·회전각
+//  - algorithm: "Madgwick" | "Mahony", beta / kp / ki: 필터 이득
+//  - smoothingMs: 쿼터니언 저역 통과 시간 상수 (0 이면 평활화 없음)
+//  - adaptive: 빠르게 움직일 때는 평활화를 줄여 지연을 줄임
+//  - changeThreshold: 이 이상 변할 때만 changed (도)
+//  - declination: 편각 (도) - 방위각을 진북 기준으로 바꿀 때 사용
+//  - rotation: 화면 회전 (SCREEN_ROTATIONS)
+export const createOrientationEngine = (initialOptions = {}) => {
+  let options = {
+    sampleInterval: 50,
+    algorithm: "Madgwick",
+    beta: 0.4,
+    kp: 1.0,
+    ki: 0,
+    smoothingMs: 150,
+    adaptive: true,
+    changeThreshold: 0.3,
+    declination: 0,
+    rotation: 0,
+    ...initialOptions,
+  };
+  let filter = null;
+  let smoothed = null;
+  let previous = null;
+  let current = null;
+
+  // 필터 새로 만들기 - 첫 샘플의 가속도·자기 센서로 자세를 바로 초기화
+  const reset = () => {
+    const { sampleInterval, algorithm, beta, kp, ki } = options;
+    filter = new AHRS({
+      sampleInterval,
+      algorithm,
+      beta,
+      kp,
+      ki,
+      doInitialisation: true,
+    });
+    smoothed = null;
+    previous = null;
+    current = null;
+  };
+  reset();
+
+  // 필터 출력 쿼터니언을 SLERP 저역 통과로 평활화
+  const smooth = (q, deltaTimeSec) => {
+    if (!smoothed || options.smoothingMs <= 0) return q;
+    let tau = options.smoothingMs / 1000;
+    if (options.adaptive) {
+      tau /= 1 + quaternionAngle(smoothed, q) / ADAPTIVE_ANGLE_DEG;
+    }
+    const dt = deltaTimeSec || options.sampleInterval / 1000;
+    return slerp(smoothed, q, 1 - Math.exp(-dt / tau));
+  };
+
+  // 샘플 하나 융합 - { accel, gyro, mag } (Expo 센서 값, mag 는 보정 후 µT)
+  // 반환: { az, alt, roll, quaternion, changed } (값이 하나라도 없으면 null)
+  const update = ({ accel, gyro, mag }, deltaTimeSec) => {
+    if (!accel || !gyro || !mag) return null;
+
+    const [aX, aY, aZ] = remapAxes(accel, options.rotation);
+    const [gX, gY, gZ] = remapAxes(gyro, options.rotation);
+    const [mX, mY, mZ] = remapAxes(mag, options.rotation);
+    filter.update(gX, gY, gZ, aX, aY, aZ, mX, mY, mZ, deltaTimeSec);
+
+    smoothed = smooth(filter.getQuaternion(), deltaTimeSec);
+    const { heading, pitch, roll } = quaternionToEuler(smoothed);
+    const az = (heading + options.declination + 720) % 360;
+
+    const changed =
+      !previous ||
+      angleDiff(az, previous.az) > options.changeThreshold ||
+      Math.abs(pitch - previous.alt) > options.changeThreshold ||
+      angleDiff(roll, previous.roll) > options.changeThreshold;
+
+    current = {
+      az,
+      alt: pitch,
+      roll,
+      // 자북 기준 NED 쿼터니언 (보이는 화면 기준 기기 축)
+      quaternion: smoothed,
+      changed,
+    };
+    if (changed) previous = { az, alt: pitch, roll };
+    return current;
+  };
+
+  // 설정 변경 - 알고리즘·이득이 바뀌면 필터를 새로 시작
+  const configure = (nextOptions) => {
+    const needsReset = FILTER_OPTIONS.some(
+      (key) => key in nextOptions && nextOptions[key] !== options[key]
+    );
+    options = { ...options, ...nextOptions };
+    if (needsReset) reset();
+  };
+
+  // 화면 회전이 바뀌면 기기 축이 바뀌므로 필터를 새로 시작
+  const setRotation = (rotation) => {
+    if (rotation === options.rotation) return;
+    options = { ...options, rotation };
+    reset();
+  };
+
+  // 편각이 바뀌면 다음 샘플에서 바로 갱신되도록 (필터 상태는 자북 기준이라 그대로)
+  const setDeclination = (declination) => {
+    if (declination === options.declination) return;
+    options = { ...options, declination };
+    previous = null;
+  };
+
+  return {
+    update,
+    reset,
+    configure,
+    setRotation,
+    setDeclination,
+    getOptions: () => options,
+    getState: () => current,
+  };
+};
+
+export default {
+  SCREEN_ROTATIONS,
+  rotationFromScreenOrientation,
+  remapAxes,
+  quaternionToEuler,
+  slerp,
+  createOrientationEngine,
+};
@@ -0,0 +1,202 @@
+import * as Astronomy from "astronomy-engine";
+import { Qs as SaturnMoonTheory } from "astronomia/saturnmoons";
+import { getSimulatedDate } from "./SimulationClock";
+import { t } from "./LocaleData";
+
+// 토성 적도 반지름 (AU) - 토성 위성 이론의 거리 단위
+const SATURN_RADIUS_AU = 60268 / Astronomy.KM_PER_AU;
+
+// 토성 위성 이론(Meeus 46장)의 기준 좌표계: B1950.0 황도
+const B1950 = Astronomy.MakeTime(2433282.4235 - 2451545.0);
+const B1950_ECL_TO_EQJ = Astronomy.Rotation_ECT_EQJ(B1950);
+
+// 행성의 위성 목록 (등급은 충 무렵 평균값)
+export const planetaryMoons = [
+  { id: "io", proper: "이오", name: "Io", parent: "Jupiter", mag: 5.0 },
+  {
+    id: "europa",
+    proper: "유로파",
+    name: "Europa",
+    parent: "Jupiter",
+    mag: 5.3,
+  },
+  {
+    id: "ganymede",
+    proper: "가니메데",
+    name: "Ganymede",
+    parent: "Jupiter",
+    mag: 4.6,
+  },
+  {
+    id: "callisto",
+    proper: "칼리스토",
+    name: "Callisto",
+    parent: "Jupiter",
+    mag: 5.7,
+  },
+  { id: "mimas", proper: "미마스", name: "Mimas", parent: "Saturn", mag: 12.9 },
+  {
+    id: "enceladus",
+    proper: "엔셀라두스",
+    name: "Enceladus",
+    parent: "Saturn",
+    mag: 11.7,
+  },
+  {
+    id: "tethys",
+    proper: "테티스",
+    name: "Tethys",
+    parent: "Saturn",
+    mag: 10.2,
+  },
+  { id: "dione", proper: "디오네", name: "Dione", parent: "Saturn", mag: 10.4 },
+  { id: "rhea", proper: "레아", name: "Rhea", parent: "Saturn", mag: 9.7 },
+  { id: "titan", proper: "타이탄", name: "Titan", parent: "Saturn", mag: 8.4 },
+  {
+    id: "hyperion",
+    proper: "히페리온",
+    name: "Hyperion",
+    parent: "Saturn",
+    mag: 14.2,
+  },
+  {
+    id: "iapetus",
+    proper: "이아페투스",
+    name: "Iapetus",
+    parent: "Saturn",
+    mag: 11.0,
+  },
+];
+
+export const getPlanetMoon = (name) => {
+  if (!name) return null;
+  const key = name.toLowerCase();
+  return planetaryMoons.find((moon) => moon.id === key) || null;
+};
+
+// 목성 중심 위성 위치 (J2000 적도, AU) - astronomy-engine JupiterMoons
+const jupiterMoonOffset = (id, time) => {
+  const state = Astronomy.JupiterMoons(time)[id];
+  return new Astronomy.Vector(state.x, state.y, state.z, time);
+};
+
+// 토성 중심 위성 위치 (J2000 적도, AU) - Meeus 46장 해석 이론
+const saturnMoonOffset = (id, time) => {
+  const theory = new SaturnMoonTheory(time.tt + 2451545.0);
+  const { λ, r, γ, Ω } = theory[id]();
+
+  // 토성 적도면 기준 궤도 → B1950 황도 (Meeus 46장과 같은 회전)
+  const u = λ - Ω;
+  const w = Ω - (168.8112 * Math.PI) / 180;
+  const X =
+    r * (Math.cos(u) * Math.cos(w) - Math.sin(u) * Math.cos(γ) * Math.sin(w));
+  const Y =
+    r * (Math.sin(u) * Math.cos(w) * Math.cos(γ) + Math.cos(u) * Math.sin(w));
+  const Z = r * Math.sin(u) * Math.sin(γ);
+
+  const b = theory.c1 * Y - theory.s1 * Z;
+  const c = theory.s1 * Y + theory.c1 * Z;
+  const ecl = new Astronomy.Vector(
+    (theory.c2 * X - theory.s2 * b) * SATURN_RADIUS_AU,
+    (theory.s2 * X + theory.c2 * b) * SATURN_RADIUS_AU,
+    c * SATURN_RADIUS_AU,
+    time
+  );
+  return Astronomy.RotateVector(B1950_ECL_TO_EQJ, ecl);
+};
+
+// 위성 → 행성 기준 위치각 (북쪽 0°, 동쪽 90°)
+const positionAngle = (planet, moon) => {
+  const dRa = (moon.ra - planet.ra) * 15 * Astronomy.DEG2RAD;
+  const dec1 = planet.dec * Astronomy.DEG2RAD;
+  const dec2 = moon.dec * Astronomy.DEG2RAD;
+  const pa = Math.atan2(
+    Math.sin(dRa),
+    Math.cos(dec1) * Math.tan(dec2) - Math.sin(dec1) * Math.cos(dRa)
+  );
+  return (pa * Astronomy.RAD2DEG + 360) % 360;
+};
+
+// 위치각 → 8방위 (가이드 문구용, 문자열 표 common.compass)
+export const describePositionAngle = (pa) =>
+  t("common.compass")[Math.round(pa / 45) % 8];
+
+// 행성 위성의 실시간 위치 + 모행성 기준 이각·위치각
+export const calculatePlanetMoonPosition = (
+  name,
+  observer,
+  date = getSimulatedDate(),
+  ofdate = true
+) => {
+  if (!observer) {
+    console.warn("관측자 정보가 없습니다");
+    return null;
+  }
+
+  const moon = getPlanetMoon(name);
+  if (!moon) return null;
+
+  try {
+    const time = Astronomy.MakeTime(date);
+    const planetGeo = Astronomy.GeoVector(
+      Astronomy.Body[moon.parent],
+      time,
+      true
+    );
+
+    // 행성에서 빛이 출발한 시각의 위성 위치를 사용
+    const emitted = time.AddDays(-planetGeo.Length() / Astronomy.C_AUDAY);
+    const offset =
+      moon.parent === "Jupiter"
+        ? jupiterMoonOffset(moon.id, emitted)
+        : saturnMoonOffset(moon.id, emitted);
+
+    const obs = Astronomy.ObserverVector(time, observer, false);
+    const toTopocentric = (vec) => {
+      const topo = new Astronomy.Vector(
+        vec.x - obs.x,
+        vec.y - obs.y,
+        vec.z - obs.z,
+        time
+      );
+      return ofdate
+        ? Astronomy.RotateVector(Astronomy.Rotation_EQJ_EQD(time), topo)
+        : topo;
+    };
+
+    const planetTopo = toTopocentric(planetGeo);
+    const moonTopo = toTopocentric(
+      new Astronomy.Vector(
+        planetGeo.x + offset.x,
+        planetGeo.y + offset.y,
+        planetGeo.z + offset.z,
+        time
+      )
+    );
+
+    const equ = Astronomy.EquatorFromVector(moonTopo);
+    const planetEqu = Astronomy.EquatorFromVector(planetTopo);
+    const hor = Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal");
+
+    return {
+      ra: equ.ra,
+      dec: equ.dec,
+      az: hor.azimuth,
+      alt: hor.altitude,
+      parent: moon.parent,
+      // 모행성으로부터의 각거리 (분), 위치각 (도)
+      separation: Astronomy.AngleBetween(planetTopo, moonTopo) * 60,
+      positionAngle: positionAngle(planetEqu, equ),
+    };
+  } catch (error) {
+    console.error(`행성 위성 위치 계산 중 오류: ${error}`, name);
+    return null;
+  }
+};
+
+export default {
+  planetaryMoons,
+  getPlanetMoon,
+  calculatePlanetMoonPosition,
+  describePositionAngle,
+};
@@ -0,0 +1,309 @@
+import * as Astronomy from "astronomy-engine";
+import * as satellite from "satellite.js";
+import * as FileSystem from "expo-file-system";
+import { getSimulatedDate } from "./SimulationClock";
+import { scoreMatch, getAliases } from "./SearchData";
+import { t } from "./LocaleData";
+
+// 사용자가 가져온 TLE 저장 위치
+// TLE 는 몇 주만 지나도 위치가 크게 틀어지므로 번들하지 않고 가져온 것만 사용
+const IMPORTED_TLE_FILE = `${FileSystem.documentDirectory}satellites.tle`;
+
+// TLE 기준 시각(epoch)에서 이 일수 이상 지나면 위치가 부정확
+export const TLE_STALE_DAYS = 14;
+
+// 잘 알려진 위성의 한글 이름과 표준 밝기 (NORAD 번호 기준)
+const SATELLITE_INFO = {
+  25544: { proper: "국제우주정거장", mag: -1.8 },
+  20580: { proper: "허블 우주망원경", mag: 2.2 },
+  48274: { proper: "톈궁 우주정거장", mag: -0.5 },
+};
+
+let importedEntries = [];
+let satellites = [];
+
+// TLE 텍스트 파싱 (이름 줄이 있는 3줄 형식, 없는 2줄 형식 모두 지원)
+export const parseTLE = (text) => {
+  const lines = (text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line.trim().length > 0);
+
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line1 = lines[i];
+    const line2 = lines[i + 1];
+    if (!line1.startsWith("1 ") || !line2 || !line2.startsWith("2 ")) continue;
+
+    const previous = lines[i - 1];
+    const hasName = previous && !/^[12] /.test(previous);
+    entries.push({
+      name: hasName ? previous.replace(/^0 /, "").trim() : line1.slice(2, 7),
+      line1,
+      line2,
+    });
+    i++;
+  }
+  return entries;
+};
+
+// TLE 항목 → 앱에서 쓰는 위성 객체
+const makeSatellite = ({ name, line1, line2 }) => {
+  try {
+    const satrec = satellite.twoline2satrec(line1, line2);
+    if (!satrec || satrec.error) return null;
+
+    const norad = Number(satrec.satnum);
+    const info = SATELLITE_INFO[norad] || {};
+    return {
+      id: `sat-${norad}`,
+      norad,
+      proper: info.proper || null,
+      name,
+      mag: info.mag ?? null,
+      epoch: new Date((satrec.jdsatepoch - 2440587.5) * 86400000),
+      satrec,
+      isSatellite: true,
+      isSolarSystemBody: false,
+    };
+  } catch (error) {
+    console.error(`TLE 해석 오류 (${name}):`, error);
+    return null;
+  }
+};
+
+// 가져온 TLE → 위성 목록 (같은 NORAD 번호는 뒤쪽 우선)
+const rebuildSatellites = () => {
+  const byNorad = new Map();
+  importedEntries
+    .map(makeSatellite)
+    .filter((sat) => sat !== null)
+    .forEach((sat) => byNorad.set(sat.norad, sat));
+  satellites = [...byNorad.values()];
+};
+
+// 저장된 TLE 파일 불러오기 (앱 시작 시 한 번)
+export const loadSatellites = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(IMPORTED_TLE_FILE);
+    if (info.exists) {
+      const text = await FileSystem.readAsStringAsync(IMPORTED_TLE_FILE);
+      importedEntries = parseTLE(text);
+      rebuildSatellites();
+    }
+  } catch (error) {
+    console.error("저장된 TLE 불러오기 실패:", error);
+  }
+  return satellites;
+};
+
+// 로컬 TLE 파일 가져오기 - 가져온 위성 수 반환
+export const importTLEFile = async (uri) => {
+  const text = await FileSystem.readAsStringAsync(uri);
+  const entries = parseTLE(text);
+  if (entries.length === 0) {
+    throw new Error(t("orbits.errors.noTLE"));
+  }
+
+  await FileSystem.writeAsStringAsync(IMPORTED_TLE_FILE, text);
+  importedEntries = entries;
+  rebuildSatellites();
+  return entries.length;
+};
+
+export const getSatellites = () => satellites;
+
+export const getSatelliteById = (id) =>
+  satellites.find((sat) => sat.id === id) || null;
+
+// TLE 기준 시각으로부터 지난 일수
+export const getTleAgeDays = (sat, date = getSimulatedDate()) =>
+  (date.getTime() - sat.epoch.getTime()) / 86400000;
+
+// 위성의 실시간 위치 계산 (SGP4/SDP4)
+// calculateSolarSystemBodyPosition 과 같은 형태 + 거리(km)
+export const calculateSatellitePosition = (
+  id,
+  observer,
+  date = getSimulatedDate()
+) => {
+  if (!observer) {
+    console.warn("관측자 정보가 없습니다");
+    return null;
+  }
+
+  const sat = getSatelliteById(id);
+  if (!sat) {
+    console.warn(`알 수 없는 위성: ${id}`);
+    return null;
+  }
+
+  try {
+    const { position } = satellite.propagate(sat.satrec, date);
+    // 궤도 붕괴 등으로 전파 실패 시 position 이 false
+    if (!position) return null;
+
+    const gmst = satellite.gstime(date);
+    const ecf = satellite.eciToEcf(position, gmst);
+    const look = satellite.ecfToLookAngles(
+      {
+        latitude: satellite.degreesToRadians(observer.latitude),
+        longitude: satellite.degreesToRadians(observer.longitude),
+        height: observer.height / 1000,
+      },
+      ecf
+    );
+
+    const az = (satellite.radiansToDegrees(look.azimuth) + 360) % 360;
+    const geoAlt = satellite.radiansToDegrees(look.elevation);
+
+    // 지평 좌표 → 적도 좌표 (calculateSolarSystemBodyPosition 처럼 관측 시점의 적도 기준)
+    const sph = new Astronomy.Spherical(geoAlt, az, look.rangeSat);
+    const vHor = Astronomy.VectorFromHorizon(sph, date, "");
+    const rot = Astronomy.Rotation_HOR_EQD(date, observer);
+    const { ra, dec } = Astronomy.EquatorFromVector(
+      Astronomy.RotateVector(rot, vHor)
+    );
+
+    return {
+      ra,
+      dec,
+      az,
+      alt: geoAlt + Astronomy.Refraction("normal", geoAlt),
+      range: look.rangeSat,
+    };
+  } catch (error) {
+    console.error(`위성 위치 계산 중 오류: ${error}`, id);
+    return null;
+  }
+};
+
+// 통과 예보 탐색 간격, 범위
+const PASS_STEP_MS = 60000;
+const PASS_SEARCH_HOURS = 24;
+
+// 고도가 0°를 지나는 시각을 1초 정밀도로 좁힘 (before/after 사이, 시각은 ms)
+// altAt 이 null 이면 (SGP4 전파 실패) null 반환
+const refineHorizonCrossing = (altAt, before, after) => {
+  let lo = before;
+  let hi = after;
+  const startAlt = altAt(lo);
+  if (startAlt === null) return null;
+  const loUp = startAlt > 0;
+  while (hi - lo > 1000) {
+    const mid = (lo + hi) / 2;
+    const alt = altAt(mid);
+    if (alt === null) return null;
+    const up = alt > 0;
+    if (up === loUp) lo = mid;
+    else hi = mid;
+  }
+  return new Date(hi);
+};
+
+// 다음 통과(지평선 위로 뜨는 구간) 찾기
+// 이미 떠 있으면 rise 는 null, 24시간 안에 통과가 없으면 null 반환
+// 반환: { rise, culmination, maxAlt, set }
+export const findNextPass = (id, observer, date = getSimulatedDate()) => {
+  const altAt = (t) => {
+    const position = calculateSatellitePosition(id, observer, new Date(t));
+    return position ? position.alt : null;
+  };
+
+  const start = date.getTime();
+  const end = start + PASS_SEARCH_HOURS * 3600000;
+  const startAlt = altAt(start);
+  if (startAlt === null) return null;
+
+  let rise = null;
+  let t = start;
+  if (startAlt <= 0) {
+    let prev = start;
+    for (t = start + PASS_STEP_MS; t <= end; t += PASS_STEP_MS) {
+      const alt = altAt(t);
+      if (alt === null) return null;
+      if (alt > 0) {
+        rise = refineHorizonCrossing(altAt, prev, t);
+        break;
+      }
+      prev = t;
+    }
+    if (!rise) return null;
+  }
+
+  // 최고 고도와 지는 시각
+  let maxAlt = -90;
+  let culmination = null;
+  let set = null;
+  let prev = t;
+  for (; t <= end + PASS_STEP_MS * 30; t += PASS_STEP_MS) {
+    const alt = altAt(t);
+    if (alt === null) break;
+    if (alt > maxAlt) {
+      maxAlt = alt;
+      culmination = new Date(t);
+    }
+    if (alt <= 0) {
+      set = refineHorizonCrossing(altAt, prev, t);
+      break;
+    }
+    prev = t;
+  }
+
+  return { rise, culmination, maxAlt, set };
+};
+
+// 위성 검색 - 이름(한글/영문) 또는 NORAD 번호
+export const searchSatellites = (
+  query,
+  observer,
+  date = getSimulatedDate()
+) => {
+  const lowerText = (query || "").trim().toLowerCase();
+  if (!lowerText || !observer) return [];
+
+  return satellites
+    .map((sat) => ({
+      sat,
+      score:
+        String(sat.norad) === lowerText
+          ? 1
+          : scoreMatch(lowerText, [
+              sat.name,
+              sat.proper,
+              ...getAliases(sat.id),
+            ]),
+    }))
+    .filter(({ score }) => score !== null)
+    .map(({ sat, score }) => {
+      const position = calculateSatellitePosition(sat.id, observer, date);
+      if (!position) return null;
+
+      const tleAgeDays = getTleAgeDays(sat, date);
+      return {
+        id: sat.id,
+        norad: sat.norad,
+        proper: sat.proper,
+        name: sat.name,
+        mag: sat.mag,
+        ...position,
+        tleAgeDays,
+        isTleStale: Math.abs(tleAgeDays) > TLE_STALE_DAYS,
+        isSatellite: true,
+        isSolarSystemBody: false,
+        matchScore: score,
+      };
+    })
+    .filter((sat) => sat !== null);
+};
+
+export default {
+  parseTLE,
+  loadSatellites,
+  importTLEFile,
+  getSatellites,
+  getSatelliteById,
+  calculateSatellitePosition,
+  findNextPass,
+  searchSatellites,
+};
@@ -0,0 +1,246 @@
+import { getTranslatedNames, getTranslatedIds } from "./LocaleData";
+
+// 천체 검색용 문자열 처리 - 정규화, 한글 초성, 오타 허용 점수, 카탈로그 표기 해석
+
+// 한글 초성 (유니코드 음절 순서)
+const CHOSEONG = [
+  "ㄱ",
+  "ㄲ",
+  "ㄴ",
+  "ㄷ",
+  "ㄸ",
+  "ㄹ",
+  "ㅁ",
+  "ㅂ",
+  "ㅃ",
+  "ㅅ",
+  "ㅆ",
+  "ㅇ",
+  "ㅈ",
+  "ㅉ",
+  "ㅊ",
+  "ㅋ",
+  "ㅌ",
+  "ㅍ",
+  "ㅎ",
+];
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+const JUNGSEONG_JONGSEONG_COUNT = 21 * 28;
+
+// 그리스 문자 - HYG 약자, 기호, 영문 이름·IAU 약자
+export const GREEK_LETTERS = [
+  ["Alp", "α", ["alpha", "alf", "alp"]],
+  ["Bet", "β", ["beta", "bet"]],
+  ["Gam", "γ", ["gamma", "gam"]],
+  ["Del", "δ", ["delta", "del"]],
+  ["Eps", "ε", ["epsilon", "eps"]],
+  ["Zet", "ζ", ["zeta", "zet"]],
+  ["Eta", "η", ["eta"]],
+  ["The", "θ", ["theta", "tet", "the"]],
+  ["Iot", "ι", ["iota", "iot"]],
+  ["Kap", "κ", ["kappa", "kap"]],
+  ["Lam", "λ", ["lambda", "lam"]],
+  ["Mu", "μ", ["mu"]],
+  ["Nu", "ν", ["nu"]],
+  ["Xi", "ξ", ["xi"]],
+  ["Omi", "ο", ["omicron", "omi"]],
+  ["Pi", "π", ["pi"]],
+  ["Rho", "ρ", ["rho"]],
+  ["Sig", "σ", ["sigma", "sig"]],
+  ["Tau", "τ", ["tau"]],
+  ["Ups", "υ", ["upsilon", "ups"]],
+  ["Phi", "φ", ["phi"]],
+  ["Chi", "χ", ["chi"]],
+  ["Psi", "ψ", ["psi"]],
+  ["Ome", "ω", ["omega", "ome"]],
+];
+
+const greekByText = new Map();
+GREEK_LETTERS.forEach(([abbr, symbol, names]) => {
+  [abbr.toLowerCase(), symbol, ...names].forEach((text) =>
+    greekByText.set(text, abbr)
+  );
+});
+
+// 그리스 문자 약자 → 기호 (예: "Alp" → "α")
+export const greekSymbol = (abbr) => {
+  const letter = GREEK_LETTERS.find(([a]) => a === abbr);
+  return letter ? letter[1] : null;
+};
+
+// 한글·영문 별칭 (앱 천체 id 기준)
+const NAME_ALIASES = {
+  "HIP 11767": ["북극성", "North Star", "Pole Star"],
+  "HIP 91262": ["직녀성", "직녀"],
+  "HIP 97649": ["견우성", "견우"],
+  "HIP 32349": ["천랑성", "Dog Star"],
+  "HIP 30438": ["노인성", "남극노인성"],
+  "HIP 69673": ["대각성"],
+  sun: ["해"],
+  venus: ["샛별", "개밥바라기", "태백성", "Morning Star", "Evening Star"],
+  mars: ["형혹성", "Red Planet"],
+  jupiter: ["세성"],
+};
+
+// 별칭 + 문자열 표의 언어별 이름 (어느 언어로 검색해도 찾도록)
+export const getAliases = (id) => [
+  ...(NAME_ALIASES[id] || []),
+  ...getTranslatedNames(id),
+];
+
+// 별칭이 있는 천체 id 목록
+export const getAliasedIds = () => [
+  ...new Set([...Object.keys(NAME_ALIASES), ...getTranslatedIds()]),
+];
+
+/*-------------- 문자열 정규화 -------------- */
+// 소문자, 악센트·공백·구두점 제거 (한글 음절은 유지)
+export const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[\s\-_.'’()]/g, "");
+
+// 한글 음절을 초성으로 (한글이 아닌 글자는 그대로)
+export const getChoseong = (text) =>
+  Array.from(text)
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (code < HANGUL_START || code > HANGUL_END) return char;
+      return CHOSEONG[
+        Math.floor((code - HANGUL_START) / JUNGSEONG_JONGSEONG_COUNT)
+      ];
+    })
+    .join("");
+
+const isChoseongQuery = (text) => /^[ㄱ-ㅎ]+$/.test(text);
+
+// 편집 거리 (Damerau–Levenshtein, 최적 문자열 정렬) - 이웃한 두 글자 바뀜도 1
+// maxDistance 를 넘으면 maxDistance + 1
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/*-------------- 일치 점수 -------------- */
+// 널리 쓰는 우리말·영문 별칭 (정규화)
+const COMMON_NAMES = new Set(
+  Object.values(NAME_ALIASES).flat().map(normalizeText)
+);
+
+// 정규화된 검색어 q 와 후보 t 의 일치 점수 (0~1, 일치하지 않으면 null)
+const scoreText = (q, t) => {
+  if (t === q) return 1;
+  if (t.startsWith(q)) return 0.9;
+  if (t.includes(q)) return 0.75;
+
+  if (isChoseongQuery(q)) {
+    const initials = getChoseong(t);
+    // 초성은 보통 널리 쓰는 이름(북극성, 직녀성, 샛별)을 떠올리며 입력하므로
+    // 별칭은 앞부분만 맞아도 음역 이름의 초성 완전 일치(베가 = ㅂㄱ)보다 앞에
+    if (COMMON_NAMES.has(t) && initials.startsWith(q)) return 0.97;
+    if (initials === q) return 0.95;
+    if (initials.startsWith(q)) return 0.85;
+    if (initials.includes(q)) return 0.7;
+    return null;
+  }
+
+  // 오타 허용: 4글자 이상 1글자, 7글자 이상 2글자까지
+  const maxDistance = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  if (maxDistance === 0) return null;
+  const whole = editDistance(q, t, maxDistance);
+  if (whole <= maxDistance) return 0.65 - 0.1 * (whole - 1);
+  const prefix = editDistance(q, t.slice(0, q.length), maxDistance);
+  if (prefix <= maxDistance) return 0.55 - 0.1 * (prefix - 1);
+  return null;
+};
+
+// 검색어와 후보 이름들 중 가장 잘 맞는 점수 (0~1, 하나도 맞지 않으면 null)
+export const scoreMatch = (query, candidates) => {
+  const q = normalizeText(query);
+  if (!q) return null;
+  let best = null;
+  candidates.forEach((candidate) => {
+    const t = normalizeText(candidate);
+    if (!t) return;
+    const score = scoreText(q, t);
+    if (score !== null && (best === null || score > best)) best = score;
+  });
+  return best;
+};
+
+/*-------------- 카탈로그 표기 -------------- */
+// 검색어를 카탈로그 표기로 해석 - 해석할 수 없으면 null
+//  - { type: "hip" | "hd" | "hr" | "ngc" | "ic" | "messier" | "caldwell", number }
+//  - { type: "bayer", bayer: "Alp", index: "1" | "", con }  예: "α UMi", "alpha1 Cen"
+//  - { type: "flamsteed", flam: "61", con }                   예: "61 Cyg"
+// resolveConstellation(text): 별자리 약자·이름·소유격 → 별자리 (없으면 null)
+export const parseDesignation = (query, resolveConstellation) => {
+  const text = String(query || "")
+    .normalize("NFKC")
+    .trim();
+  if (!text) return null;
+
+  const catalog = text.match(/^(hip|hd|hr|ngc|ic)\s*-?\s*(\d+)$/i);
+  if (catalog) {
+    return { type: catalog[1].toLowerCase(), number: Number(catalog[2]) };
+  }
+  const messier = text.match(/^(?:m|messier)\s*-?\s*(\d{1,3})$/i);
+  if (messier) {
+    const number = Number(messier[1]);
+    return number >= 1 && number <= 110 ? { type: "messier", number } : null;
+  }
+  const caldwell = text.match(/^(?:c|caldwell)\s*-?\s*(\d{1,3})$/i);
+  if (caldwell) {
+    const number = Number(caldwell[1]);
+    return number >= 1 && number <= 109 ? { type: "caldwell", number } : null;
+  }
+
+  // 바이어·플램스티드: "<문자 또는 번호> <별자리>"
+  const parts = text.match(/^(\S+)\s+(.+)$/);
+  if (!parts || !resolveConstellation) return null;
+  const con = resolveConstellation(parts[2]);
+  if (!con) return null;
+
+  if (/^\d+$/.test(parts[1])) {
+    return { type: "flamsteed", flam: parts[1], con: con.id };
+  }
+  const letter = parts[1].toLowerCase().match(/^(\D+?)-?(\d?)$/);
+  const bayer = letter && greekByText.get(letter[1]);
+  if (!bayer) return null;
+  return { type: "bayer", bayer, index: letter[2], con: con.id };
+};
+
+export default {
+  GREEK_LETTERS,
+  greekSymbol,
+  getAliases,
+  getAliasedIds,
+  normalizeText,
+  getChoseong,
+  scoreMatch,
+  parseDesignation,
+};
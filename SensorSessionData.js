@@ -0,0 +1,191 @@
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { t } from "./LocaleData";
+
+// 센서 기록 파일 폴더
+const SESSION_DIR = `${FileSystem.documentDirectory}sensorSessions/`;
+
+// 기록 최대 길이 - 이후 샘플은 기록하지 않음
+export const MAX_RECORDING_MS = 5 * 60 * 1000;
+
+// 샘플 종류 (파일 크기를 줄이려고 번호로 저장)
+const SENSOR_TYPES = ["accel", "gyro", "mag"];
+
+const round = (value) => Math.round(value * 1e5) / 1e5;
+
+let recording = null;
+
+/*-------------- 기록 -------------- */
+// 기록 시작 - 재생 때 같은 조건을 만들 수 있도록 관측지·편각·보정값·융합 설정·화면 회전을 함께 저장
+export const startRecording = ({
+  observer,
+  declination,
+  calibration,
+  fusion,
+  rotation,
+  simulatedDate,
+}) => {
+  const startedAt = Date.now();
+  recording = {
+    version: 1,
+    startedAt: new Date(startedAt).toISOString(),
+    simulatedDate: (simulatedDate || new Date(startedAt)).toISOString(),
+    observer: {
+      latitude: observer.latitude,
+      longitude: observer.longitude,
+      height: observer.height,
+    },
+    declination,
+    calibration: calibration || null,
+    fusion: fusion || null,
+    rotation: rotation || 0,
+    samples: [], // [경과 ms, 종류 번호, x, y, z]
+    start: startedAt,
+  };
+};
+
+export const isRecording = () => recording !== null;
+
+// 원시 센서 샘플 하나 기록 (기록 중이 아니거나 최대 길이를 넘으면 무시)
+export const recordSensorSample = (type, { x, y, z }) => {
+  if (!recording) return;
+  const elapsed = Date.now() - recording.start;
+  if (elapsed > MAX_RECORDING_MS) return;
+  recording.samples.push([
+    elapsed,
+    SENSOR_TYPES.indexOf(type),
+    round(x),
+    round(y),
+    round(z),
+  ]);
+};
+
+// 기록 종료 후 파일로 저장 - 저장된 세션 정보 반환 (샘플이 없으면 null)
+export const stopRecording = async () => {
+  if (!recording) return null;
+  const { start, ...session } = recording;
+  recording = null;
+  if (session.samples.length === 0) return null;
+
+  session.duration = session.samples[session.samples.length - 1][0];
+  const name = `session-${session.startedAt.replace(/[:.]/g, "-")}.json`;
+  try {
+    await FileSystem.makeDirectoryAsync(SESSION_DIR, { intermediates: true });
+    await FileSystem.writeAsStringAsync(
+      SESSION_DIR + name,
+      JSON.stringify(session)
+    );
+    return { name, uri: SESSION_DIR + name, ...summarize(session) };
+  } catch (error) {
+    console.error("센서 기록 저장 실패:", error);
+    throw new Error(t("sessions.errors.saveFailed"));
+  }
+};
+
+/*-------------- 저장된 기록 -------------- */
+const summarize = (session) => ({
+  startedAt: session.startedAt,
+  duration: session.duration,
+  sampleCount: session.samples.length,
+});
+
+// 저장된 기록 목록 (최근 것부터)
+export const listSessions = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SESSION_DIR);
+    if (!info.exists) return [];
+    const names = await FileSystem.readDirectoryAsync(SESSION_DIR);
+    return names
+      .filter((name) => name.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map((name) => ({ name, uri: SESSION_DIR + name }));
+  } catch (error) {
+    console.error("센서 기록 목록 불러오기 실패:", error);
+    return [];
+  }
+};
+
+export const loadSession = async (uri) => {
+  try {
+    const session = JSON.parse(await FileSystem.readAsStringAsync(uri));
+    if (!Array.isArray(session.samples) || !session.observer) {
+      throw new Error("형식 오류");
+    }
+    return session;
+  } catch (error) {
+    console.error("센서 기록 불러오기 실패:", error);
+    return null;
+  }
+};
+
+export const deleteSession = async (uri) => {
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+};
+
+// 공유 시트로 내보내기
+export const shareSession = async (uri) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t("common.shareUnavailable"));
+  }
+  await Sharing.shareAsync(uri, {
+    mimeType: "application/json",
+    dialogTitle: t("sessions.shareTitle"),
+  });
+};
+
+/*-------------- 재생 -------------- */
+// 기록된 샘플을 기록 당시 간격 그대로 onSample(type, {x, y, z}) 로 전달
+//  - onProgress(elapsedMs): 진행 상황 (1초마다), onEnd(): 끝까지 재생했을 때
+// 반환: { stop } - 재생 중단
+export const createReplayer = (session, { onSample, onProgress, onEnd }) => {
+  const { samples } = session;
+  const start = Date.now();
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+  let lastSecond = -1;
+
+  const tick = () => {
+    if (stopped) return;
+    const elapsed = Date.now() - start;
+    while (index < samples.length && samples[index][0] <= elapsed) {
+      const [, type, x, y, z] = samples[index];
+      onSample(SENSOR_TYPES[type], { x, y, z });
+      index++;
+    }
+    const second = Math.floor(elapsed / 1000);
+    if (onProgress && second !== lastSecond) {
+      lastSecond = second;
+      onProgress(Math.min(elapsed, session.duration));
+    }
+
+    if (index >= samples.length) {
+      stopped = true;
+      if (onEnd) onEnd();
+      return;
+    }
+    timer = setTimeout(tick, Math.max(0, samples[index][0] - elapsed));
+  };
+  tick();
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+export default {
+  MAX_RECORDING_MS,
+  startRecording,
+  isRecording,
+  recordSensorSample,
+  stopRecording,
+  listSessions,
+  loadSession,
+  deleteSession,
+  shareSession,
+  createReplayer,
+};
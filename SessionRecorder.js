@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { listSessions, deleteSession, shareSession } from "./SensorSessionData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 경과 시간 표시 (m:ss)
+export const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${pad(seconds % 60)}`;
+};
+
+// 파일 이름(session-2025-01-01T12-00-00-000Z.json) → 기록 시각 표시
+const describeSession = (name) => {
+  const match = name.match(/(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+  if (!match) return name;
+  const [, y, mo, d, h, mi, s] = match;
+  const date = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+  return `${date.getMonth() + 1}/${date.getDate()} ${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// 센서 기록·재생 - 지시 오류를 재현하기 위한 디버그 도구
+//  - recording: 기록 중 여부, replay: { session, elapsed } | null
+//  - onToggleRecording(), onReplay(uri), onStopReplay()
+export default function SessionRecorder({
+  recording,
+  replay,
+  onToggleRecording,
+  onReplay,
+  onStopReplay,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [sessions, setSessions] = useState([]);
+
+  // 기록이 끝날 때마다 목록 새로 읽기
+  useEffect(() => {
+    if (!recording) listSessions().then(setSessions);
+  }, [recording]);
+
+  const share = async (uri) => {
+    try {
+      await shareSession(uri);
+    } catch (error) {
+      Alert.alert(t("common.exportFailed"), error.message);
+    }
+  };
+
+  const remove = async (uri) => {
+    await deleteSession(uri);
+    setSessions(await listSessions());
+  };
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t("sessions.title")}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Ionicons name="close" size={22} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      {replay ? (
+        <View style={styles.row}>
+          <Text style={styles.txt}>
+            {t("sessions.replaying", {
+              elapsed: formatElapsed(replay.elapsed),
+              duration: formatElapsed(replay.session.duration),
+            })}
+          </Text>
+          <TouchableOpacity style={styles.button} onPress={onStopReplay}>
+            <Ionicons name="stop" size={18} color={colors.text} />
+            <Text style={styles.buttonText}>{t("sessions.stopReplay")}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={[styles.button, recording && styles.recordingButton]}
+          onPress={onToggleRecording}
+        >
+          <Ionicons
+            name={recording ? "stop" : "radio-button-on"}
+            size={18}
+            color={colors.text}
+          />
+          <Text style={styles.buttonText}>
+            {t(
+              recording ? "sessions.stopRecording" : "sessions.startRecording"
+            )}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      <FlatList
+        style={styles.list}
+        data={sessions}
+        keyExtractor={(item) => item.uri}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t("sessions.empty")}</Text>
+        }
+        renderItem={({ item }) => (
+          <View style={styles.sessionItem}>
+            <Text style={styles.txt}>{describeSession(item.name)}</Text>
+            <View style={styles.sessionActions}>
+              <TouchableOpacity
+                disabled={recording}
+                onPress={() => onReplay(item.uri)}
+              >
+                <Ionicons
+                  name="play"
+                  size={20}
+                  color={recording ? colors.textMuted : colors.text}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => share(item.uri)}>
+                <Ionicons name="share-outline" size={20} color={colors.text} />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => remove(item.uri)}>
+                <Ionicons
+                  name="trash-outline"
+                  size={20}
+                  color={colors.dangerSoft}
+                />
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      />
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    panel: {
+      position: "absolute",
+      bottom: 40,
+      left: 20,
+      right: 20,
+      maxHeight: 320,
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 12,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    title: { color: colors.text, fontSize: 18, fontWeight: "bold" },
+    row: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+    },
+    button: {
+      flexDirection: "row",
+      alignItems: "center",
+      justifyContent: "center",
+      gap: 6,
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 8,
+      paddingHorizontal: 12,
+    },
+    recordingButton: { backgroundColor: colors.danger },
+    buttonText: { color: colors.text, fontSize: 15, fontWeight: "bold" },
+    list: { marginTop: 10 },
+    emptyText: { color: colors.textMuted, fontSize: 13 },
+    sessionItem: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.field,
+    },
+    sessionActions: { flexDirection: "row", gap: 16 },
+    txt: { color: colors.text, fontSize: 14 },
+  });
@@ -0,0 +1,153 @@
+import * as FileSystem from "expo-file-system";
+
+// 앱 설정 파일 위치
+const SETTINGS_FILE = `${FileSystem.documentDirectory}settings.json`;
+
+// 센서 융합 기본값
+export const DEFAULT_FUSION_SETTINGS = {
+  algorithm: "Madgwick", // "Madgwick" | "Mahony"
+  beta: 0.4, // Madgwick 이득 - 클수록 빠르게 수렴, 작을수록 부드러움
+  kp: 1.0, // Mahony 비례 이득
+  ki: 0, // Mahony 적분 이득 (자이로 바이어스 보정)
+  smoothingMs: 150, // 쿼터니언 저역 통과 시간 상수 (ms)
+  adaptive: true, // 빠르게 움직일 때 평활화 줄이기
+  changeThreshold: 0.3, // 화면 갱신 임계값 (도)
+};
+
+export const FUSION_ALGORITHMS = ["Madgwick", "Mahony"];
+
+// 숫자 설정값 범위·조절 단위
+export const FUSION_LIMITS = {
+  beta: { min: 0.01, max: 2, step: 0.05 },
+  kp: { min: 0.1, max: 10, step: 0.1 },
+  ki: { min: 0, max: 1, step: 0.05 },
+  smoothingMs: { min: 0, max: 1000, step: 50 },
+  changeThreshold: { min: 0, max: 2, step: 0.1 },
+};
+
+// 조준점 천체 찾기 기본값
+export const DEFAULT_IDENTIFY_SETTINGS = {
+  radius: 5, // 찾는 반경 (도)
+  limitMag: 6, // 목록에 넣을 한계 등급
+};
+
+export const IDENTIFY_LIMITS = {
+  radius: { min: 1, max: 20, step: 1 },
+  limitMag: { min: 1, max: 8, step: 0.5 },
+};
+
+// 화면 표시 기본값
+export const DEFAULT_DISPLAY_SETTINGS = {
+  theme: "normal", // ThemeData.THEMES 의 key
+  locale: null, // LocaleData.LOCALES 의 key (null 이면 기기 언어)
+};
+
+const DEFAULT_SETTINGS = {
+  fusion: DEFAULT_FUSION_SETTINGS,
+  identify: DEFAULT_IDENTIFY_SETTINGS,
+  display: DEFAULT_DISPLAY_SETTINGS,
+};
+
+let settings = DEFAULT_SETTINGS;
+
+// 숫자 설정값을 범위 안으로 (숫자가 아니면 기본값)
+const clampToLimits = (values, defaults, limits) => {
+  const clamped = { ...values };
+  Object.entries(limits).forEach(([key, { min, max }]) => {
+    const value = Number(values[key]);
+    clamped[key] = Number.isFinite(value)
+      ? Math.min(max, Math.max(min, value))
+      : defaults[key];
+  });
+  return clamped;
+};
+
+// 범위를 벗어난 값은 가장 가까운 허용값으로, 알 수 없는 알고리즘은 기본값으로
+export const normalizeFusionSettings = (values) => {
+  const fusion = clampToLimits(
+    { ...DEFAULT_FUSION_SETTINGS, ...values },
+    DEFAULT_FUSION_SETTINGS,
+    FUSION_LIMITS
+  );
+  if (!FUSION_ALGORITHMS.includes(fusion.algorithm)) {
+    fusion.algorithm = DEFAULT_FUSION_SETTINGS.algorithm;
+  }
+  fusion.adaptive = fusion.adaptive !== false;
+  return fusion;
+};
+
+export const normalizeIdentifySettings = (values) =>
+  clampToLimits(
+    { ...DEFAULT_IDENTIFY_SETTINGS, ...values },
+    DEFAULT_IDENTIFY_SETTINGS,
+    IDENTIFY_LIMITS
+  );
+
+const persist = async () => {
+  try {
+    await FileSystem.writeAsStringAsync(
+      SETTINGS_FILE,
+      JSON.stringify(settings)
+    );
+  } catch (error) {
+    console.error("설정 저장 실패:", error);
+  }
+};
+
+// 저장된 설정 불러오기 (앱 시작 시 한 번) - 없는 항목은 기본값
+export const loadSettings = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SETTINGS_FILE);
+    if (info.exists) {
+      const saved = JSON.parse(
+        await FileSystem.readAsStringAsync(SETTINGS_FILE)
+      );
+      settings = {
+        ...DEFAULT_SETTINGS,
+        ...saved,
+        fusion: normalizeFusionSettings(saved.fusion),
+        identify: normalizeIdentifySettings(saved.identify),
+        display: { ...DEFAULT_DISPLAY_SETTINGS, ...saved.display },
+      };
+    }
+  } catch (error) {
+    console.error("설정 불러오기 실패:", error);
+  }
+  return settings;
+};
+
+export const getSettings = () => settings;
+
+export const saveFusionSettings = async (values) => {
+  settings = { ...settings, fusion: normalizeFusionSettings(values) };
+  await persist();
+  return settings;
+};
+
+export const saveIdentifySettings = async (values) => {
+  settings = { ...settings, identify: normalizeIdentifySettings(values) };
+  await persist();
+  return settings;
+};
+
+export const saveDisplaySettings = async (values) => {
+  settings = { ...settings, display: { ...settings.display, ...values } };
+  await persist();
+  return settings;
+};
+
+export default {
+  DEFAULT_FUSION_SETTINGS,
+  FUSION_ALGORITHMS,
+  FUSION_LIMITS,
+  DEFAULT_IDENTIFY_SETTINGS,
+  IDENTIFY_LIMITS,
+  DEFAULT_DISPLAY_SETTINGS,
+  normalizeFusionSettings,
+  normalizeIdentifySettings,
+  loadSettings,
+  getSettings,
+  saveFusionSettings,
+  saveIdentifySettings,
+  saveDisplaySettings,
+};
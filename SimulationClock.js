@@ -0,0 +1,110 @@
+import { useState, useEffect } from "react";
+
+// 항성일 (태양일 기준 초) - 같은 별 배치가 다시 돌아오는 주기
+export const SIDEREAL_DAY_MS = 86164090.5;
+
+// 재생 배속 선택지
+export const CLOCK_RATES = [1, 60, 3600];
+
+// 시뮬레이션 시각 = baseSim + (실제 경과 시간 × rate)
+// 모든 천체 계산은 new Date() 대신 getSimulatedDate() 를 사용
+let clock = {
+  baseReal: Date.now(),
+  baseSim: Date.now(),
+  rate: 1,
+  playing: true,
+  live: true, // 실제 현재 시각을 따라가는 중인지
+};
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener(clock));
+
+// 현재 시뮬레이션 시각 (ms)
+const currentSimTime = () =>
+  clock.playing
+    ? clock.baseSim + (Date.now() - clock.baseReal) * clock.rate
+    : clock.baseSim;
+
+// 현재 시점을 기준점으로 다시 잡고 상태 변경
+const rebase = (changes) => {
+  clock = {
+    ...clock,
+    baseSim: currentSimTime(),
+    baseReal: Date.now(),
+    ...changes,
+  };
+  notify();
+};
+
+export const getSimulatedDate = () => new Date(currentSimTime());
+
+export const getClockState = () => clock;
+
+export const setSimulatedDate = (date) =>
+  rebase({ baseSim: date.getTime(), live: false });
+
+export const play = () => rebase({ playing: true });
+
+export const pause = () => rebase({ playing: false, live: false });
+
+export const setClockRate = (rate) =>
+  rebase({ rate, live: clock.live && rate === 1 });
+
+// 항성일 단위로 이동 (별 배치는 그대로, 태양계 천체만 움직임)
+export const stepSiderealDays = (days) =>
+  rebase({
+    baseSim: currentSimTime() + days * SIDEREAL_DAY_MS,
+    live: false,
+  });
+
+// 실제 현재 시각으로 복귀
+export const resetToNow = () =>
+  rebase({ baseSim: Date.now(), rate: 1, playing: true, live: true });
+
+// 상태 변경 구독 - 해제 함수 반환
+export const subscribeClock = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 시계 상태(배속·재생 여부)를 구독하는 훅
+export const useClockState = () => {
+  const [state, setState] = useState(clock);
+  useEffect(() => subscribeClock(setState), []);
+  return state;
+};
+
+// 시뮬레이션 시각을 주기적으로 갱신하는 훅
+// 배속이 높을수록 자주 갱신 (최소 minInterval)
+export const useSimulatedDate = (interval = 1000, minInterval = 250) => {
+  const [date, setDate] = useState(getSimulatedDate);
+  const state = useClockState();
+
+  useEffect(() => {
+    setDate(getSimulatedDate());
+    if (!state.playing) return;
+    const timer = setInterval(
+      () => setDate(getSimulatedDate()),
+      Math.max(minInterval, interval / state.rate)
+    );
+    return () => clearInterval(timer);
+  }, [state, interval, minInterval]);
+
+  return date;
+};
+
+export default {
+  SIDEREAL_DAY_MS,
+  CLOCK_RATES,
+  getSimulatedDate,
+  getClockState,
+  setSimulatedDate,
+  play,
+  pause,
+  setClockRate,
+  stepSiderealDays,
+  resetToNow,
+  subscribeClock,
+  useClockState,
+  useSimulatedDate,
+};
@@ -0,0 +1,140 @@
+import * as Astronomy from "astronomy-engine";
+import * as FileSystem from "expo-file-system";
+import cityData from "./assets/cities.json";
+import { t, getLocale } from "./LocaleData";
+
+// 저장된 관측지 파일 위치
+const SITES_FILE = `${FileSystem.documentDirectory}sites.json`;
+
+// GPS 를 위치 출처로 쓸 때의 관측지 id
+export const GPS_SITE_ID = "gps";
+
+// 번들 도시 목록 (scripts/buildCityList.js 로 생성)
+const cities = cityData.cities.map(
+  ([name, ko, country, latitude, longitude]) => ({
+    name,
+    ko: ko || null,
+    country,
+    latitude,
+    longitude,
+  })
+);
+
+let sites = [];
+let activeSiteId = GPS_SITE_ID;
+
+const persist = async () => {
+  try {
+    await FileSystem.writeAsStringAsync(
+      SITES_FILE,
+      JSON.stringify({ sites, activeSiteId })
+    );
+  } catch (error) {
+    console.error("관측지 저장 실패:", error);
+  }
+};
+
+// 저장된 관측지 불러오기 (앱 시작 시 한 번)
+export const loadSites = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SITES_FILE);
+    if (info.exists) {
+      const saved = JSON.parse(await FileSystem.readAsStringAsync(SITES_FILE));
+      sites = saved.sites || [];
+      activeSiteId = saved.activeSiteId || GPS_SITE_ID;
+    }
+  } catch (error) {
+    console.error("저장된 관측지 불러오기 실패:", error);
+  }
+  return { sites, activeSiteId };
+};
+
+export const getSites = () => sites;
+
+export const getActiveSiteId = () => activeSiteId;
+
+// 현재 선택된 저장 관측지 (GPS 사용 중이면 null)
+export const getActiveSite = () =>
+  sites.find((site) => site.id === activeSiteId) || null;
+
+// 위도·경도·고도 입력값 검사 - 문제가 있으면 메시지, 없으면 null
+export const validateSite = ({ latitude, longitude, height }) => {
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return t("sites.errors.latitude");
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return t("sites.errors.longitude");
+  }
+  if (!Number.isFinite(height) || height < -500 || height > 9000) {
+    return t("sites.errors.height");
+  }
+  return null;
+};
+
+// 관측지 저장 - 저장된 관측지 반환
+export const saveSite = async ({ name, latitude, longitude, height = 0 }) => {
+  const message = validateSite({ latitude, longitude, height });
+  if (message) throw new Error(message);
+
+  const site = {
+    id: `site-${Date.now()}`,
+    name:
+      (name || "").trim() || `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
+    latitude,
+    longitude,
+    height,
+  };
+  sites = [...sites, site];
+  await persist();
+  return site;
+};
+
+export const deleteSite = async (id) => {
+  sites = sites.filter((site) => site.id !== id);
+  if (activeSiteId === id) activeSiteId = GPS_SITE_ID;
+  await persist();
+  return sites;
+};
+
+// 위치 출처 선택 - 저장 관측지 id 또는 GPS_SITE_ID
+export const setActiveSite = async (id) => {
+  activeSiteId = id;
+  await persist();
+};
+
+// 관측지 → astronomy-engine 관측자
+export const makeObserver = ({ latitude, longitude, height = 0 }) =>
+  new Astronomy.Observer(latitude, longitude, height);
+
+// 도시 검색 - 한글/영문 이름
+export const searchCities = (query, limit = 10) => {
+  const lowerText = (query || "").trim().toLowerCase();
+  if (!lowerText) return [];
+
+  return cities
+    .filter(
+      (city) =>
+        city.name.toLowerCase().includes(lowerText) ||
+        (city.ko && city.ko.includes(lowerText))
+    )
+    .slice(0, limit);
+};
+
+// 도시 이름 (현재 언어 이름이 있으면 그것, 없으면 영문)
+//  - 도시 목록의 언어별 이름 필드는 언어 코드와 같음 (ko)
+export const getCityName = (city) => city[getLocale()] || city.name;
+
+export default {
+  GPS_SITE_ID,
+  loadSites,
+  getSites,
+  getActiveSiteId,
+  getActiveSite,
+  validateSite,
+  saveSite,
+  deleteSite,
+  setActiveSite,
+  makeObserver,
+  searchCities,
+  getCityName,
+};
@@ -0,0 +1,271 @@
+import React, { useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  GPS_SITE_ID,
+  searchCities,
+  validateSite,
+  getCityName,
+} from "./SiteData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+// 관측지 관리 - GPS/저장 관측지 선택, 직접 입력, 도시 검색
+//  - onSelect(id): 위치 출처 선택 (GPS_SITE_ID 또는 저장 관측지 id)
+//  - onSave(site): 입력한 관측지 저장 후 사용
+//  - onDelete(id): 저장 관측지 삭제
+export default function SiteManager({
+  sites,
+  activeSiteId,
+  gpsStatus,
+  onSelect,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [name, setName] = useState("");
+  const [latitude, setLatitude] = useState("");
+  const [longitude, setLongitude] = useState("");
+  const [height, setHeight] = useState("0");
+  const [cityQuery, setCityQuery] = useState("");
+  const [error, setError] = useState(null);
+
+  const cityResults = searchCities(cityQuery, 8);
+
+  // 도시 선택 시 입력란 채우기
+  const fillFromCity = (city) => {
+    setName(getCityName(city));
+    setLatitude(String(city.latitude));
+    setLongitude(String(city.longitude));
+    setCityQuery("");
+    setError(null);
+  };
+
+  const submit = () => {
+    const site = {
+      name,
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      height: parseFloat(height || "0"),
+    };
+    const message = validateSite(site);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setError(null);
+    onSave(site);
+  };
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("sites.title")}</Text>
+          {onClose && (
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.text} />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {/* 위치 출처 */}
+          <TouchableOpacity
+            style={[
+              styles.siteItem,
+              activeSiteId === GPS_SITE_ID && styles.activeItem,
+            ]}
+            onPress={() => onSelect(GPS_SITE_ID)}
+          >
+            <Ionicons name="navigate" size={18} color={colors.text} />
+            <Text style={styles.siteName}>{t("sites.gps")}</Text>
+            <Text style={styles.siteInfo}>{gpsStatus}</Text>
+          </TouchableOpacity>
+
+          {sites.map((site) => (
+            <TouchableOpacity
+              key={site.id}
+              style={[
+                styles.siteItem,
+                activeSiteId === site.id && styles.activeItem,
+              ]}
+              onPress={() => onSelect(site.id)}
+            >
+              <Ionicons name="location" size={18} color={colors.text} />
+              <Text style={styles.siteName}>{site.name}</Text>
+              <Text style={styles.siteInfo}>
+                {site.latitude.toFixed(3)}, {site.longitude.toFixed(3)} ·{" "}
+                {site.height.toFixed(0)}m
+              </Text>
+              <TouchableOpacity onPress={() => onDelete(site.id)}>
+                <Ionicons
+                  name="trash-outline"
+                  size={18}
+                  color={colors.dangerSoft}
+                />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          ))}
+
+          {/* 도시 검색 */}
+          <Text style={styles.sectionTitle}>{t("sites.findCity")}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={t("sites.cityPlaceholder")}
+            placeholderTextColor={colors.placeholder}
+            value={cityQuery}
+            onChangeText={setCityQuery}
+          />
+          <FlatList
+            data={cityResults}
+            scrollEnabled={false}
+            keyExtractor={(city) => `${city.name}-${city.latitude}`}
+            renderItem={({ item }) => (
+              <TouchableOpacity
+                style={styles.cityItem}
+                onPress={() => fillFromCity(item)}
+              >
+                <Text style={styles.siteName}>
+                  {getCityName(item) !== item.name
+                    ? `${getCityName(item)} (${item.name})`
+                    : item.name}
+                </Text>
+                <Text style={styles.siteInfo}>
+                  {item.country} · {item.latitude.toFixed(2)},{" "}
+                  {item.longitude.toFixed(2)}
+                </Text>
+              </TouchableOpacity>
+            )}
+          />
+
+          {/* 직접 입력 */}
+          <Text style={styles.sectionTitle}>{t("sites.manual")}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={t("sites.name")}
+            placeholderTextColor={colors.placeholder}
+            value={name}
+            onChangeText={setName}
+          />
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              placeholder={t("sites.latitude")}
+              placeholderTextColor={colors.placeholder}
+              keyboardType="numbers-and-punctuation"
+              value={latitude}
+              onChangeText={setLatitude}
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              placeholder={t("sites.longitude")}
+              placeholderTextColor={colors.placeholder}
+              keyboardType="numbers-and-punctuation"
+              value={longitude}
+              onChangeText={setLongitude}
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              placeholder={t("sites.height")}
+              placeholderTextColor={colors.placeholder}
+              keyboardType="numbers-and-punctuation"
+              value={height}
+              onChangeText={setHeight}
+            />
+          </View>
+          {error && <Text style={styles.error}>{error}</Text>}
+          <TouchableOpacity style={styles.saveButton} onPress={submit}>
+            <Text style={styles.saveButtonText}>{t("sites.saveAndUse")}</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      maxHeight: "85%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    sectionTitle: {
+      color: colors.textMuted,
+      fontSize: 14,
+      marginTop: 16,
+      marginBottom: 6,
+    },
+    siteItem: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 10,
+      paddingHorizontal: 8,
+      borderRadius: 8,
+      gap: 8,
+    },
+    activeItem: { backgroundColor: colors.accentSoft },
+    siteName: { color: colors.text, fontSize: 16, flexShrink: 1 },
+    siteInfo: {
+      color: colors.textMuted,
+      fontSize: 12,
+      flex: 1,
+      textAlign: "right",
+    },
+    cityItem: {
+      paddingVertical: 8,
+      paddingHorizontal: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.field,
+    },
+    input: {
+      backgroundColor: colors.field,
+      color: colors.text,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      marginBottom: 8,
+    },
+    row: { flexDirection: "row", gap: 6 },
+    rowInput: { flex: 1 },
+    error: { color: colors.dangerSoft, fontSize: 13, marginBottom: 8 },
+    saveButton: {
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 10,
+      alignItems: "center",
+    },
+    saveButtonText: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+  });
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { StyleSheet, useWindowDimensions } from "react-native";
+import Svg, { Circle, Path, Rect, Text as SvgText } from "react-native-svg";
+import {
+  buildSkyObjects,
+  buildSatelliteObjects,
+  buildConstellationGeometry,
+  projectSkyObjects,
+  projectConstellations,
+  colorIndexToColor,
+} from "./SkyProjection";
+import { getSimulatedDate, useClockState } from "./SimulationClock";
+import { useTheme } from "./ThemeData";
+import { useLocale } from "./LocaleData";
+
+const SKY_REFRESH_MS = 30000; // 천체 지평 좌표 재계산 주기 (1× 기준)
+const MIN_SKY_REFRESH_MS = 500; // 고배속 재생 시 최소 재계산 주기
+const SATELLITE_REFRESH_MS = 1000; // 인공위성 위치 재계산 주기 (1× 기준)
+const MIN_SATELLITE_REFRESH_MS = 200;
+
+// 천체 종류별 이름표 색
+const labelColor = (obj, sky) => {
+  if (obj.isDeepSky) return sky.deepSky;
+  if (obj.isSatellite) return sky.satellite;
+  return obj.isSolarSystemBody ? sky.solarSystem : sky.label;
+};
+
+// 카메라 화면 위 AR 천체 오버레이
+//  - orientationRef: 센서 융합 결과 { quaternion } 를 담은 ref (센서 주기마다 갱신)
+//  - updateInterval: 화면 갱신 주기 (ms) - 센서 주기와 같게
+export default function SkyOverlay({
+  observer,
+  orientationRef,
+  declination,
+  updateInterval,
+}) {
+  const { width, height } = useWindowDimensions();
+  const { sky } = useTheme();
+  const locale = useLocale();
+  const [quaternion, setQuaternion] = useState(null);
+  const [skyObjects, setSkyObjects] = useState([]);
+  const [satelliteObjects, setSatelliteObjects] = useState([]);
+  const [constellationGeometry, setConstellationGeometry] = useState({
+    lines: [],
+    bounds: [],
+    labels: [],
+  });
+
+  /*-------------- 천체 지평 좌표 (시뮬레이션 시계 기준, 주기적으로 재계산) -------------- */
+  // 이름표도 여기서 만들어지므로 언어가 바뀌면 다시 계산
+  const clockState = useClockState();
+  useEffect(() => {
+    if (!observer) return;
+    const refresh = () => {
+      const date = getSimulatedDate();
+      setSkyObjects(buildSkyObjects(observer, date));
+      setConstellationGeometry(buildConstellationGeometry(observer, date));
+    };
+    refresh();
+    if (!clockState.playing) return;
+    const timer = setInterval(
+      refresh,
+      Math.max(MIN_SKY_REFRESH_MS, SKY_REFRESH_MS / clockState.rate)
+    );
+    return () => clearInterval(timer);
+  }, [observer, clockState, locale]);
+
+  // 인공위성은 빠르게 움직이므로 따로 자주 재계산
+  useEffect(() => {
+    if (!observer) return;
+    const refresh = () =>
+      setSatelliteObjects(buildSatelliteObjects(observer, getSimulatedDate()));
+    refresh();
+    if (!clockState.playing) return;
+    const timer = setInterval(
+      refresh,
+      Math.max(MIN_SATELLITE_REFRESH_MS, SATELLITE_REFRESH_MS / clockState.rate)
+    );
+    return () => clearInterval(timer);
+  }, [observer, clockState, locale]);
+
+  /*-------------- 기기 자세 (센서 주기로 갱신) -------------- */
+  // App 전체를 다시 그리지 않도록 오버레이 안에서만 상태를 갱신
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const q = orientationRef.current.quaternion;
+      if (q) setQuaternion(q);
+    }, updateInterval);
+    return () => clearInterval(timer);
+  }, [orientationRef, updateInterval]);
+
+  const projected = useMemo(
+    () =>
+      projectSkyObjects(
+        [...skyObjects, ...satelliteObjects],
+        quaternion,
+        declination,
+        { width, height }
+      ),
+    [skyObjects, satelliteObjects, quaternion, declination, width, height]
+  );
+  const constellationView = useMemo(
+    () =>
+      projectConstellations(constellationGeometry, quaternion, declination, {
+        width,
+        height,
+      }),
+    [constellationGeometry, quaternion, declination, width, height]
+  );
+
+  return (
+    <Svg style={StyleSheet.absoluteFill} pointerEvents="none">
+      {/* 별자리 경계·선 */}
+      <Path
+        d={constellationView.boundPath}
+        stroke={sky.constellationBound}
+        strokeWidth={1}
+        strokeDasharray="4 4"
+        fill="none"
+      />
+      <Path
+        d={constellationView.linePath}
+        stroke={sky.constellationLine}
+        strokeWidth={1}
+        fill="none"
+      />
+      {constellationView.labels.map((item) => (
+        <SvgText
+          key={`con-${item.id}`}
+          x={item.x}
+          y={item.y}
+          fill={sky.constellationLabel}
+          fontSize={13}
+          textAnchor="middle"
+        >
+          {item.label}
+        </SvgText>
+      ))}
+
+      {/* 별·행성·소천체 (점), 딥스카이 천체 (원), 인공위성 (사각형) */}
+      {projected.map((obj) => {
+        if (obj.isDeepSky) {
+          return (
+            <Circle
+              key={obj.id}
+              cx={obj.x}
+              cy={obj.y}
+              r={obj.r}
+              stroke={sky.deepSky}
+              strokeWidth={1}
+              fill="none"
+            />
+          );
+        }
+        if (obj.isSatellite) {
+          return (
+            <Rect
+              key={obj.id}
+              x={obj.x - 4}
+              y={obj.y - 4}
+              width={8}
+              height={8}
+              stroke={sky.satellite}
+              strokeWidth={1.5}
+              fill="none"
+            />
+          );
+        }
+        return (
+          <Circle
+            key={obj.id}
+            cx={obj.x}
+            cy={obj.y}
+            r={obj.r}
+            fill={
+              obj.isSolarSystemBody
+                ? sky.solarSystem
+                : sky.star || colorIndexToColor(obj.ci)
+            }
+          />
+        );
+      })}
+      {projected
+        .filter((obj) => obj.label)
+        .map((obj) => (
+          <SvgText
+            key={`label-${obj.id}`}
+            x={obj.x + obj.r + 4}
+            y={obj.y + 4}
+            fill={labelColor(obj, sky)}
+            fontSize={12}
+          >
+            {obj.label}
+          </SvgText>
+        ))}
+    </Svg>
+  );
+}
@@ -0,0 +1,316 @@
+import * as Astronomy from "astronomy-engine";
+import {
+  getStarsBrighterThan,
+  getStarByHip,
+  getAllSolarSystemBodiesPositions,
+} from "./StarData";
+import { constellations, constellationTarget } from "./ConstellationData";
+import { deepSkyObjects } from "./DeepSkyData";
+import { getMinorBodies, calculateMinorBodyPosition } from "./MinorBodyData";
+import { getSatellites, calculateSatellitePosition } from "./SatelliteData";
+import { horizonToNed, nedToDeviceMatrix, applyMatrix } from "./Guidance";
+import { getSimulatedDate } from "./SimulationClock";
+import { getObjectName } from "./LocaleData";
+
+// 카메라 화각 (도, 화면 긴 변 방향) - 기기마다 다르므로 일반적인 스마트폰 후면 카메라 기준
+export const CAMERA_FOV = 60;
+
+// AR 화면에 표시할 별의 한계 등급, 이름을 표시할 별의 한계 등급
+export const OVERLAY_LIMIT_MAG = 5.0;
+export const LABEL_LIMIT_MAG = 2.0;
+
+// 딥스카이 천체는 메시에·콜드웰 전부와 이 등급보다 밝은 NGC·IC 천체만
+export const OVERLAY_DSO_LIMIT_MAG = 8.0;
+// 소행성·혜성의 한계 등급, 위치를 계산할 최대 개수 (가져온 궤도요소가 아주 많을 때)
+export const OVERLAY_MINOR_BODY_LIMIT_MAG = 10.0;
+const MAX_OVERLAY_MINOR_BODIES = 200;
+
+// 지평 좌표 NED 벡터에 대기 굴절 적용
+const refractVector = ([n, e, d]) => {
+  const alt = Math.asin(Math.max(-1, Math.min(1, -d))) * Astronomy.RAD2DEG;
+  const refracted = alt + Astronomy.Refraction("normal", alt);
+  const horizontal = Math.hypot(n, e);
+  if (horizontal === 0) return [n, e, d];
+
+  const scale = Math.cos(refracted * Astronomy.DEG2RAD) / horizontal;
+  return [n * scale, e * scale, -Math.sin(refracted * Astronomy.DEG2RAD)];
+};
+
+// J2000 적도 좌표 → 지평 좌표 NED 단위 벡터 (rot: Rotation_EQJ_HOR)
+const equatorialToNed = (ra, dec, rot, time, refraction = true) => {
+  const vEq = Astronomy.VectorFromSphere(
+    new Astronomy.Spherical(dec, ra * 15, 1),
+    time
+  );
+  const { x, y, z } = Astronomy.RotateVector(rot, vEq);
+  // astronomy-engine 지평 벡터: x 북, y 서, z 천정 → NED
+  return refraction ? refractVector([x, -y, -z]) : [x, -y, -z];
+};
+
+// AR 화면용 천체 목록 (지평 좌표 NED 단위 벡터 포함)
+// 천구의 일주 운동은 느리므로 수십 초마다 한 번 계산하면 충분
+export const buildSkyObjects = (
+  observer,
+  date = getSimulatedDate(),
+  limitMag = OVERLAY_LIMIT_MAG
+) => {
+  if (!observer) return [];
+
+  const time = Astronomy.MakeTime(date);
+  const rot = Astronomy.Rotation_EQJ_HOR(time, observer);
+
+  const stars = getStarsBrighterThan(limitMag).map((star) => ({
+    id: star.id,
+    label: star.mag < LABEL_LIMIT_MAG ? getObjectName(star) : null,
+    mag: star.mag,
+    ci: star.ci,
+    ned: equatorialToNed(star.ra, star.dec, rot, time),
+    isSolarSystemBody: false,
+  }));
+
+  // 딥스카이 천체는 겉보기 크기만큼 원으로 (메시에 번호만 이름표)
+  const deepSky = deepSkyObjects
+    .filter(
+      (object) =>
+        object.messier ||
+        object.caldwell ||
+        (object.mag !== null && object.mag <= OVERLAY_DSO_LIMIT_MAG)
+    )
+    .map((object) => ({
+      id: `dso-${object.id}`,
+      label: object.messier ? `M${object.messier}` : null,
+      mag: object.mag,
+      sizeDeg: object.size ? object.size[0] / 60 : 0,
+      ned: equatorialToNed(object.ra, object.dec, rot, time),
+      isDeepSky: true,
+      isSolarSystemBody: false,
+    }));
+
+  // 행성의 위성은 모행성과 겹치므로 제외
+  const bodies = getAllSolarSystemBodiesPositions(observer, date)
+    .filter((body) => !body.parent)
+    .map((body) => ({
+      id: body.id,
+      label: getObjectName(body),
+      mag: body.mag,
+      ned: horizonToNed(body.az, body.alt),
+      isSolarSystemBody: true,
+    }));
+
+  const minorBodies = getMinorBodies()
+    .slice(0, MAX_OVERLAY_MINOR_BODIES)
+    .map((body) => {
+      const position = calculateMinorBodyPosition(body.id, observer, date);
+      if (!position || position.mag > OVERLAY_MINOR_BODY_LIMIT_MAG) return null;
+      return {
+        id: body.id,
+        label: getObjectName(body),
+        mag: position.mag,
+        ned: horizonToNed(position.az, position.alt),
+        isMinorBody: true,
+        isSolarSystemBody: true,
+      };
+    })
+    .filter((body) => body !== null);
+
+  return [...stars, ...deepSky, ...bodies, ...minorBodies];
+};
+
+// AR 화면용 인공위성 - 밝기가 알려진 (맨눈으로 보이는) 위성만
+// 몇 초에도 크게 움직이므로 buildSkyObjects 보다 자주 계산
+export const buildSatelliteObjects = (observer, date = getSimulatedDate()) => {
+  if (!observer) return [];
+
+  return getSatellites()
+    .filter((sat) => sat.mag !== null)
+    .map((sat) => {
+      const position = calculateSatellitePosition(sat.id, observer, date);
+      if (!position) return null;
+      return {
+        id: sat.id,
+        label: getObjectName(sat),
+        mag: sat.mag,
+        ned: horizonToNed(position.az, position.alt),
+        isSatellite: true,
+        isSolarSystemBody: false,
+      };
+    })
+    .filter((sat) => sat !== null);
+};
+
+// AR 화면용 별자리 선·경계·이름 (지평 좌표 NED 벡터)
+export const buildConstellationGeometry = (
+  observer,
+  date = getSimulatedDate()
+) => {
+  if (!observer) return { lines: [], bounds: [], labels: [] };
+
+  const time = Astronomy.MakeTime(date);
+  const rot = Astronomy.Rotation_EQJ_HOR(time, observer);
+
+  const lines = [];
+  const bounds = [];
+  const labels = [];
+  constellations.forEach((con) => {
+    con.lines.forEach((hips) => {
+      const points = hips
+        .map(getStarByHip)
+        .filter((star) => star !== null)
+        .map((star) => equatorialToNed(star.ra, star.dec, rot, time));
+      if (points.length > 1) lines.push(points);
+    });
+    // 경계선은 굴절 보정 없이 (지평선 근처의 미세한 차이는 무시)
+    con.bounds.forEach((ring) =>
+      bounds.push(
+        ring.map(([ra, dec]) => equatorialToNed(ra, dec, rot, time, false))
+      )
+    );
+    labels.push({
+      id: con.id,
+      label: getObjectName(constellationTarget(con)),
+      ned: equatorialToNed(con.center[0], con.center[1], rot, time, false),
+    });
+  });
+  return { lines, bounds, labels };
+};
+
+// 등급 → 점 반지름 (px)
+export const magnitudeToRadius = (mag) =>
+  Math.max(0.8, Math.min(6, 4.2 - 0.65 * (mag ?? OVERLAY_LIMIT_MAG)));
+
+// 색지수(B-V) → 별 색
+export const colorIndexToColor = (ci) => {
+  if (ci == null) return "#ffffff";
+  if (ci < 0) return "#aabfff";
+  if (ci < 0.3) return "#cad7ff";
+  if (ci < 0.6) return "#f8f7ff";
+  if (ci < 0.8) return "#fff4ea";
+  if (ci < 1.4) return "#ffd2a1";
+  return "#ffb56c";
+};
+
+// 화각 → 핀홀 카메라 초점거리 (px)
+const focalLengthPx = ({ width, height, fov = CAMERA_FOV }) =>
+  Math.max(width, height) / 2 / Math.tan((fov / 2) * Astronomy.DEG2RAD);
+
+// 기기 자세 쿼터니언 + 카메라 화각 → 투영 함수 (NED 벡터 → 화면 좌표, 카메라 뒤쪽이면 null)
+//  - quaternion: AHRS 쿼터니언 (자북 기준 NED)
+//  - declination: 자북-진북 편각 (도)
+//  - viewport: { width, height, fov } (fov는 화면 긴 변 방향 화각, 도 - 가로 화면에서도 같은 카메라)
+export const createProjector = (
+  quaternion,
+  declination,
+  { width, height, fov = CAMERA_FOV }
+) => {
+  // 진북 기준 NED → 자북 기준 NED → 기기 좌표를 한 행렬로 합침
+  const cosDec = Math.cos(declination * Astronomy.DEG2RAD);
+  const sinDec = Math.sin(declination * Astronomy.DEG2RAD);
+  const m = nedToDeviceMatrix(quaternion);
+  const matrix = m.map((row) => [
+    row[0] * cosDec - row[1] * sinDec,
+    row[0] * sinDec + row[1] * cosDec,
+    row[2],
+  ]);
+
+  // 핀홀 카메라 모델
+  const focal = focalLengthPx({ width, height, fov });
+  const cx = width / 2;
+  const cy = height / 2;
+
+  return (ned) => {
+    const [fwd, right, down] = applyMatrix(matrix, ned);
+    if (fwd <= 0.1) return null;
+    return [cx + (focal * right) / fwd, cy + (focal * down) / fwd];
+  };
+};
+
+const isOnScreen = ([x, y], { width, height }, margin) =>
+  x >= -margin && x <= width + margin && y >= -margin && y <= height + margin;
+
+// 천체 목록을 화면 좌표로 투영 (화면 밖·카메라 뒤쪽 천체는 제외)
+export const projectSkyObjects = (
+  objects,
+  quaternion,
+  declination,
+  viewport
+) => {
+  if (!quaternion || !viewport.width || !viewport.height) return [];
+
+  const project = createProjector(quaternion, declination, viewport);
+  const focal = focalLengthPx(viewport);
+  const projected = [];
+  objects.forEach((obj) => {
+    const point = project(obj.ned);
+    if (!point || !isOnScreen(point, viewport, 20)) return;
+    projected.push({
+      ...obj,
+      x: point[0],
+      y: point[1],
+      // 딥스카이 천체는 겉보기 크기 (너무 작으면 최소 크기)
+      r: obj.isDeepSky
+        ? Math.max(4, focal * Math.tan((obj.sizeDeg / 2) * Astronomy.DEG2RAD))
+        : magnitudeToRadius(obj.mag),
+    });
+  });
+  return projected;
+};
+
+// NED 벡터 폴리라인 목록 → SVG path 문자열 (카메라 뒤쪽 점에서 선을 끊음)
+// cull: { viewport, margin } - 꼭짓점 간격이 촘촘한 선은 화면에서 먼 점을 생략
+const polylinesToPath = (polylines, project, cull = null) => {
+  let path = "";
+  polylines.forEach((points) => {
+    let pen = false;
+    points.forEach((ned) => {
+      const point = project(ned);
+      if (!point || (cull && !isOnScreen(point, cull.viewport, cull.margin))) {
+        pen = false;
+        return;
+      }
+      path += `${pen ? "L" : "M"}${point[0].toFixed(1)} ${point[1].toFixed(1)}`;
+      pen = true;
+    });
+  });
+  return path;
+};
+
+// 별자리 선·경계·이름을 화면 좌표로 투영
+export const projectConstellations = (
+  geometry,
+  quaternion,
+  declination,
+  viewport
+) => {
+  if (!quaternion || !viewport.width || !viewport.height) {
+    return { linePath: "", boundPath: "", labels: [] };
+  }
+
+  const project = createProjector(quaternion, declination, viewport);
+  const labels = [];
+  geometry.labels.forEach((item) => {
+    const point = project(item.ned);
+    if (!point || !isOnScreen(point, viewport, 0)) return;
+    labels.push({ ...item, x: point[0], y: point[1] });
+  });
+
+  return {
+    linePath: polylinesToPath(geometry.lines, project),
+    boundPath: polylinesToPath(geometry.bounds, project, {
+      viewport,
+      margin: 80,
+    }),
+    labels,
+  };
+};
+
+export default {
+  CAMERA_FOV,
+  buildSkyObjects,
+  buildSatelliteObjects,
+  buildConstellationGeometry,
+  createProjector,
+  projectSkyObjects,
+  projectConstellations,
+  magnitudeToRadius,
+  colorIndexToColor,
+};
@@ -1,5 +1,25 @@
 import * as Astronomy from "astronomy-engine";
-import starData from "./assets/hygdata_v3.json";
+import catalogIndex from "./assets/catalog/index.json";
+import { searchSatellites } from "./SatelliteData";
+import { calculateMinorBodyPosition, searchMinorBodies } from "./MinorBodyData";
+import { planetaryMoons, calculatePlanetMoonPosition } from "./PlanetMoonData";
+import {
+  searchConstellations,
+  findConstellationByName,
+} from "./ConstellationData";
+import {
+  greekSymbol,
+  getAliases,
+  getAliasedIds,
+  scoreMatch,
+  parseDesignation,
+} from "./SearchData";
+import {
+  findDeepSkyByDesignation,
+  searchDeepSky,
+  getDeepSkyType,
+} from "./DeepSkyData";
+import { getSimulatedDate } from "./SimulationClock";
 
 // 태양계 천체 정보 (기본 정보)
 export const solarSystemBodies = [
@@ -13,6 +33,8 @@ export const solarSystemBodies = [
   { id: "uranus", proper: "천왕성", name: "Uranus", mag: 5.6 },
   { id: "neptune", proper: "해왕성", name: "Neptune", mag: 7.8 },
   { id: "pluto", proper: "명왕성", name: "Pluto", mag: 14.3 },
+  // 목성·토성의 위성 (PlanetMoonData.js 에서 계산)
+  ...planetaryMoons,
 ];
 
 // 천체 이름을 Astro.Body 상수로 변환하는 함수
@@ -44,11 +66,271 @@ export const getBodyForName = (name) => {
   }
 };
 
+// 항성 카탈로그 (scripts/buildStarCatalog.js 로 생성)
+// 현재 번들은 XHIP 로 만든 것이라 HR 번호·분광형·거리·고유운동 열이 없음 (--hyg 로 다시 만들면 채워짐)
+// index.json 은 앱 시작 시, 등급 구간별 데이터는 처음 필요할 때 로드
+const STAR_TIER_LOADERS = [
+  () => require("./assets/catalog/stars.0.json"),
+  () => require("./assets/catalog/stars.1.json"),
+  () => require("./assets/catalog/stars.2.json"),
+];
+
+const starTiers = [];
+const hipIndex = [];
+let nameIndex = null;
+
+// 등급 구간 데이터 로드 (한 번만)
+const loadStarTier = (tier) => {
+  if (!starTiers[tier]) {
+    starTiers[tier] = STAR_TIER_LOADERS[tier]().columns;
+  }
+  return starTiers[tier];
+};
+
+// "구간:행" → 이름 색인 항목
+const getNameIndex = () => {
+  if (!nameIndex) {
+    nameIndex = new Map();
+    catalogIndex.names.forEach((entry) => {
+      nameIndex.set(`${entry[0]}:${entry[1]}`, entry);
+    });
+  }
+  return nameIndex;
+};
+
+// 바이어/플램스티드 표기 (예: "α UMi", "61 Cyg")
+const formatDesignation = (bayer, flam, con) => {
+  if (!con) return "";
+  if (bayer) {
+    const match = bayer.match(/^([A-Z][a-z]{1,2})-?(\d*)$/);
+    const greek = match && greekSymbol(match[1]);
+    return `${greek ? greek + match[2] : bayer} ${con}`;
+  }
+  if (flam) return `${flam} ${con}`;
+  return "";
+};
+
+// 열 배열의 값을 실제 값으로 복원
+const readColumn = (columns, key, row) => {
+  const values = columns[key];
+  if (!values || values[row] === null || values[row] === undefined) {
+    return null;
+  }
+  const scale = catalogIndex.scale[key];
+  return scale ? values[row] / scale : values[row] || null;
+};
+
+// HYG 로 만든 카탈로그에만 있는 열 - 구간에 열이 있을 때만 천체 객체에 넣음
+const OPTIONAL_COLUMNS = ["hr", "dist", "pmra", "pmdec", "spect"];
+
+// 카탈로그 행 → 앱에서 쓰는 천체 객체
+const makeStar = (tier, row) => {
+  const columns = loadStarTier(tier);
+  const [, , proper = "", ko = "", bayer = "", flam = "", con = "", gl = ""] =
+    getNameIndex().get(`${tier}:${row}`) || [];
+  const hip = readColumn(columns, "hip", row);
+  const hyg = readColumn(columns, "hyg", row);
+  const designation =
+    formatDesignation(bayer, flam, con) ||
+    (hip ? `HIP ${hip}` : gl || (hyg ? `HYG ${hyg}` : ""));
+
+  const star = {
+    id: hip ? `HIP ${hip}` : gl || `HYG ${hyg || `${tier}-${row}`}`,
+    proper: ko || null,
+    name: proper || designation,
+    designation,
+    hip,
+    hd: readColumn(columns, "hd", row),
+    gl: gl || null,
+    bayer: bayer || null,
+    flam: flam || null,
+    con: con || null,
+    ra: readColumn(columns, "ra", row),
+    dec: readColumn(columns, "dec", row),
+    mag: readColumn(columns, "mag", row),
+    ci: readColumn(columns, "ci", row),
+    isSolarSystemBody: false,
+  };
+  OPTIONAL_COLUMNS.forEach((key) => {
+    if (columns[key]) star[key] = readColumn(columns, key, row);
+  });
+  return star;
+};
+
+// 구간별 HIP 번호 → 행 번호
+const getHipIndex = (tier) => {
+  if (!hipIndex[tier]) {
+    const map = new Map();
+    const hips = loadStarTier(tier).hip || [];
+    hips.forEach((hip, row) => {
+      if (hip) map.set(hip, row);
+    });
+    hipIndex[tier] = map;
+  }
+  return hipIndex[tier];
+};
+
+// 카탈로그 전체 항성 수
+export const getStarCount = () =>
+  catalogIndex.tiers.reduce((sum, tier) => sum + tier.count, 0);
+
+// HIP 번호로 항성 찾기 (밝은 구간부터 필요한 만큼만 로드)
+export const getStarByHip = (hip) => {
+  const target = Number(hip);
+  if (!target) return null;
+  for (let tier = 0; tier < catalogIndex.tiers.length; tier++) {
+    const row = getHipIndex(tier).get(target);
+    if (row !== undefined) return makeStar(tier, row);
+  }
+  return null;
+};
+
+// 항성 id("HIP 11767", "Gl 551", "HYG 1234")로 찾기
+export const getStarById = (id) => {
+  if (!id) return null;
+  const hipMatch = String(id).match(/^HIP\s*(\d+)$/i);
+  if (hipMatch) return getStarByHip(hipMatch[1]);
+
+  const named = catalogIndex.names.find((entry) => entry[7] === id);
+  if (named) return makeStar(named[0], named[1]);
+
+  const hygMatch = String(id).match(/^HYG\s*(\d+)(?:-(\d+))?$/i);
+  if (!hygMatch) return null;
+  if (hygMatch[2] !== undefined) {
+    const tier = Number(hygMatch[1]);
+    const row = Number(hygMatch[2]);
+    return tier < catalogIndex.tiers.length &&
+      row < catalogIndex.tiers[tier].count
+      ? makeStar(tier, row)
+      : null;
+  }
+  for (let tier = 0; tier < catalogIndex.tiers.length; tier++) {
+    const row = (loadStarTier(tier).hyg || []).indexOf(Number(hygMatch[1]));
+    if (row >= 0) return makeStar(tier, row);
+  }
+  return null;
+};
+
+// 이름(한글명, 고유명, 바이어·플램스티드 표기)으로 항성 찾기, 밝은 순
+export const findStarsByName = (query, limit = 20) => {
+  const lowerText = (query || "").trim().toLowerCase();
+  if (!lowerText) return [];
+
+  const results = [];
+  for (const entry of catalogIndex.names) {
+    const [tier, row, proper, ko, bayer, flam, con, gl] = entry;
+    const haystack = [proper, ko, formatDesignation(bayer, flam, con), gl].map(
+      (text) => (text || "").toLowerCase()
+    );
+    if (haystack.some((text) => text.includes(lowerText))) {
+      results.push(makeStar(tier, row));
+      if (results.length >= limit) break;
+    }
+  }
+  return results;
+};
+
+// 항성 검색 - 한글명·고유명·바이어/플램스티드 표기·별칭 (초성·오타 허용)
+// 일치도 순, 같은 일치도면 밝은 순. 결과에 matchScore 포함
+export const searchStars = (query, limit = 20) => {
+  const matches = [];
+  catalogIndex.names.forEach(
+    ([tier, row, proper, ko, bayer, flam, con, gl]) => {
+      const score = scoreMatch(query, [
+        proper,
+        ko,
+        formatDesignation(bayer, flam, con),
+        gl,
+      ]);
+      if (score !== null) matches.push({ tier, row, score });
+    }
+  );
+  // 이름 색인은 밝은 순이므로 안정 정렬이면 같은 점수 안에서 밝은 순 유지
+  matches.sort((a, b) => b.score - a.score);
+
+  const results = matches.slice(0, limit).map(({ tier, row, score }) => ({
+    ...makeStar(tier, row),
+    matchScore: score,
+  }));
+
+  // 한글·영문 별칭 (예: 북극성, Dog Star)
+  getAliasedIds()
+    .filter((id) => id.startsWith("HIP "))
+    .forEach((id) => {
+      const score = scoreMatch(query, getAliases(id));
+      const star = score !== null && getStarById(id);
+      if (star) results.push({ ...star, matchScore: score });
+    });
+  return results;
+};
+
+// 열 값으로 항성 찾기 (HD·HR 번호 - 카탈로그에 열이 없으면 빈 배열)
+const findStarsByColumn = (key, value) => {
+  for (let tier = 0; tier < catalogIndex.tiers.length; tier++) {
+    const row = (loadStarTier(tier)[key] || []).indexOf(value);
+    if (row >= 0) return [makeStar(tier, row)];
+  }
+  return [];
+};
+
+// 카탈로그 표기(SearchData.parseDesignation 결과)로 항성 찾기
+export const findStarsByDesignation = (designation) => {
+  if (!designation) return [];
+  switch (designation.type) {
+    case "hip": {
+      const star = getStarByHip(designation.number);
+      return star ? [star] : [];
+    }
+    case "hd":
+    case "hr":
+      return findStarsByColumn(designation.type, designation.number);
+    case "bayer":
+    case "flamsteed":
+      return catalogIndex.names
+        .filter(([, , , , bayer, flam, con]) => {
+          if (con !== designation.con) return false;
+          if (designation.type === "flamsteed") {
+            return flam === designation.flam;
+          }
+          const match = (bayer || "").match(/^([A-Z][a-z]{1,2})-?(\d*)$/);
+          return (
+            match &&
+            match[1] === designation.bayer &&
+            (!designation.index || match[2] === designation.index)
+          );
+        })
+        .map(([tier, row]) => makeStar(tier, row));
+    default:
+      return [];
+  }
+};
+
+// 한계 등급보다 밝은 항성 목록 (밝은 순)
+export const getStarsBrighterThan = (limitMag) => {
+  const results = [];
+  catalogIndex.tiers.forEach((info, tier) => {
+    if (!info.count || info.minMag >= limitMag) return;
+    const mags = loadStarTier(tier).mag;
+    const limit = Math.round(limitMag * catalogIndex.scale.mag);
+
+    // 구간 안은 등급순으로 정렬되어 있으므로 이진 탐색
+    let lo = 0;
+    let hi = mags.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (mags[mid] < limit) lo = mid + 1;
+      else hi = mid;
+    }
+    for (let row = 0; row < lo; row++) results.push(makeStar(tier, row));
+  });
+  return results;
+};
+
 // 태양계 천체의 실시간 위치 계산 함수
 export const calculateSolarSystemBodyPosition = (
   bodyName,
   observer,
-  date = new Date()
+  date = getSimulatedDate()
 ) => {
   if (!observer) {
     console.warn("관측자 정보가 없습니다");
@@ -62,6 +344,22 @@ export const calculateSolarSystemBodyPosition = (
   try {
     const body = getBodyForName(bodyName);
     if (!body) {
+      // 행성의 위성 (모행성 기준 이각·위치각 포함)
+      const moonPosition = calculatePlanetMoonPosition(
+        bodyName,
+        observer,
+        date
+      );
+      if (moonPosition) return moonPosition;
+
+      // 행성이 아니면 궤도요소가 있는 소행성·혜성인지 확인
+      const minorPosition = calculateMinorBodyPosition(
+        bodyName,
+        observer,
+        date
+      );
+      if (minorPosition) return minorPosition;
+
       console.warn(`지원하지 않는 천체 이름: ${bodyName}`);
       return null;
     }
@@ -69,10 +367,15 @@ export const calculateSolarSystemBodyPosition = (
     // 천체 위치 계산 - Astro.Equator 함수를 사용하여 적경과 적위 계산
     const equ = Astronomy.Equator(body, date, observer, true, true);
 
-    // 적경과 적위 반환
+    // 지평 좌표 (대기 굴절 보정)
+    const hor = Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal");
+
+    // 적경·적위와 방위각·고도 반환
     return {
       ra: equ.ra,
       dec: equ.dec,
+      az: hor.azimuth,
+      alt: hor.altitude,
     };
   } catch (error) {
     console.error(`천체 위치 계산 중 오류: ${error}`, bodyName);
@@ -81,19 +384,25 @@ export const calculateSolarSystemBodyPosition = (
 };
 
 // 모든 태양계 천체 위치 계산
-export const getAllSolarSystemBodiesPositions = (observer) => {
+export const getAllSolarSystemBodiesPositions = (
+  observer,
+  date = getSimulatedDate()
+) => {
   if (!observer) return [];
 
   return solarSystemBodies
     .map((body) => {
       try {
-        const position = calculateSolarSystemBodyPosition(body.name, observer);
+        const position = calculateSolarSystemBodyPosition(
+          body.name,
+          observer,
+          date
+        );
         if (!position) return null;
 
         return {
           ...body,
-          ra: position.ra,
-          dec: position.dec,
+          ...position,
           isSolarSystemBody: true,
         };
       } catch (error) {
@@ -104,27 +413,74 @@ export const getAllSolarSystemBodiesPositions = (observer) => {
     .filter((body) => body !== null);
 };
 
-// 검색 기능 - 태양계 천체 및 별 데이터에서 검색
-export const searchCelestial = (query, observer) => {
+// 검색 기능 - 태양계 천체(소행성·혜성 포함), 별 데이터, 딥스카이, 인공위성, 별자리에서 검색
+//  - dsoGroup: "galaxy" | "cluster" | "nebula" 이면 그 분류의 딥스카이 천체만
+//    (검색어가 비어 있으면 밝은 순 목록)
+export const searchCelestial = (
+  query,
+  observer,
+  date = getSimulatedDate(),
+  dsoGroup = null
+) => {
   //   if (!query || query.length < 1) return [];
   if (!observer) return [];
 
   const lowerText = query.toLowerCase();
   const results = [];
 
+  try {
+    // 0. 카탈로그 표기 (HIP/HD 번호, 바이어·플램스티드 표기, 메시에·콜드웰·NGC·IC)
+    //    HR 번호는 카탈로그에 hr 열이 있을 때만 (번들 XHIP 카탈로그에는 없음)
+    const designation = parseDesignation(query, findConstellationByName);
+    results.push(
+      ...[
+        ...findStarsByDesignation(designation),
+        ...findDeepSkyByDesignation(designation),
+      ].map((object) => ({ ...object, matchScore: 1 }))
+    );
+  } catch (error) {
+    console.error("카탈로그 표기 검색 중 오류:", error);
+  }
+
+  if (dsoGroup) {
+    try {
+      return [
+        ...results.filter(
+          (object) =>
+            object.isDeepSky &&
+            getDeepSkyType(object.dsoType).group === dsoGroup
+        ),
+        ...searchDeepSky(query, { group: dsoGroup, limit: 15 }),
+      ]
+        .filter(
+          (object, index, list) =>
+            list.findIndex((other) => other.id === object.id) === index
+        )
+        .slice(0, 15);
+    } catch (error) {
+      console.error("딥스카이 검색 중 오류:", error);
+      return [];
+    }
+  }
+
   try {
     // 1. 태양계 천체 검색
     const solarSystemResults = solarSystemBodies
-      .filter(
-        (body) =>
-          body.proper.toLowerCase().includes(lowerText) ||
-          body.name.toLowerCase().includes(lowerText)
-      )
-      .map((body) => {
+      .map((body) => ({
+        body,
+        score: scoreMatch(query, [
+          body.proper,
+          body.name,
+          ...getAliases(body.id),
+        ]),
+      }))
+      .filter(({ score }) => score !== null)
+      .map(({ body, score }) => {
         try {
           const realTimePosition = calculateSolarSystemBodyPosition(
             body.name,
-            observer
+            observer,
+            date
           );
           if (!realTimePosition) return null;
 
@@ -133,9 +489,9 @@ export const searchCelestial = (query, observer) => {
             proper: body.proper,
             name: body.name,
             mag: body.mag,
-            ra: realTimePosition.ra,
-            dec: realTimePosition.dec,
+            ...realTimePosition,
             isSolarSystemBody: true,
+            matchScore: score,
           };
         } catch (error) {
           console.error(`천체 위치 계산 오류 (${body.name}):`, error);
@@ -145,52 +501,68 @@ export const searchCelestial = (query, observer) => {
       .filter((body) => body !== null);
 
     results.push(...solarSystemResults);
+
+    // 소행성·혜성 (궤도요소로 계산)
+    results.push(...searchMinorBodies(lowerText, observer, date));
   } catch (error) {
     console.error("태양계 천체 검색 중 오류:", error);
   }
 
   try {
-    // 2. 일반 항성 데이터 검색 (starData 사용)
-    const starResults = starData
-      .filter((item) => {
-        // 태양계 천체는 건너뛰기 (이미 위에서 처리)
-        const isSolarSystemBody = solarSystemBodies.some(
-          (body) =>
-            body.name.toLowerCase() === item.name?.toLowerCase() ||
-            body.proper?.toLowerCase() === item.proper?.toLowerCase()
-        );
-        if (isSolarSystemBody) return false;
+    // 2. 항성 카탈로그 검색
+    results.push(...searchStars(query, 20));
+  } catch (error) {
+    console.error("항성 검색 중 오류:", error);
+  }
+
+  try {
+    // 3. 딥스카이 천체 검색 (메시에·NGC·IC·콜드웰)
+    results.push(...searchDeepSky(query));
+  } catch (error) {
+    console.error("딥스카이 검색 중 오류:", error);
+  }
 
-        // 이름 기반 검색
-        const proper = item.proper?.toLowerCase() || "";
-        const name = item.name?.toLowerCase() || "";
+  try {
+    // 4. 인공위성 검색 (TLE 기반 실시간 위치)
+    results.push(...searchSatellites(lowerText, observer, date));
+  } catch (error) {
+    console.error("인공위성 검색 중 오류:", error);
+  }
 
-        return proper.includes(lowerText) || name.includes(lowerText);
-      })
-      .slice(0, 20)
-      .map((star) => ({
-        id: star.id || star.proper || star.name,
-        proper: star.proper,
-        name: star.name,
-        mag: star.mag,
-        ra: star.ra,
-        dec: star.dec,
-        isSolarSystemBody: false,
-      }));
-
-    results.push(...starResults);
+  try {
+    // 5. 별자리 검색
+    results.push(...searchConstellations(query));
   } catch (error) {
-    console.error("항성 검색 중 오류:", error);
+    console.error("별자리 검색 중 오류:", error);
   }
 
-  // 밝기 순으로 정렬
-  return results.sort((a, b) => (a.mag || 100) - (b.mag || 100)).slice(0, 15);
+  // 같은 천체는 가장 높은 점수 하나만
+  const best = new Map();
+  results.forEach((result) => {
+    const previous = best.get(result.id);
+    if (!previous || result.matchScore > previous.matchScore) {
+      best.set(result.id, result);
+    }
+  });
+
+  // 일치도 순, 같으면 밝기 순 (등급이 없는 별자리는 밝은 쪽으로)
+  return [...best.values()]
+    .sort(
+      (a, b) => b.matchScore - a.matchScore || (a.mag ?? -100) - (b.mag ?? -100)
+    )
+    .slice(0, 15);
 };
 
 // 기본 데이터 내보내기
 export default {
   solarSystemBodies,
-  starData,
+  getStarCount,
+  getStarById,
+  getStarByHip,
+  findStarsByName,
+  searchStars,
+  findStarsByDesignation,
+  getStarsBrighterThan,
   calculateSolarSystemBodyPosition,
   getAllSolarSystemBodiesPositions,
   searchCelestial,
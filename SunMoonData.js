@@ -0,0 +1,179 @@
+import * as Astronomy from "astronomy-engine";
+import {
+  TWILIGHT_LEVELS,
+  twilightLevel,
+  getNightWindow,
+} from "./VisibilityData";
+import { getSimulatedDate } from "./SimulationClock";
+import { t } from "./LocaleData";
+
+// 해·달·박명 - 지금 관측하기에 충분히 어두운지
+
+// 박명 구간 이름 (VisibilityData.TWILIGHT_LEVELS 의 key → 현재 언어 이름)
+export const getTwilightLabel = (key) => t(`sunMoon.twilight.${key}`);
+
+// 박명이 끝나는/시작하는 태양 고도 (해 지는·뜨는 시각은 SearchRiseSet 으로)
+const TWILIGHT_ALTITUDES = TWILIGHT_LEVELS.filter(
+  (level) => level.key !== "day" && level.key !== "night"
+).map((level) => ({ key: level.key, alt: level.minAlt }));
+
+// 달 위상각(MoonPhase, 도) → 위상 (이름은 문자열 표 sunMoon.phases)
+const MOON_PHASES = [
+  { maxAngle: 10, key: "new" },
+  { maxAngle: 80, key: "waxingCrescent" },
+  { maxAngle: 100, key: "firstQuarter" },
+  { maxAngle: 170, key: "waxingGibbous" },
+  { maxAngle: 190, key: "full" },
+  { maxAngle: 260, key: "waningGibbous" },
+  { maxAngle: 280, key: "lastQuarter" },
+  { maxAngle: 350, key: "waningCrescent" },
+  { maxAngle: 360, key: "new" },
+];
+
+// 밝은 달빛으로 볼 때의 조명 비율 기준
+const BRIGHT_MOON_FRACTION = 0.5;
+
+export const getMoonPhase = (phaseAngle) =>
+  MOON_PHASES.find((phase) => phaseAngle <= phase.maxAngle).key;
+
+// 위상 이름 (현재 언어)
+export const describeMoonPhase = (phaseAngle) =>
+  t(`sunMoon.phases.${getMoonPhase(phaseAngle)}`);
+
+const toDate = (time) => (time ? time.date : null);
+
+// 천체의 현재 방위각·고도 (대기 굴절 보정)
+const horizonOf = (body, observer, date) => {
+  const equ = Astronomy.Equator(body, date, observer, true, true);
+  const hor = Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal");
+  return { az: hor.azimuth, alt: hor.altitude };
+};
+
+// 한 밤(남중한 태양 → 다음 남중)의 해 지는 시각, 박명 끝·시작 시각
+//  - dusk/dawn: { civil, nautical, astronomical } (백야처럼 그 고도까지 내려가지 않으면 null)
+const findTwilightTimes = (observer, start) => {
+  const dusk = {
+    sunset: toDate(
+      Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, -1, start, 1)
+    ),
+  };
+  const dawn = {
+    sunrise: toDate(
+      Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, +1, start, 1)
+    ),
+  };
+  TWILIGHT_ALTITUDES.forEach(({ key, alt }) => {
+    dusk[key] = toDate(
+      Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, -1, start, 1, alt)
+    );
+    dawn[key] = toDate(
+      Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, +1, start, 1, alt)
+    );
+  });
+  return { dusk, dawn };
+};
+
+// 관측자 기준 해·달·박명 상태
+// 반환: {
+//   sun: { az, alt, twilight },
+//   dusk: { sunset, civil, nautical, astronomical }, dawn: { sunrise, ... },
+//   moon: { az, alt, isUp, phaseAngle, phase, illumination, rise, set,
+//           altAtDarkStart },
+//   isDark, darkStart, darkEnd
+// }
+//  - dusk/dawn 은 오늘 밤 기준 (새벽 박명이 시작된 뒤에는 다음 밤)
+//  - 이름은 그릴 때 getTwilightLabel(twilight), describeMoonPhase(phaseAngle) 로
+export const getSunMoonStatus = (observer, date = getSimulatedDate()) => {
+  if (!observer) return null;
+
+  try {
+    const sun = horizonOf(Astronomy.Body.Sun, observer, date);
+    const twilight = twilightLevel(sun.alt);
+
+    let window = getNightWindow(observer, date);
+    let times = findTwilightTimes(observer, window.start);
+    // 이미 해가 떴거나, 새벽 박명이 시작되어 어두운 하늘이 끝났으면 다음 밤
+    const passed = (time) => time && time <= date;
+    if (
+      passed(times.dawn.sunrise) ||
+      (twilight !== "night" &&
+        (passed(times.dusk.astronomical) || passed(times.dawn.astronomical)))
+    ) {
+      window = getNightWindow(observer, new Date(window.end.getTime() + 60000));
+      times = findTwilightTimes(observer, window.start);
+    }
+
+    const moon = horizonOf(Astronomy.Body.Moon, observer, date);
+    const darkStart = times.dusk.astronomical;
+    const phaseAngle = Astronomy.MoonPhase(date);
+    const illumination = Astronomy.Illumination(Astronomy.Body.Moon, date);
+
+    return {
+      sun: { ...sun, twilight },
+      dusk: times.dusk,
+      dawn: times.dawn,
+      moon: {
+        ...moon,
+        isUp: moon.alt > 0,
+        phaseAngle,
+        phase: getMoonPhase(phaseAngle),
+        illumination: illumination.phase_fraction,
+        rise: toDate(
+          Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, +1, date, 1)
+        ),
+        set: toDate(
+          Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, -1, date, 1)
+        ),
+        // 어두운 하늘이 시작될 때 달이 떠 있는지
+        altAtDarkStart:
+          darkStart && darkStart > date
+            ? horizonOf(Astronomy.Body.Moon, observer, darkStart).alt
+            : null,
+      },
+      isDark: twilight === "night",
+      darkStart,
+      darkEnd: times.dawn.astronomical,
+    };
+  } catch (error) {
+    console.error("해·달 상태 계산 중 오류:", error);
+    return null;
+  }
+};
+
+// 관측 안내 문구 (예: "어두운 하늘은 20:41부터")
+//  - formatTime(date): 시각 표시 함수
+export const describeDarkSky = (status, formatTime) => {
+  if (!status) return null;
+  const { isDark, darkStart, darkEnd, moon } = status;
+
+  let message;
+  if (isDark) {
+    message = darkEnd
+      ? t("sunMoon.darkNowUntil", { time: formatTime(darkEnd) })
+      : t("sunMoon.darkNow");
+  } else if (darkStart) {
+    message = t("sunMoon.darkFrom", { time: formatTime(darkStart) });
+  } else {
+    message = t("sunMoon.noDarkness");
+  }
+
+  if (moon.illumination >= BRIGHT_MOON_FRACTION) {
+    const moonUp = isDark ? moon.isUp : moon.altAtDarkStart > 0;
+    if (moonUp) {
+      message += t("sunMoon.brightMoon", {
+        percent: Math.round(moon.illumination * 100),
+      });
+    } else if (moon.rise && (!darkEnd || moon.rise < darkEnd)) {
+      message += t("sunMoon.moonRises", { time: formatTime(moon.rise) });
+    }
+  }
+  return message;
+};
+
+export default {
+  getTwilightLabel,
+  getMoonPhase,
+  describeMoonPhase,
+  getSunMoonStatus,
+  describeDarkSky,
+};
@@ -0,0 +1,143 @@
+import React from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { formatEventTime } from "./CelestialDetails";
+import {
+  getTwilightLabel,
+  describeMoonPhase,
+  describeDarkSky,
+} from "./SunMoonData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+// 박명 시각 표 (해 질 녘 → 새벽 순)
+const TWILIGHT_ROWS = [
+  {
+    key: "sun",
+    label: () => t("sunMoon.sunsetSunrise"),
+    dusk: "sunset",
+    dawn: "sunrise",
+  },
+  ...["civil", "nautical", "astronomical"].map((key) => ({
+    key,
+    label: () => getTwilightLabel(key),
+    dusk: key,
+    dawn: key,
+  })),
+];
+
+// 해·달·박명 패널 - 지금 관측하기에 충분히 어두운지
+//  - status: SunMoonData.getSunMoonStatus 결과
+export default function SunMoonPanel({ status, date, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const formatTime = (time) => formatEventTime(time, date);
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t("sunMoon.title")}</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Ionicons name="close" size={22} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      {!status ? (
+        <Text style={styles.txt}>{t("sunMoon.waitingLocation")}</Text>
+      ) : (
+        <>
+          <Text style={styles.summary}>
+            {describeDarkSky(status, formatTime)}
+          </Text>
+
+          <Text style={styles.sectionTitle}>{t("sunMoon.sun")}</Text>
+          <Text style={styles.txt}>
+            {t("sunMoon.sunAltitude", {
+              alt: status.sun.alt.toFixed(1),
+              twilight: getTwilightLabel(status.sun.twilight),
+            })}
+          </Text>
+
+          <View style={styles.tableHeader}>
+            <Text style={[styles.info, styles.labelCell]} />
+            <Text style={[styles.info, styles.timeCell]}>
+              {t("sunMoon.duskEnd")}
+            </Text>
+            <Text style={[styles.info, styles.timeCell]}>
+              {t("sunMoon.dawnStart")}
+            </Text>
+          </View>
+          {TWILIGHT_ROWS.map((row) => (
+            <View key={row.key} style={styles.tableRow}>
+              <Text style={[styles.txt, styles.labelCell]}>{row.label()}</Text>
+              <Text style={[styles.txt, styles.timeCell]}>
+                {formatTime(status.dusk[row.dusk])}
+              </Text>
+              <Text style={[styles.txt, styles.timeCell]}>
+                {formatTime(status.dawn[row.dawn])}
+              </Text>
+            </View>
+          ))}
+
+          <Text style={styles.sectionTitle}>{t("sunMoon.moon")}</Text>
+          <Text style={styles.txt}>
+            {t("sunMoon.moonPhase", {
+              phase: describeMoonPhase(status.moon.phaseAngle),
+              illumination: (status.moon.illumination * 100).toFixed(0),
+              angle: status.moon.phaseAngle.toFixed(0),
+            })}
+          </Text>
+          <Text style={styles.txt}>
+            {t("sunMoon.moonAltitude", {
+              state: t(
+                status.moon.isUp ? "sunMoon.moonUp" : "sunMoon.moonDown"
+              ),
+              alt: status.moon.alt.toFixed(1),
+            })}
+          </Text>
+          <Text style={styles.txt}>
+            {t("sunMoon.moonRiseSet", {
+              rise: formatTime(status.moon.rise),
+              set: formatTime(status.moon.set),
+            })}
+          </Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    panel: {
+      position: "absolute",
+      bottom: 40,
+      left: 20,
+      right: 20,
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 12,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    title: { color: colors.text, fontSize: 18, fontWeight: "bold" },
+    summary: { color: colors.success, fontSize: 15, fontWeight: "bold" },
+    sectionTitle: {
+      color: colors.textMuted,
+      fontSize: 14,
+      marginTop: 10,
+      marginBottom: 4,
+    },
+    txt: { color: colors.text, fontSize: 14 },
+    info: { color: colors.textMuted, fontSize: 12 },
+    tableHeader: { flexDirection: "row", marginTop: 6 },
+    tableRow: { flexDirection: "row", paddingVertical: 2 },
+    labelCell: { flex: 1.2 },
+    timeCell: { flex: 1, textAlign: "right" },
+  });
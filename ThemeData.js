@@ -0,0 +1,271 @@
+import { useState, useEffect } from "react";
+import { Platform } from "react-native";
+import * as Brightness from "expo-brightness";
+import { getSettings, saveDisplaySettings } from "./SettingsData";
+import { t } from "./LocaleData";
+
+// 화면 테마 - HUD·나침반·창·오버레이 색은 모두 여기서 가져옴
+//  - 이름은 문자열 표 themes.<id> (getThemeLabel)
+//  - colors: UI 색
+//  - sky: AR 오버레이 색 (star 가 null 이면 색지수 색 사용)
+//  - twilight: 고도 그래프의 박명 구간별 배경색
+//  - camera: 카메라 화면 위에 덮는 색(tint, multiply 합성)과 어둡게 하는 정도(dim, 0~1)
+//  - brightness: 화면 밝기 (null 이면 시스템 밝기)
+
+// 야간 모드 화면 밝기 (0 이면 꺼진 것처럼 보이는 기기가 있어 약간 남김)
+export const NIGHT_BRIGHTNESS = 0.05;
+
+const NORMAL_THEME = {
+  id: "normal",
+  icon: "eye-outline",
+  colors: {
+    background: "#000",
+    text: "#fff",
+    textSecondary: "#ccc",
+    textMuted: "#aaa",
+    placeholder: "#888",
+    warning: "#ffb347",
+    danger: "#e53935",
+    dangerSoft: "#ff8a80",
+    success: "#8fd18f",
+    successFill: "rgba(80, 200, 120, 0.8)",
+    highlight: "#ffd54f",
+    accent: "rgba(80, 140, 255, 0.8)",
+    accentSoft: "rgba(80, 140, 255, 0.6)",
+    surface: "rgba(0, 0, 0, 0.6)",
+    surfaceStrong: "rgba(0, 0, 0, 0.75)",
+    panel: "rgba(20, 20, 30, 0.95)",
+    backdrop: "rgba(0, 0, 0, 0.6)",
+    field: "rgba(255, 255, 255, 0.1)",
+    button: "rgba(255, 255, 255, 0.15)",
+    border: "#333",
+    guide: "rgba(255, 255, 255, 0.5)",
+    arrow: "rgba(255, 255, 0, 0.8)",
+    target: "red",
+  },
+  sky: {
+    constellationBound: "rgba(120, 160, 255, 0.25)",
+    constellationLine: "rgba(120, 180, 255, 0.55)",
+    constellationLabel: "rgba(140, 180, 255, 0.7)",
+    solarSystem: "#ffe27a",
+    deepSky: "rgba(150, 255, 200, 0.75)",
+    satellite: "#7fd4ff",
+    label: "rgba(255, 255, 255, 0.8)",
+    star: null,
+  },
+  twilight: {
+    day: "rgba(120, 170, 255, 0.35)",
+    civil: "rgba(80, 110, 200, 0.35)",
+    nautical: "rgba(50, 70, 150, 0.35)",
+    astronomical: "rgba(30, 40, 100, 0.35)",
+    night: "rgba(0, 0, 0, 0)",
+  },
+  camera: { tint: null, dim: 0 },
+  brightness: null,
+};
+
+// 빨간색만 쓰는 야간 모드 - 암순응 유지
+const NIGHT_THEME = {
+  id: "night",
+  icon: "moon",
+  colors: {
+    background: "#000",
+    text: "#e00000",
+    textSecondary: "#b00000",
+    textMuted: "#900000",
+    placeholder: "#700000",
+    warning: "#ff0000",
+    danger: "#ff0000",
+    dangerSoft: "#ff0000",
+    success: "#c00000",
+    successFill: "rgba(80, 0, 0, 0.9)",
+    highlight: "#ff0000",
+    accent: "rgba(90, 0, 0, 0.9)",
+    accentSoft: "rgba(70, 0, 0, 0.9)",
+    surface: "rgba(0, 0, 0, 0.75)",
+    surfaceStrong: "rgba(0, 0, 0, 0.85)",
+    panel: "rgba(10, 0, 0, 0.95)",
+    backdrop: "rgba(0, 0, 0, 0.7)",
+    field: "rgba(255, 0, 0, 0.12)",
+    button: "rgba(255, 0, 0, 0.18)",
+    border: "#400000",
+    guide: "rgba(255, 0, 0, 0.5)",
+    arrow: "rgba(255, 0, 0, 0.9)",
+    target: "#ff0000",
+  },
+  sky: {
+    constellationBound: "rgba(255, 0, 0, 0.2)",
+    constellationLine: "rgba(255, 0, 0, 0.4)",
+    constellationLabel: "rgba(255, 0, 0, 0.55)",
+    solarSystem: "#ff0000",
+    deepSky: "rgba(255, 0, 0, 0.55)",
+    satellite: "#ff0000",
+    label: "rgba(255, 0, 0, 0.7)",
+    star: "#d00000",
+  },
+  twilight: {
+    day: "rgba(255, 0, 0, 0.3)",
+    civil: "rgba(255, 0, 0, 0.2)",
+    nautical: "rgba(255, 0, 0, 0.12)",
+    astronomical: "rgba(255, 0, 0, 0.06)",
+    night: "rgba(0, 0, 0, 0)",
+  },
+  camera: { tint: "#ff0000", dim: 0.6 },
+  brightness: NIGHT_BRIGHTNESS,
+};
+
+// 고대비 - 불투명한 배경, 밝은 글자·선
+const HIGH_CONTRAST_THEME = {
+  id: "highContrast",
+  icon: "contrast",
+  colors: {
+    background: "#000",
+    text: "#fff",
+    textSecondary: "#fff",
+    textMuted: "#e0e0e0",
+    placeholder: "#bbb",
+    warning: "#ffd000",
+    danger: "#ff3030",
+    dangerSoft: "#ff6060",
+    success: "#5dff7a",
+    successFill: "#00a046",
+    highlight: "#ffff00",
+    accent: "#1f5eff",
+    accentSoft: "#1f5eff",
+    surface: "rgba(0, 0, 0, 0.9)",
+    surfaceStrong: "#000",
+    panel: "#000",
+    backdrop: "rgba(0, 0, 0, 0.8)",
+    field: "#222",
+    button: "#333",
+    border: "#888",
+    guide: "#fff",
+    arrow: "#ffff00",
+    target: "#ff3030",
+  },
+  sky: {
+    constellationBound: "rgba(160, 190, 255, 0.6)",
+    constellationLine: "rgba(160, 200, 255, 0.9)",
+    constellationLabel: "#c8dcff",
+    solarSystem: "#ffff00",
+    deepSky: "#7dffb0",
+    satellite: "#00e5ff",
+    label: "#fff",
+    star: null,
+  },
+  twilight: {
+    day: "rgba(120, 170, 255, 0.7)",
+    civil: "rgba(80, 110, 200, 0.6)",
+    nautical: "rgba(50, 70, 150, 0.6)",
+    astronomical: "rgba(30, 40, 100, 0.6)",
+    night: "rgba(0, 0, 0, 0)",
+  },
+  camera: { tint: null, dim: 0.35 },
+  brightness: null,
+};
+
+export const THEMES = {
+  normal: NORMAL_THEME,
+  night: NIGHT_THEME,
+  highContrast: HIGH_CONTRAST_THEME,
+};
+
+// 테마 버튼을 누를 때 넘어가는 순서
+export const THEME_ORDER = ["normal", "night", "highContrast"];
+
+let currentTheme = NORMAL_THEME;
+let savedBrightness = null; // 밝기를 바꾸기 전 값 (복원용)
+const listeners = new Set();
+
+export const getTheme = () => currentTheme;
+
+export const getThemeLabel = (id = currentTheme.id) => t(`themes.${id}`);
+
+export const nextThemeId = (id = currentTheme.id) =>
+  THEME_ORDER[(THEME_ORDER.indexOf(id) + 1) % THEME_ORDER.length];
+
+// 테마 밝기 적용 - 테마가 밝기를 정하지 않으면 원래 밝기로 복원
+const applyBrightness = async (theme) => {
+  try {
+    if (theme.brightness != null) {
+      if (savedBrightness === null) {
+        savedBrightness = await Brightness.getBrightnessAsync();
+      }
+      await Brightness.setBrightnessAsync(theme.brightness);
+    } else if (savedBrightness !== null) {
+      // Android 는 앱 창 밝기만 바뀌므로 시스템 밝기를 따르게 되돌림
+      if (Platform.OS === "android") {
+        await Brightness.restoreSystemBrightnessAsync();
+      } else {
+        await Brightness.setBrightnessAsync(savedBrightness);
+      }
+      savedBrightness = null;
+    }
+  } catch (error) {
+    console.error("화면 밝기 변경 실패:", error);
+  }
+};
+
+const applyTheme = (theme) => {
+  currentTheme = theme;
+  listeners.forEach((listener) => listener(theme));
+  applyBrightness(theme);
+};
+
+// 저장된 테마 적용 (앱 시작 시 loadSettings 다음에 한 번)
+export const loadTheme = () => {
+  applyTheme(THEMES[getSettings().display.theme] || NORMAL_THEME);
+  return currentTheme;
+};
+
+// 테마 바꾸고 저장 - 알 수 없는 id 는 기본 테마
+export const setTheme = async (id) => {
+  const theme = THEMES[id] || NORMAL_THEME;
+  applyTheme(theme);
+  await saveDisplaySettings({ theme: theme.id });
+  return theme;
+};
+
+// 테마 변경 구독 - 해제 함수 반환
+export const subscribeTheme = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 현재 테마를 구독하는 훅
+export const useTheme = () => {
+  const [theme, setThemeState] = useState(currentTheme);
+  useEffect(() => {
+    setThemeState(currentTheme);
+    return subscribeTheme(setThemeState);
+  }, []);
+  return theme;
+};
+
+// 테마별 스타일 - createStyles(theme) 결과를 테마가 바뀔 때만 다시 만듦
+//  - 같은 createStyles 를 쓰는 컴포넌트끼리 결과를 공유
+const styleCache = new WeakMap();
+
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  let cached = styleCache.get(createStyles);
+  if (!cached || cached.theme !== theme) {
+    cached = { theme, styles: createStyles(theme) };
+    styleCache.set(createStyles, cached);
+  }
+  return cached.styles;
+};
+
+export default {
+  NIGHT_BRIGHTNESS,
+  THEMES,
+  THEME_ORDER,
+  getTheme,
+  getThemeLabel,
+  nextThemeId,
+  loadTheme,
+  setTheme,
+  subscribeTheme,
+  useTheme,
+  useThemedStyles,
+};
@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  CLOCK_RATES,
+  getSimulatedDate,
+  setSimulatedDate,
+  play,
+  pause,
+  setClockRate,
+  stepSiderealDays,
+  resetToNow,
+  useClockState,
+  useSimulatedDate,
+} from "./SimulationClock";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t } from "./LocaleData";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 시뮬레이션 시각 표시 문자열 (기기 현지 시간)
+export const formatSimulatedDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// 시간 여행 패널 - 날짜·시각 선택, 재생/일시정지, 배속, 항성일 이동, 현재로 복귀
+export default function TimeControls() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const clockState = useClockState();
+  const date = useSimulatedDate();
+  const [pickerMode, setPickerMode] = useState(null); // "date" | "time" | null
+
+  const onPickerChange = (event, selected) => {
+    setPickerMode(null);
+    if (event.type !== "set" || !selected) return;
+    setSimulatedDate(selected);
+  };
+
+  return (
+    <View style={styles.panel}>
+      {/* 날짜·시각 */}
+      <View style={styles.row}>
+        <TouchableOpacity onPress={() => setPickerMode("date")}>
+          <Text style={styles.dateText}>{formatSimulatedDate(date)}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => setPickerMode("time")}
+        >
+          <Ionicons name="time-outline" size={20} color={colors.text} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.nowButton, clockState.live && styles.activeButton]}
+          onPress={resetToNow}
+        >
+          <Text style={styles.buttonText}>{t("time.now")}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* 재생 제어 */}
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => stepSiderealDays(-1)}
+        >
+          <Ionicons name="play-skip-back" size={20} color={colors.text} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={clockState.playing ? pause : play}
+        >
+          <Ionicons
+            name={clockState.playing ? "pause" : "play"}
+            size={20}
+            color={colors.text}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => stepSiderealDays(1)}
+        >
+          <Ionicons name="play-skip-forward" size={20} color={colors.text} />
+        </TouchableOpacity>
+        {CLOCK_RATES.map((rate) => (
+          <TouchableOpacity
+            key={rate}
+            style={[
+              styles.rateButton,
+              clockState.rate === rate && styles.activeButton,
+            ]}
+            onPress={() => setClockRate(rate)}
+          >
+            <Text style={styles.buttonText}>{rate}×</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {pickerMode && (
+        <DateTimePicker
+          value={getSimulatedDate()}
+          mode={pickerMode}
+          is24Hour={true}
+          onChange={onPickerChange}
+        />
+      )}
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    panel: {
+      position: "absolute",
+      bottom: 40,
+      left: 20,
+      right: 20,
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 10,
+    },
+    row: {
+      flexDirection: "row",
+      alignItems: "center",
+      justifyContent: "space-between",
+      marginVertical: 4,
+    },
+    dateText: { color: colors.text, fontSize: 18, fontWeight: "bold" },
+    iconButton: { padding: 6 },
+    nowButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.guide,
+    },
+    rateButton: {
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.guide,
+    },
+    activeButton: { backgroundColor: colors.accentSoft },
+    buttonText: { color: colors.text, fontSize: 14 },
+  });
@@ -0,0 +1,229 @@
+import * as Astronomy from "astronomy-engine";
+import {
+  getAllSolarSystemBodiesPositions,
+  getStarsBrighterThan,
+} from "./StarData";
+import { deepSkyObjects, deepSkyTarget } from "./DeepSkyData";
+import {
+  getSatellites,
+  calculateSatellitePosition,
+  findNextPass,
+  getTleAgeDays,
+  TLE_STALE_DAYS,
+} from "./SatelliteData";
+import { calculateRiseTransitSet } from "./VisibilityData";
+import { getSimulatedDate } from "./SimulationClock";
+import { t } from "./LocaleData";
+
+// 지금 떠 있는 천체 목록 ("오늘 밤 볼 만한 천체")
+
+// 분류·정렬 (이름은 문자열 표 tonight.categories, tonight.sorts)
+export const TONIGHT_CATEGORIES = [
+  { id: "planets" },
+  { id: "stars" },
+  { id: "deepsky" },
+  { id: "satellites" },
+];
+
+export const TONIGHT_SORTS = [{ id: "alt" }, { id: "mag" }];
+
+export const DEFAULT_TONIGHT_OPTIONS = {
+  categories: TONIGHT_CATEGORIES.map((category) => category.id),
+  limitMag: 4,
+  sortBy: "alt",
+};
+
+// 한계 등급 범위
+export const TONIGHT_LIMIT_MAG = { min: 0, max: 10, step: 0.5 };
+
+// 목록 최대 길이 (낮은 한계 등급에서 별이 수천 개가 되지 않도록)
+const MAX_ENTRIES = 200;
+
+// 지는 시각 기준 고도 - 대기 굴절만큼 지평선 아래 (도)
+const SET_ALTITUDE = -0.5667;
+
+const SIDEREAL_RATE = 1.00273790935; // 태양시 1시간당 항성시
+
+/*-------------- 항성·딥스카이 (J2000 고정 좌표) -------------- */
+// 시각마다 한 번 계산하는 회전 행렬·항성시
+const makeFrame = (observer, date) => {
+  const time = Astronomy.MakeTime(date);
+  return {
+    observer,
+    date,
+    time,
+    toHorizon: Astronomy.Rotation_EQJ_HOR(time, observer),
+    toEquatorOfDate: Astronomy.Rotation_EQJ_EQD(time),
+    gast: Astronomy.SiderealTime(time),
+  };
+};
+
+// 지평 좌표와 지는 시각을 한 번에 계산 (지평선 아래면 null)
+// 지는 시각은 관측 시점 적도 좌표의 시간각으로 구함 (적위 변화는 무시)
+const fixedObjectEntry = (target, frame) => {
+  const { observer, date, time } = frame;
+  const vEq = Astronomy.VectorFromSphere(
+    new Astronomy.Spherical(target.dec, target.ra * 15, 1),
+    time
+  );
+  const hor = Astronomy.HorizonFromVector(
+    Astronomy.RotateVector(frame.toHorizon, vEq),
+    "normal"
+  );
+  if (hor.lat <= 0) return null;
+
+  const equ = Astronomy.EquatorFromVector(
+    Astronomy.RotateVector(frame.toEquatorOfDate, vEq)
+  );
+  const lat = observer.latitude * Astronomy.DEG2RAD;
+  const dec = equ.dec * Astronomy.DEG2RAD;
+  const cosH0 =
+    (Math.sin(SET_ALTITUDE * Astronomy.DEG2RAD) -
+      Math.sin(lat) * Math.sin(dec)) /
+    (Math.cos(lat) * Math.cos(dec));
+
+  let setsAt = null;
+  if (cosH0 > -1) {
+    // 시간각 (시, -12 ~ 12) → 지는 시간각 H0 까지 남은 항성시
+    const hourAngle =
+      ((((frame.gast + observer.longitude / 15 - equ.ra) % 24) + 36) % 24) - 12;
+    const h0 = (Math.acos(Math.min(1, cosH0)) * Astronomy.RAD2DEG) / 15;
+    const siderealHours = (((h0 - hourAngle) % 24) + 24) % 24;
+    setsAt = new Date(
+      date.getTime() + (siderealHours / SIDEREAL_RATE) * 3600000
+    );
+  }
+
+  return { target, az: hor.lon, alt: hor.lat, setsAt, circumpolar: !setsAt };
+};
+
+/*-------------- 분류별 목록 -------------- */
+// 태양·행성·달 (행성의 위성은 모행성과 겹치므로 제외)
+const planetEntries = (observer, date, limitMag) =>
+  getAllSolarSystemBodiesPositions(observer, date)
+    .filter(
+      (body) =>
+        !body.parent &&
+        body.id !== "sun" &&
+        body.alt > 0 &&
+        body.mag <= limitMag
+    )
+    .map((body) => {
+      const events = calculateRiseTransitSet(body, observer, date);
+      return {
+        target: body,
+        az: body.az,
+        alt: body.alt,
+        setsAt: events ? events.set : null,
+        circumpolar: !!events?.circumpolar,
+      };
+    });
+
+const starEntries = (frame, limitMag) =>
+  getStarsBrighterThan(limitMag)
+    .map((star) => fixedObjectEntry(star, frame))
+    .filter((entry) => entry !== null);
+
+const deepSkyEntries = (frame, limitMag) =>
+  deepSkyObjects
+    .filter((object) => object.mag !== null && object.mag <= limitMag)
+    .map((object) => fixedObjectEntry(deepSkyTarget(object), frame))
+    .filter((entry) => entry !== null);
+
+// 인공위성 - 표준 밝기를 모르는 위성은 한계 등급과 관계없이 포함
+const satelliteEntries = (observer, date, limitMag) =>
+  getSatellites()
+    .filter((sat) => sat.mag === null || sat.mag <= limitMag)
+    .map((sat) => {
+      const position = calculateSatellitePosition(sat.id, observer, date);
+      if (!position || position.alt <= 0) return null;
+      const pass = findNextPass(sat.id, observer, date);
+      const tleAgeDays = getTleAgeDays(sat, date);
+      return {
+        // searchSatellites 결과와 같은 형태
+        target: {
+          id: sat.id,
+          norad: sat.norad,
+          proper: sat.proper,
+          name: sat.name,
+          mag: sat.mag,
+          ...position,
+          tleAgeDays,
+          isTleStale: Math.abs(tleAgeDays) > TLE_STALE_DAYS,
+          isSatellite: true,
+          isSolarSystemBody: false,
+        },
+        az: position.az,
+        alt: position.alt,
+        setsAt: pass ? pass.set : null,
+        circumpolar: false,
+      };
+    })
+    .filter((entry) => entry !== null);
+
+// 지금 지평선 위에 있는 천체 목록
+// 반환: [{ target, az, alt, setsAt, circumpolar, category }]
+//  - target: 선택하면 selectedCelestial 로 쓰는 천체 객체 (검색 결과와 같은 형태)
+//  - setsAt: 다음 지는 시각 (항상 떠 있거나 계산할 수 없으면 null)
+export const getVisibleObjects = (
+  observer,
+  date = getSimulatedDate(),
+  options = {}
+) => {
+  if (!observer) return [];
+  const { categories, limitMag, sortBy } = {
+    ...DEFAULT_TONIGHT_OPTIONS,
+    ...options,
+  };
+
+  const frame = makeFrame(observer, date);
+  const builders = {
+    planets: () => planetEntries(observer, date, limitMag),
+    stars: () => starEntries(frame, limitMag),
+    deepsky: () => deepSkyEntries(frame, limitMag),
+    satellites: () => satelliteEntries(observer, date, limitMag),
+  };
+
+  const entries = [];
+  categories.forEach((category) => {
+    try {
+      builders[category]().forEach((entry) =>
+        entries.push({ ...entry, category })
+      );
+    } catch (error) {
+      console.error(`떠 있는 천체 계산 중 오류 (${category}):`, error);
+    }
+  });
+
+  // 등급이 없는 천체는 밝기순에서 맨 뒤로
+  entries.sort((a, b) =>
+    sortBy === "mag"
+      ? (a.target.mag ?? 99) - (b.target.mag ?? 99)
+      : b.alt - a.alt
+  );
+  return entries.slice(0, MAX_ENTRIES);
+};
+
+// 지는 시각까지 남은 시간 문구 (예: "2시간 15분 후 짐")
+export const describeTimeUntilSet = (entry, date = getSimulatedDate()) => {
+  if (entry.circumpolar) return t("tonight.neverSets");
+  if (!entry.setsAt) return "-";
+  const minutes = Math.max(
+    0,
+    Math.round((entry.setsAt.getTime() - date.getTime()) / 60000)
+  );
+  if (minutes < 60) return t("tonight.setsInMinutes", { minutes });
+  return t("tonight.setsInHours", {
+    hours: Math.floor(minutes / 60),
+    minutes: minutes % 60,
+  });
+};
+
+export default {
+  TONIGHT_CATEGORIES,
+  TONIGHT_SORTS,
+  DEFAULT_TONIGHT_OPTIONS,
+  TONIGHT_LIMIT_MAG,
+  getVisibleObjects,
+  describeTimeUntilSet,
+};
@@ -0,0 +1,231 @@
+import React, { useMemo, useState } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  TONIGHT_CATEGORIES,
+  TONIGHT_SORTS,
+  DEFAULT_TONIGHT_OPTIONS,
+  TONIGHT_LIMIT_MAG,
+  getVisibleObjects,
+  describeTimeUntilSet,
+} from "./TonightData";
+import { describePositionAngle } from "./PlanetMoonData";
+import { getDeepSkyType } from "./DeepSkyData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t, getObjectName } from "./LocaleData";
+
+// "고도 45.2° · 방위각 120° (남동)"
+const describePosition = ({ alt, az }) =>
+  t("tonight.position", {
+    alt: alt.toFixed(1),
+    az: az.toFixed(0),
+    direction: describePositionAngle(az),
+  });
+
+// 종류 표시 (딥스카이는 세부 종류, 나머지는 분류 이름)
+const describeKind = (entry) =>
+  entry.target.isDeepSky
+    ? getDeepSkyType(entry.target.dsoType).label
+    : t(`tonight.categories.${entry.category}`);
+
+// 지금 떠 있는 천체 목록 - 분류·한계 등급으로 거르고 고도/밝기순 정렬
+// 천체를 누르면 onSelect(천체) - 검색 결과를 고른 것과 같음
+export default function TonightPanel({ observer, date, onSelect, onClose }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const [categories, setCategories] = useState(
+    DEFAULT_TONIGHT_OPTIONS.categories
+  );
+  const [limitMag, setLimitMag] = useState(DEFAULT_TONIGHT_OPTIONS.limitMag);
+  const [sortBy, setSortBy] = useState(DEFAULT_TONIGHT_OPTIONS.sortBy);
+
+  // 천구는 천천히 움직이므로 1분마다 다시 계산
+  const minute = Math.floor(date.getTime() / 60000);
+  const entries = useMemo(
+    () => getVisibleObjects(observer, date, { categories, limitMag, sortBy }),
+    [observer, minute, categories, limitMag, sortBy]
+  );
+
+  const toggleCategory = (id) =>
+    setCategories((prev) =>
+      prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]
+    );
+  const changeLimitMag = (direction) =>
+    setLimitMag((prev) =>
+      Math.min(
+        TONIGHT_LIMIT_MAG.max,
+        Math.max(
+          TONIGHT_LIMIT_MAG.min,
+          prev + direction * TONIGHT_LIMIT_MAG.step
+        )
+      )
+    );
+
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("tonight.title")}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {/* 분류 */}
+        <View style={styles.chipRow}>
+          {TONIGHT_CATEGORIES.map((category) => (
+            <TouchableOpacity
+              key={category.id}
+              style={[
+                styles.chip,
+                categories.includes(category.id) && styles.chipActive,
+              ]}
+              onPress={() => toggleCategory(category.id)}
+            >
+              <Text style={styles.chipText}>
+                {t(`tonight.categories.${category.id}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* 한계 등급, 정렬 */}
+        <View style={styles.optionRow}>
+          <Text style={styles.txt}>{t("tonight.limitMag")}</Text>
+          <TouchableOpacity onPress={() => changeLimitMag(-1)}>
+            <Ionicons
+              name="remove-circle-outline"
+              size={24}
+              color={colors.text}
+            />
+          </TouchableOpacity>
+          <Text style={styles.value}>{limitMag.toFixed(1)}</Text>
+          <TouchableOpacity onPress={() => changeLimitMag(1)}>
+            <Ionicons name="add-circle-outline" size={24} color={colors.text} />
+          </TouchableOpacity>
+          <View style={styles.spacer} />
+          {TONIGHT_SORTS.map((sort) => (
+            <TouchableOpacity
+              key={sort.id}
+              style={[styles.chip, sortBy === sort.id && styles.chipActive]}
+              onPress={() => setSortBy(sort.id)}
+            >
+              <Text style={styles.chipText}>
+                {t(`tonight.sorts.${sort.id}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <FlatList
+          data={entries}
+          keyExtractor={(entry) => String(entry.target.id)}
+          ListEmptyComponent={
+            <Text style={styles.empty}>{t("tonight.empty")}</Text>
+          }
+          renderItem={({ item: entry }) => (
+            <TouchableOpacity
+              style={styles.item}
+              onPress={() => onSelect(entry.target)}
+            >
+              <View style={styles.itemHeader}>
+                <Text style={styles.itemName}>
+                  {getObjectName(entry.target)}
+                </Text>
+                <Text style={styles.itemCategory}>
+                  {describeKind(entry)}
+                  {entry.target.mag != null
+                    ? t("tonight.magnitude", {
+                        value: entry.target.mag.toFixed(1),
+                      })
+                    : ""}
+                </Text>
+              </View>
+              <Text style={styles.itemInfo}>
+                {describePosition(entry)} · {describeTimeUntilSet(entry, date)}
+              </Text>
+            </TouchableOpacity>
+          )}
+        />
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      height: "80%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 10,
+    },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 5,
+      borderRadius: 14,
+      backgroundColor: colors.field,
+    },
+    chipActive: { backgroundColor: colors.accentSoft },
+    chipText: { color: colors.text, fontSize: 13 },
+    optionRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 6,
+      marginVertical: 10,
+    },
+    spacer: { flex: 1 },
+    value: {
+      color: colors.text,
+      fontSize: 16,
+      minWidth: 32,
+      textAlign: "center",
+    },
+    txt: { color: colors.text, fontSize: 14 },
+    empty: {
+      color: colors.textMuted,
+      fontSize: 14,
+      textAlign: "center",
+      marginTop: 20,
+    },
+    item: {
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "baseline",
+    },
+    itemName: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+    itemCategory: { color: colors.textMuted, fontSize: 12 },
+    itemInfo: { color: colors.textSecondary, fontSize: 12, marginTop: 2 },
+  });
@@ -0,0 +1,183 @@
+import * as FileSystem from "expo-file-system";
+import bundledTours from "./assets/tours.json";
+import { searchCelestial } from "./StarData";
+import { getSimulatedDate } from "./SimulationClock";
+import { t, localizeText } from "./LocaleData";
+
+// 관측 투어 - 순서가 있는 목표 천체 목록
+//
+// JSON 형식 (assets/tours.json, 가져오기 파일 모두 같음):
+//   { "version": 1, "tours": [
+//     { "id": "winter", "title": { "ko": "겨울철 밤하늘", "en": "Winter night sky" },
+//       "season": "winter", "description": { "ko": "...", "en": "..." },
+//       "steps": [{ "target": "M42", "title": { "ko": "오리온 대성운", "en": "..." },
+//                   "description": { "ko": "...", "en": "..." } }] }
+//   ] }
+//  - target: 검색창에 입력하는 것과 같은 문자열 (이름, M42·HIP 91262 같은 표기, 별자리 약자)
+//  - title: 생략하면 천체 이름
+//  - title·description 은 언어별 객체 또는 문자열 하나 (LocaleData.localizeText 로 표시)
+// 가져오기 파일은 투어 하나만 담은 객체여도 됨
+
+// 가져온 투어, 진행 상황 저장 위치
+const IMPORTED_TOURS_FILE = `${FileSystem.documentDirectory}tours.json`;
+const PROGRESS_FILE = `${FileSystem.documentDirectory}tourProgress.json`;
+
+// 목표를 원 안에 이 시간 동안 유지하면 다음 단계로
+export const TOUR_HOLD_MS = 3000;
+
+// 계절 (이름은 문자열 표 tours.seasons)
+export const TOUR_SEASONS = ["spring", "summer", "autumn", "winter"];
+
+let importedTours = [];
+let tours = [];
+
+// 언어별 문구 - 객체는 그대로, 그 밖의 값은 문자열로
+const toText = (value) =>
+  value && typeof value === "object" ? value : String(value);
+
+// 투어 JSON 검사 - 문제가 있으면 Error
+const validateTour = (tour) => {
+  if (!tour || typeof tour !== "object") {
+    throw new Error(t("tours.errors.invalid"));
+  }
+  if (!tour.id || !localizeText(tour.title)) {
+    throw new Error(t("tours.errors.missingIdTitle"));
+  }
+  const title = localizeText(tour.title);
+  if (!Array.isArray(tour.steps) || tour.steps.length === 0) {
+    throw new Error(t("tours.errors.noSteps", { title }));
+  }
+  tour.steps.forEach((step, index) => {
+    if (!step || typeof step.target !== "string" || !step.target.trim()) {
+      throw new Error(
+        t("tours.errors.missingTarget", { title, step: index + 1 })
+      );
+    }
+  });
+  return {
+    id: String(tour.id),
+    title: toText(tour.title),
+    season: tour.season || null,
+    description: tour.description || "",
+    steps: tour.steps.map((step) => ({
+      target: step.target.trim(),
+      title: step.title || null,
+      description: step.description || "",
+    })),
+  };
+};
+
+// JSON 텍스트 → 투어 목록 (tours 배열 또는 투어 하나)
+export const parseTours = (text) => {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data.tours) ? data.tours : [data];
+  return list.map(validateTour);
+};
+
+// 번들 투어 + 가져온 투어 (같은 id 는 가져온 쪽 우선)
+const rebuildTours = () => {
+  const byId = new Map();
+  [...bundledTours.tours.map(validateTour), ...importedTours].forEach((tour) =>
+    byId.set(tour.id, tour)
+  );
+  tours = [...byId.values()];
+};
+
+rebuildTours();
+
+// 가져온 투어 불러오기 (앱 시작 시 한 번)
+export const loadTours = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(IMPORTED_TOURS_FILE);
+    if (info.exists) {
+      importedTours = parseTours(
+        await FileSystem.readAsStringAsync(IMPORTED_TOURS_FILE)
+      );
+      rebuildTours();
+    }
+  } catch (error) {
+    console.error("저장된 투어 불러오기 실패:", error);
+  }
+  return tours;
+};
+
+// 투어 파일 가져오기 - 가져온 투어 수 반환
+export const importTourFile = async (uri) => {
+  const parsed = parseTours(await FileSystem.readAsStringAsync(uri));
+
+  const byId = new Map(importedTours.map((tour) => [tour.id, tour]));
+  parsed.forEach((tour) => byId.set(tour.id, tour));
+  importedTours = [...byId.values()];
+
+  await FileSystem.writeAsStringAsync(
+    IMPORTED_TOURS_FILE,
+    JSON.stringify({ version: 1, tours: importedTours })
+  );
+  rebuildTours();
+  return parsed.length;
+};
+
+export const getTours = () => tours;
+
+export const getTour = (id) => tours.find((tour) => tour.id === id) || null;
+
+// 단계의 목표 천체 (검색 결과 중 가장 잘 맞는 것, 찾지 못하면 null)
+export const resolveTourStep = (step, observer, date = getSimulatedDate()) => {
+  if (!step || !observer) return null;
+  const [best] = searchCelestial(step.target, observer, date);
+  return best || null;
+};
+
+/*-------------- 진행 상황 -------------- */
+// 저장된 진행 상황 { tourId, step } (없으면 null)
+export const loadTourProgress = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(PROGRESS_FILE);
+    if (!info.exists) return null;
+    const progress = JSON.parse(
+      await FileSystem.readAsStringAsync(PROGRESS_FILE)
+    );
+    const tour = getTour(progress.tourId);
+    if (!tour) return null;
+    return {
+      tourId: tour.id,
+      step: Math.min(Math.max(0, progress.step | 0), tour.steps.length - 1),
+    };
+  } catch (error) {
+    console.error("투어 진행 상황 불러오기 실패:", error);
+    return null;
+  }
+};
+
+export const saveTourProgress = async (tourId, step) => {
+  try {
+    await FileSystem.writeAsStringAsync(
+      PROGRESS_FILE,
+      JSON.stringify({ tourId, step, savedAt: new Date().toISOString() })
+    );
+  } catch (error) {
+    console.error("투어 진행 상황 저장 실패:", error);
+  }
+};
+
+export const clearTourProgress = async () => {
+  try {
+    await FileSystem.deleteAsync(PROGRESS_FILE, { idempotent: true });
+  } catch (error) {
+    console.error("투어 진행 상황 삭제 실패:", error);
+  }
+};
+
+export default {
+  TOUR_HOLD_MS,
+  TOUR_SEASONS,
+  parseTours,
+  loadTours,
+  importTourFile,
+  getTours,
+  getTour,
+  resolveTourStep,
+  loadTourProgress,
+  saveTourProgress,
+  clearTourProgress,
+};
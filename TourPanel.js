@@ -0,0 +1,240 @@
+import React, { useEffect, useRef } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  Animated,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { TOUR_HOLD_MS, TOUR_SEASONS } from "./TourData";
+import { useTheme, useThemedStyles } from "./ThemeData";
+import { useLocale, t, localizeText, getObjectName } from "./LocaleData";
+
+// 진행 중인 투어 단계 카드 - 목표를 원 안에 유지하는 동안 진행 막대가 참
+//  - target: 단계의 목표 천체 (찾지 못하면 null), holding: 원 안에 유지 중
+export const TourStepCard = ({
+  tour,
+  step,
+  target,
+  holding,
+  onPrev,
+  onNext,
+  onStop,
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  const progress = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    progress.setValue(0);
+    if (!holding) return;
+    const animation = Animated.timing(progress, {
+      toValue: 1,
+      duration: TOUR_HOLD_MS,
+      useNativeDriver: false,
+    });
+    animation.start();
+    return () => animation.stop();
+  }, [holding, step]);
+
+  const current = tour.steps[step];
+  const description = localizeText(current.description);
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.cardTour}>
+          {localizeText(tour.title)} · {step + 1}/{tour.steps.length}
+        </Text>
+        <TouchableOpacity onPress={onStop}>
+          <Ionicons name="close" size={20} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.cardTitle}>
+        {localizeText(current.title) || getObjectName(target) || current.target}
+      </Text>
+      {description !== "" && <Text style={styles.txt}>{description}</Text>}
+      {!target && (
+        <Text style={styles.txtWarning}>
+          {t("tours.notFound", { target: current.target })}
+        </Text>
+      )}
+
+      <View style={styles.progressTrack}>
+        <Animated.View
+          style={[
+            styles.progressBar,
+            {
+              width: progress.interpolate({
+                inputRange: [0, 1],
+                outputRange: ["0%", "100%"],
+              }),
+            },
+          ]}
+        />
+      </View>
+      <Text style={styles.hint}>
+        {holding
+          ? t("tours.hold")
+          : t("tours.holdHint", { seconds: TOUR_HOLD_MS / 1000 })}
+      </Text>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, step === 0 && styles.buttonDisabled]}
+          disabled={step === 0}
+          onPress={onPrev}
+        >
+          <Ionicons name="chevron-back" size={18} color={colors.text} />
+          <Text style={styles.buttonText}>{t("tours.prev")}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={onNext}>
+          <Text style={styles.buttonText}>
+            {t(step + 1 === tour.steps.length ? "tours.finish" : "tours.next")}
+          </Text>
+          <Ionicons name="chevron-forward" size={18} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+// 투어 목록 - 고르면 onStart(tourId), 가져오기 onImport()
+export default function TourPicker({
+  tours,
+  activeTourId,
+  onStart,
+  onImport,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  useLocale();
+  return (
+    <View style={styles.backdrop}>
+      <View style={styles.panel}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t("tours.title")}</Text>
+          <View style={styles.headerButtons}>
+            <TouchableOpacity onPress={onImport}>
+              <Ionicons
+                name="document-attach-outline"
+                size={22}
+                color={colors.text}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={colors.text} />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <FlatList
+          data={tours}
+          keyExtractor={(tour) => tour.id}
+          renderItem={({ item: tour }) => (
+            <TouchableOpacity
+              style={styles.item}
+              onPress={() => onStart(tour.id)}
+            >
+              <Text style={styles.itemName}>
+                {localizeText(tour.title)}
+                {tour.id === activeTourId ? t("tours.active") : ""}
+              </Text>
+              <Text style={styles.itemInfo}>
+                {TOUR_SEASONS.includes(tour.season)
+                  ? `${t(`tours.seasons.${tour.season}`)} · `
+                  : ""}
+                {t("tours.steps", { count: tour.steps.length })}
+              </Text>
+              {localizeText(tour.description) !== "" && (
+                <Text style={styles.itemInfo}>
+                  {localizeText(tour.description)}
+                </Text>
+              )}
+            </TouchableOpacity>
+          )}
+        />
+      </View>
+    </View>
+  );
+}
+
+/*-------------- 스타일 -------------- */
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    backdrop: {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: colors.backdrop,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    panel: {
+      width: "90%",
+      maxHeight: "80%",
+      backgroundColor: colors.panel,
+      borderRadius: 16,
+      padding: 16,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    headerButtons: { flexDirection: "row", alignItems: "center", gap: 15 },
+    title: { color: colors.text, fontSize: 20, fontWeight: "bold" },
+    item: {
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemName: { color: colors.text, fontSize: 16, fontWeight: "bold" },
+    itemInfo: { color: colors.textSecondary, fontSize: 12, marginTop: 2 },
+    card: {
+      position: "absolute",
+      bottom: 90,
+      left: 20,
+      right: 20,
+      backgroundColor: colors.surfaceStrong,
+      borderRadius: 12,
+      padding: 12,
+    },
+    cardTour: { color: colors.textMuted, fontSize: 13 },
+    cardTitle: {
+      color: colors.text,
+      fontSize: 18,
+      fontWeight: "bold",
+      marginBottom: 4,
+    },
+    txt: { color: colors.text, fontSize: 14 },
+    txtWarning: { color: colors.warning, fontSize: 14, marginTop: 4 },
+    progressTrack: {
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: colors.button,
+      marginTop: 10,
+      overflow: "hidden",
+    },
+    progressBar: { height: 4, backgroundColor: colors.successFill },
+    hint: { color: colors.textMuted, fontSize: 12, marginTop: 4 },
+    buttonRow: { flexDirection: "row", gap: 8, marginTop: 10 },
+    button: {
+      flex: 1,
+      flexDirection: "row",
+      justifyContent: "center",
+      alignItems: "center",
+      gap: 4,
+      backgroundColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 8,
+    },
+    buttonDisabled: { opacity: 0.4 },
+    buttonText: { color: colors.text, fontSize: 15, fontWeight: "bold" },
+  });
@@ -0,0 +1,198 @@
+import * as Astronomy from "astronomy-engine";
+import { getBodyForName } from "./StarData";
+import { calculateMinorBodyPosition } from "./MinorBodyData";
+import { calculateSatellitePosition, findNextPass } from "./SatelliteData";
+import { getSimulatedDate } from "./SimulationClock";
+
+// 지평선 기준 고도 구간 (태양 고도, 도)
+export const TWILIGHT_LEVELS = [
+  { key: "day", minAlt: -0.833 },
+  { key: "civil", minAlt: -6 },
+  { key: "nautical", minAlt: -12 },
+  { key: "astronomical", minAlt: -18 },
+  { key: "night", minAlt: -90 },
+];
+
+// 고도 그래프 샘플 간격 (분)
+const CURVE_STEP_MINUTES = 10;
+
+// 항성 카탈로그 거리(파섹) → 광년, 모르면 충분히 먼 거리로
+const PARSEC_TO_LY = 3.26156;
+const toLightYears = (dist) => (dist > 0 ? dist * PARSEC_TO_LY : 1000);
+
+// 선택된 천체 → astronomy-engine 탐색 함수에 넘길 Body
+//  - 태양·달·행성: 그대로
+//  - 행성의 위성: 모행성 (뜨고 지는 시각은 사실상 같음)
+//  - 항성·별자리·딥스카이: 사용자 정의 항성 Star1 (J2000)
+//  - 소행성·혜성: 주어진 시각의 J2000 위치로 고정한 Star2 (하루 동안의 이동은 무시)
+const resolveSearchBody = (target, observer, date) => {
+  if (target.isSolarSystemBody) {
+    const body = getBodyForName(target.parent || target.name);
+    if (body) return body;
+
+    const minor = calculateMinorBodyPosition(target.id, observer, date, false);
+    if (!minor) return null;
+    // 시차는 출몰 시각에 영향이 거의 없으므로 먼 거리로 둠
+    Astronomy.DefineStar(Astronomy.Body.Star2, minor.ra, minor.dec, 1000);
+    return Astronomy.Body.Star2;
+  }
+
+  Astronomy.DefineStar(
+    Astronomy.Body.Star1,
+    target.ra,
+    target.dec,
+    toLightYears(target.dist)
+  );
+  return Astronomy.Body.Star1;
+};
+
+const toDate = (time) => (time ? time.date : null);
+
+// 천체의 현재 고도와 다음 뜨는/남중/지는 시각
+// 인공위성은 SGP4 로 다음 통과(pass)를 찾음
+// 반환: { alt, isUp, rise, transit, transitAlt, set, circumpolar, neverRises }
+export const calculateRiseTransitSet = (
+  target,
+  observer,
+  date = getSimulatedDate()
+) => {
+  if (!target || !observer) return null;
+
+  try {
+    if (target.isSatellite) {
+      const position = calculateSatellitePosition(target.id, observer, date);
+      const pass = findNextPass(target.id, observer, date);
+      return {
+        alt: position ? position.alt : null,
+        isUp: position ? position.alt > 0 : false,
+        rise: pass?.rise || null,
+        transit: pass?.culmination || null,
+        transitAlt: pass?.maxAlt ?? null,
+        set: pass?.set || null,
+        circumpolar: false,
+        neverRises: !pass,
+      };
+    }
+
+    const body = resolveSearchBody(target, observer, date);
+    if (!body) return null;
+
+    const equ = Astronomy.Equator(body, date, observer, true, true);
+    const hor = Astronomy.Horizon(date, observer, equ.ra, equ.dec, "normal");
+    const rise = Astronomy.SearchRiseSet(body, observer, +1, date, 1);
+    const set = Astronomy.SearchRiseSet(body, observer, -1, date, 1);
+    const transit = Astronomy.SearchHourAngle(body, observer, 0, date, +1);
+
+    const isUp = hor.altitude > 0;
+    return {
+      alt: hor.altitude,
+      isUp,
+      rise: toDate(rise),
+      transit: transit.time.date,
+      transitAlt: transit.hor.altitude,
+      set: toDate(set),
+      // 하루 안에 뜨고 지지 않으면 항상 떠 있거나 항상 지평선 아래
+      circumpolar: !rise && !set && isUp,
+      neverRises: !rise && !set && !isUp,
+    };
+  } catch (error) {
+    console.error("출몰 시각 계산 중 오류:", error);
+    return null;
+  }
+};
+
+// 태양 고도 → 박명 구간 키 (TWILIGHT_LEVELS)
+export const twilightLevel = (sunAlt) =>
+  TWILIGHT_LEVELS.find((level) => sunAlt >= level.minAlt).key;
+
+// 주어진 시각이 속한 밤 (남중한 태양 → 다음 남중)
+export const getNightWindow = (observer, date = getSimulatedDate()) => {
+  const noon = Astronomy.SearchHourAngle(
+    Astronomy.Body.Sun,
+    observer,
+    0,
+    Astronomy.MakeTime(date).AddDays(-1),
+    +1
+  );
+  let start = noon.time;
+  const next = Astronomy.SearchHourAngle(
+    Astronomy.Body.Sun,
+    observer,
+    0,
+    start.AddDays(0.01),
+    +1
+  ).time;
+  if (next.date <= date) start = next;
+  return { start: start.date, end: start.AddDays(1).date };
+};
+
+// 밤 동안의 천체 고도 곡선 + 태양 고도 (박명 음영용)
+// 반환: [{ date, alt, sunAlt, twilight }]
+export const calculateAltitudeCurve = (
+  target,
+  observer,
+  date = getSimulatedDate(),
+  stepMinutes = CURVE_STEP_MINUTES
+) => {
+  if (!target || !observer) return [];
+
+  try {
+    const { start, end } = getNightWindow(observer, date);
+    const body = target.isSatellite
+      ? null
+      : resolveSearchBody(target, observer, date);
+    if (!target.isSatellite && !body) return [];
+
+    const points = [];
+    for (
+      let t = start.getTime();
+      t <= end.getTime();
+      t += stepMinutes * 60000
+    ) {
+      const time = new Date(t);
+      let alt = null;
+      if (target.isSatellite) {
+        const position = calculateSatellitePosition(target.id, observer, time);
+        alt = position ? position.alt : null;
+      } else {
+        const equ = Astronomy.Equator(body, time, observer, true, true);
+        alt = Astronomy.Horizon(
+          time,
+          observer,
+          equ.ra,
+          equ.dec,
+          "normal"
+        ).altitude;
+      }
+
+      const sunEqu = Astronomy.Equator(
+        Astronomy.Body.Sun,
+        time,
+        observer,
+        true,
+        true
+      );
+      const sunAlt = Astronomy.Horizon(
+        time,
+        observer,
+        sunEqu.ra,
+        sunEqu.dec,
+        "normal"
+      ).altitude;
+
+      points.push({ date: time, alt, sunAlt, twilight: twilightLevel(sunAlt) });
+    }
+    return points;
+  } catch (error) {
+    console.error("고도 곡선 계산 중 오류:", error);
+    return [];
+  }
+};
+
+export default {
+  TWILIGHT_LEVELS,
+  calculateRiseTransitSet,
+  twilightLevel,
+  getNightWindow,
+  calculateAltitudeCurve,
+};
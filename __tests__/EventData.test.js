@@ -0,0 +1,53 @@
+import * as Astronomy from "astronomy-engine";
+import { searchEvents, startEventSearch } from "../EventData";
+
+const SEOUL = new Astronomy.Observer(37.57, 126.98, 38);
+const START = new Date("2026-10-19T12:00:00Z");
+const DAYS = 60;
+
+const ids = (events) => events.map((event) => event.id);
+
+describe("startEventSearch", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("나눠 계산해도 searchEvents 와 같은 결과", () => {
+    const onDone = jest.fn();
+    startEventSearch(SEOUL, { start: START, days: DAYS, onDone });
+    expect(onDone).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(onDone.mock.calls[0][0].length).toBeGreaterThan(0);
+    expect(ids(onDone.mock.calls[0][0])).toEqual(
+      ids(searchEvents(SEOUL, START, DAYS))
+    );
+  });
+
+  test("같은 관측지·날짜는 캐시에서 바로", () => {
+    const first = jest.fn();
+    startEventSearch(SEOUL, { start: START, days: DAYS, onDone: first });
+    jest.runAllTimers();
+
+    const second = jest.fn();
+    startEventSearch(SEOUL, {
+      start: new Date(START.getTime() + 3600000),
+      days: DAYS,
+      onDone: second,
+    });
+    expect(second).toHaveBeenCalledWith(first.mock.calls[0][0]);
+  });
+
+  test("중단하면 결과를 알리지 않음", () => {
+    const onDone = jest.fn();
+    const search = startEventSearch(SEOUL, {
+      start: START,
+      days: DAYS + 1,
+      onDone,
+    });
+    jest.advanceTimersToNextTimer();
+    search.stop();
+    jest.runAllTimers();
+    expect(onDone).not.toHaveBeenCalled();
+  });
+});
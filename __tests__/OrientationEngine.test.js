@@ -0,0 +1,303 @@
+import {
+  createOrientationEngine,
+  quaternionToEuler,
+  remapAxes,
+  rotationFromScreenOrientation,
+  slerp,
+  SCREEN_ROTATIONS,
+} from "../OrientationEngine";
+
+const DEG2RAD = Math.PI / 180;
+const DT = 0.05;
+
+/*-------------- 합성 센서 데이터 -------------- */
+// NED 좌표계 (북, 동, 아래) 벡터 연산
+const scale = (v, s) => v.map((c) => c * s);
+const add = (a, b) => a.map((c, i) => c + b[i]);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// 방위각·고도 → NED 단위 벡터
+const direction = (az, alt) => [
+  Math.cos(alt * DEG2RAD) * Math.cos(az * DEG2RAD),
+  Math.cos(alt * DEG2RAD) * Math.sin(az * DEG2RAD),
+  -Math.sin(alt * DEG2RAD),
+];
+
+// 중력 방향 (Expo 가속도 센서는 중력 방향을 g 단위로 보고)과 복각 60° 지구 자기장 (µT)
+const GRAVITY = [0, 0, 1];
+const MAGNETIC_FIELD = scale(
+  [Math.cos(60 * DEG2RAD), 0, Math.sin(60 * DEG2RAD)],
+  45
+);
+
+// 카메라 방향·보이는 화면의 오른쪽·위쪽 (roll 양수 = 화면 오른쪽이 아래로)
+const viewAxes = (az, alt, roll) => {
+  const camera = direction(az, alt);
+  const up = direction(az, alt + 90);
+  const right = direction(az + 90, 0);
+  const c = Math.cos(roll * DEG2RAD);
+  const s = Math.sin(roll * DEG2RAD);
+  return {
+    camera,
+    right: add(scale(right, c), scale(up, -s)),
+    up: add(scale(up, c), scale(right, s)),
+  };
+};
+
+// 화면 회전별 Expo 센서 축 (x 기기 오른쪽, y 기기 위쪽, z 화면 밖)
+const deviceAxes = ({ camera, right, up }, rotation) => {
+  const z = scale(camera, -1);
+  switch (rotation) {
+    case 90: // 기기 위쪽이 왼편
+      return { x: up, y: scale(right, -1), z };
+    case 180:
+      return { x: scale(right, -1), y: scale(up, -1), z };
+    case 270: // 기기 위쪽이 오른편
+      return { x: scale(up, -1), y: right, z };
+    default:
+      return { x: right, y: up, z };
+  }
+};
+
+// 주어진 자세로 가만히 든 기기의 센서 샘플
+const stillSample = (pose, rotation) => {
+  const axes = deviceAxes(viewAxes(pose.az, pose.alt, pose.roll), rotation);
+  const read = (v) => ({
+    x: dot(v, axes.x),
+    y: dot(v, axes.y),
+    z: dot(v, axes.z),
+  });
+  return {
+    accel: read(GRAVITY),
+    gyro: { x: 0, y: 0, z: 0 },
+    mag: read(MAGNETIC_FIELD),
+  };
+};
+
+const feed = (engine, sample, count) => {
+  let result = null;
+  for (let i = 0; i < count; i++) result = engine.update(sample, DT);
+  return result;
+};
+
+/*-------------- 비교 도우미 -------------- */
+// ZYX 오일러 각 (도) → 쿼터니언
+const eulerToQuaternion = (heading, pitch, roll) => {
+  const [cy, sy] = [
+    Math.cos(heading * DEG2RAD * 0.5),
+    Math.sin(heading * DEG2RAD * 0.5),
+  ];
+  const [cp, sp] = [
+    Math.cos(pitch * DEG2RAD * 0.5),
+    Math.sin(pitch * DEG2RAD * 0.5),
+  ];
+  const [cr, sr] = [
+    Math.cos(roll * DEG2RAD * 0.5),
+    Math.sin(roll * DEG2RAD * 0.5),
+  ];
+  return {
+    w: cr * cp * cy + sr * sp * sy,
+    x: sr * cp * cy - cr * sp * sy,
+    y: cr * sp * cy + sr * cp * sy,
+    z: cr * cp * sy - sr * sp * cy,
+  };
+};
+
+// 두 자세 사이 회전각 (도)
+const quaternionAngle = (a, b) => {
+  const d = Math.abs(a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z);
+  return (2 * Math.acos(Math.min(1, d))) / DEG2RAD;
+};
+
+const angleDiff = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return Math.min(diff, 360 - diff);
+};
+
+// Madgwick 경사 하강 단계가 정규화되어 있어 정지 상태에서도 beta·dt 정도 떨림
+const TOLERANCE_DEG = 1;
+
+const POSES = [
+  { az: 30, alt: 20, roll: 10 },
+  { az: 200, alt: -15, roll: -25 },
+  { az: 115, alt: 55, roll: 40 },
+];
+
+/*-------------- 화면 회전별 자세 -------------- */
+describe("화면 회전별 자세 추정", () => {
+  describe.each(SCREEN_ROTATIONS)("회전 %i°", (rotation) => {
+    test.each(POSES)(
+      "방위각 $az°, 고도 $alt°, 회전각 $roll°",
+      ({ az, alt, roll }) => {
+        const engine = createOrientationEngine({ rotation, smoothingMs: 0 });
+        const result = feed(
+          engine,
+          stillSample({ az, alt, roll }, rotation),
+          200
+        );
+
+        expect(angleDiff(result.az, az)).toBeLessThan(TOLERANCE_DEG);
+        expect(Math.abs(result.alt - alt)).toBeLessThan(TOLERANCE_DEG);
+        expect(angleDiff(result.roll, roll)).toBeLessThan(TOLERANCE_DEG);
+        expect(
+          quaternionAngle(result.quaternion, eulerToQuaternion(az, alt, roll))
+        ).toBeLessThan(TOLERANCE_DEG);
+      }
+    );
+  });
+
+  test("같은 자세는 화면 회전과 상관없이 같은 쿼터니언", () => {
+    const pose = POSES[0];
+    const quaternions = SCREEN_ROTATIONS.map((rotation) => {
+      const engine = createOrientationEngine({ rotation, smoothingMs: 0 });
+      return feed(engine, stillSample(pose, rotation), 200).quaternion;
+    });
+    quaternions.forEach((q) => {
+      expect(quaternionAngle(q, quaternions[0])).toBeLessThan(1e-4);
+    });
+  });
+
+  test("편각은 방위각만 진북 기준으로 바꿈", () => {
+    const pose = POSES[1];
+    const sample = stillSample(pose, 0);
+    const magnetic = feed(
+      createOrientationEngine({ smoothingMs: 0 }),
+      sample,
+      200
+    );
+    const engine = createOrientationEngine({ smoothingMs: 0, declination: -8 });
+    const trueNorth = feed(engine, sample, 200);
+
+    expect(angleDiff(trueNorth.az, magnetic.az - 8)).toBeLessThan(1e-9);
+    expect(trueNorth.alt).toBeCloseTo(magnetic.alt, 9);
+    expect(
+      quaternionAngle(trueNorth.quaternion, magnetic.quaternion)
+    ).toBeLessThan(1e-4);
+  });
+
+  test("화면 회전을 바꾸면 필터를 새로 시작", () => {
+    const engine = createOrientationEngine({ smoothingMs: 0 });
+    feed(engine, stillSample(POSES[0], 0), 50);
+    engine.setRotation(90);
+
+    expect(engine.getState()).toBeNull();
+    const result = feed(engine, stillSample(POSES[0], 90), 200);
+    expect(angleDiff(result.az, POSES[0].az)).toBeLessThan(TOLERANCE_DEG);
+  });
+
+  test("센서 값이 하나라도 없으면 null", () => {
+    const engine = createOrientationEngine();
+    const { accel, gyro } = stillSample(POSES[0], 0);
+    expect(engine.update({ accel, gyro, mag: null }, DT)).toBeNull();
+  });
+});
+
+/*-------------- 축 변환 -------------- */
+describe("remapAxes", () => {
+  test("세로 화면: 카메라 = -z, 화면 오른쪽 = x, 화면 아래 = -y", () => {
+    expect(remapAxes({ x: 1, y: 2, z: 3 }, 0)).toEqual([-3, 1, -2]);
+  });
+
+  test("expo-screen-orientation 값 → 화면 회전", () => {
+    expect(rotationFromScreenOrientation(1)).toBe(0);
+    expect(rotationFromScreenOrientation(2)).toBe(180);
+    expect(rotationFromScreenOrientation(3)).toBe(270);
+    expect(rotationFromScreenOrientation(4)).toBe(90);
+    expect(rotationFromScreenOrientation(undefined)).toBe(0);
+  });
+});
+
+/*-------------- SLERP 평활화 -------------- */
+describe("slerp", () => {
+  const identity = { w: 1, x: 0, y: 0, z: 0 };
+  const yaw90 = eulerToQuaternion(90, 0, 0);
+
+  test("양 끝과 중간", () => {
+    expect(quaternionAngle(slerp(identity, yaw90, 0), identity)).toBeLessThan(
+      1e-6
+    );
+    expect(quaternionAngle(slerp(identity, yaw90, 1), yaw90)).toBeLessThan(
+      1e-6
+    );
+    expect(quaternionToEuler(slerp(identity, yaw90, 0.5)).heading).toBeCloseTo(
+      45,
+      6
+    );
+  });
+
+  test("q 와 -q 중 가까운 쪽으로 보간", () => {
+    const negated = { w: -yaw90.w, x: -yaw90.x, y: -yaw90.y, z: -yaw90.z };
+    expect(
+      quaternionToEuler(slerp(identity, negated, 0.5)).heading
+    ).toBeCloseTo(45, 6);
+  });
+
+  test("거의 같은 두 자세는 선형 보간 후 정규화", () => {
+    const near = eulerToQuaternion(0.01, 0, 0);
+    const q = slerp(identity, near, 0.5);
+    expect(Math.hypot(q.w, q.x, q.y, q.z)).toBeCloseTo(1, 12);
+    expect(quaternionToEuler(q).heading).toBeCloseTo(0.005, 6);
+  });
+});
+
+describe("쿼터니언 평활화", () => {
+  // 오른쪽으로 20° 돌림
+  const target = { ...POSES[0], az: POSES[0].az + 20 };
+  const from = stillSample(POSES[0], 0);
+  const to = stillSample(target, 0);
+
+  // 같은 샘플을 평활화 없는 엔진과 평활화 엔진에 함께 넣음
+  const runPair = (smoothingOptions) => {
+    const raw = createOrientationEngine({ smoothingMs: 0 });
+    const smoothed = createOrientationEngine(smoothingOptions);
+    const steps = [];
+    for (const sample of [...Array(100).fill(from), ...Array(100).fill(to)]) {
+      steps.push({
+        raw: raw.update(sample, DT).quaternion,
+        smoothed: smoothed.update(sample, DT).quaternion,
+      });
+    }
+    return steps;
+  };
+
+  test("고정 시간 상수: 매 샘플 slerp(이전, 필터 출력, 1 - e^(-dt/τ))", () => {
+    const steps = runPair({ smoothingMs: 150, adaptive: false });
+    const alpha = 1 - Math.exp(-DT / 0.15);
+
+    expect(quaternionAngle(steps[0].smoothed, steps[0].raw)).toBeLessThan(1e-4);
+    for (let i = 1; i < steps.length; i++) {
+      const expected = slerp(steps[i - 1].smoothed, steps[i].raw, alpha);
+      expect(quaternionAngle(steps[i].smoothed, expected)).toBeLessThan(1e-4);
+    }
+  });
+
+  test("자세가 바뀌면 뒤따라가다 수렴", () => {
+    const steps = runPair({ smoothingMs: 150, adaptive: false });
+    const q = eulerToQuaternion(target.az, target.alt, target.roll);
+    const moving = steps[105];
+
+    expect(quaternionAngle(moving.smoothed, q)).toBeGreaterThan(
+      quaternionAngle(moving.raw, q) + TOLERANCE_DEG
+    );
+    expect(quaternionAngle(steps[199].smoothed, q)).toBeLessThan(TOLERANCE_DEG);
+  });
+
+  test("적응형은 빠르게 움직일 때 지연이 더 작음", () => {
+    const fixed = runPair({ smoothingMs: 150, adaptive: false });
+    const adaptive = runPair({ smoothingMs: 150, adaptive: true });
+    const lag = ({ raw, smoothed }) => quaternionAngle(raw, smoothed);
+
+    expect(lag(adaptive[105])).toBeLessThan(lag(fixed[105]));
+  });
+
+  test("changeThreshold 이하 변화는 changed = false", () => {
+    const engine = createOrientationEngine({
+      smoothingMs: 0,
+      changeThreshold: 5,
+    });
+    const sample = stillSample(POSES[0], 0);
+    expect(engine.update(sample, DT).changed).toBe(true);
+    feed(engine, sample, 200);
+    expect(engine.update(sample, DT).changed).toBe(false);
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  getChoseong,
+  normalizeText,
+  parseDesignation,
+  scoreMatch,
+} from "../SearchData";
+
+/*-------------- 문자열 처리 -------------- */
+describe("normalizeText / getChoseong", () => {
+  test("악센트·공백·구두점 제거", () => {
+    expect(normalizeText("Rigil Kentaurus")).toBe("rigilkentaurus");
+    expect(normalizeText("Alnitak-é")).toBe("alnitake");
+  });
+
+  test("한글 음절 → 초성", () => {
+    expect(getChoseong("북극성")).toBe("ㅂㄱㅅ");
+    expect(getChoseong("M31 안드로메다")).toBe("M31 ㅇㄷㄹㅁㄷ");
+  });
+});
+
+/*-------------- 일치 점수 -------------- */
+describe("scoreMatch", () => {
+  test("완전 일치 > 접두어 > 포함", () => {
+    expect(scoreMatch("Vega", ["Vega"])).toBe(1);
+    expect(scoreMatch("Bet", ["Betelgeuse"])).toBe(0.9);
+    expect(scoreMatch("geuse", ["Betelgeuse"])).toBe(0.75);
+  });
+
+  test("이웃한 두 글자가 바뀐 오타는 편집 1번", () => {
+    expect(scoreMatch("Siruis", ["Sirius"])).toBe(0.65);
+    expect(scoreMatch("Btelegeuse", ["Betelgeuse"])).toBe(0.55);
+  });
+
+  test("짧은 검색어는 오타를 허용하지 않음", () => {
+    expect(scoreMatch("Vag", ["Vega"])).toBeNull();
+  });
+
+  test("초성: 널리 쓰는 별칭은 앞부분만 맞아도 음역 이름보다 앞에", () => {
+    const polaris = scoreMatch("ㅂㄱ", ["Polaris", "폴라리스", "북극성"]);
+    const vega = scoreMatch("ㅂㄱ", ["Vega", "베가"]);
+    expect(polaris).toBeGreaterThan(vega);
+    expect(scoreMatch("ㅂㄱ", ["베가"])).toBe(0.95);
+    expect(scoreMatch("ㅂㄱ", ["불가사리 성단"])).toBe(0.85);
+  });
+});
+
+/*-------------- 카탈로그 표기 -------------- */
+describe("parseDesignation", () => {
+  const resolveConstellation = (text) =>
+    ["umi", "작은곰자리", "ursae minoris"].includes(text.toLowerCase())
+      ? { id: "UMi" }
+      : null;
+
+  test("카탈로그 번호", () => {
+    expect(parseDesignation("HR 424")).toEqual({ type: "hr", number: 424 });
+    expect(parseDesignation("hip11767")).toEqual({
+      type: "hip",
+      number: 11767,
+    });
+    expect(parseDesignation("M 31")).toEqual({ type: "messier", number: 31 });
+    expect(parseDesignation("M 111")).toBeNull();
+  });
+
+  test("바이어·플램스티드 표기", () => {
+    expect(parseDesignation("α UMi", resolveConstellation)).toEqual({
+      type: "bayer",
+      bayer: "Alp",
+      index: "",
+      con: "UMi",
+    });
+    expect(
+      parseDesignation("alpha Ursae Minoris", resolveConstellation)
+    ).toEqual({ type: "bayer", bayer: "Alp", index: "", con: "UMi" });
+    expect(parseDesignation("1 UMi", resolveConstellation)).toEqual({
+      type: "flamsteed",
+      flam: "1",
+      con: "UMi",
+    });
+  });
+});
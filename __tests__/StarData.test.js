@@ -0,0 +1,58 @@
+import * as Astronomy from "astronomy-engine";
+import { getStarByHip, searchCelestial } from "../StarData";
+
+const OBSERVER = new Astronomy.Observer(37.57, 126.98, 38);
+const DATE = new Date("2026-01-15T12:00:00Z");
+
+const search = (query) => searchCelestial(query, OBSERVER, DATE);
+
+describe("searchCelestial", () => {
+  // 번들 카탈로그(XHIP)에는 hr 열이 없어 HR 번호로는 항성을 찾지 못함
+  // --hyg 로 다시 만들면 북극성(HR 424)이 먼저 나와야 함
+  test("HR 번호", () => {
+    const { columns } = require("../assets/catalog/stars.0.json");
+    const results = search("HR 424");
+    if (columns.hr) {
+      expect(results[0].id).toBe("HIP 11767");
+      expect(results[0].matchScore).toBe(1);
+    } else {
+      expect(results.filter((result) => result.matchScore === 1)).toEqual([]);
+    }
+  });
+
+  test("HIP 번호·바이어 표기", () => {
+    expect(search("HIP 32349")[0].id).toBe("HIP 32349");
+    expect(search("α UMi")[0].id).toBe("HIP 11767");
+  });
+
+  test("글자 순서가 바뀐 오타", () => {
+    expect(search("Siruis")[0].id).toBe("HIP 32349");
+  });
+
+  test("초성 ㅂㄱ → 북극성이 베가보다 먼저", () => {
+    const ids = search("ㅂㄱ").map((result) => result.id);
+    expect(ids[0]).toBe("HIP 11767");
+    expect(ids).toContain("HIP 91262");
+  });
+
+  test("콜드웰 번호", () => {
+    expect(search("C36")[0].id).toBe("dso-NGC 4559");
+    expect(search("C 38")[0].id).toBe("dso-NGC 4565");
+  });
+
+  test("별칭", () => {
+    expect(search("직녀성")[0].id).toBe("HIP 91262");
+    expect(search("Dog Star")[0].id).toBe("HIP 32349");
+  });
+});
+
+describe("getStarByHip", () => {
+  test("카탈로그에 없는 열은 항성 객체에 넣지 않음", () => {
+    const { columns } = require("../assets/catalog/stars.0.json");
+    const star = getStarByHip(32349);
+    expect(star.name).toBe("Sirius");
+    ["hr", "dist", "pmra", "pmdec", "spect"].forEach((key) => {
+      expect(key in star).toBe(Boolean(columns[key]));
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import * as Astronomy from "astronomy-engine";
+import { describeDarkSky, getSunMoonStatus } from "../SunMoonData";
+
+const SEOUL = new Astronomy.Observer(37.57, 126.98, 38);
+
+const formatTime = (date) => date.toISOString();
+
+describe("getSunMoonStatus", () => {
+  test("밤에는 지금 어둡고 새벽 박명 시작까지", () => {
+    // 01:00 KST
+    const date = new Date("2026-06-21T16:00:00Z");
+    const status = getSunMoonStatus(SEOUL, date);
+    expect(status.isDark).toBe(true);
+    expect(status.darkStart < date).toBe(true);
+    expect(status.darkEnd > date).toBe(true);
+  });
+
+  test("새벽 박명 중에는 다음 밤의 어두운 하늘", () => {
+    // 04:30 KST - 항해 박명
+    const date = new Date("2026-06-21T19:30:00Z");
+    const status = getSunMoonStatus(SEOUL, date);
+    expect(status.isDark).toBe(false);
+    expect(status.sun.twilight).toBe("nautical");
+    expect(status.darkStart > date).toBe(true);
+    expect(status.darkEnd > status.darkStart).toBe(true);
+    expect(describeDarkSky(status, formatTime)).toContain(
+      formatTime(status.darkStart)
+    );
+  });
+
+  test("해가 진 뒤 박명 중에는 오늘 밤의 어두운 하늘", () => {
+    // 20:30 KST - 시민·항해 박명
+    const date = new Date("2026-06-21T11:30:00Z");
+    const status = getSunMoonStatus(SEOUL, date);
+    expect(status.isDark).toBe(false);
+    expect(status.darkStart > date).toBe(true);
+    expect(status.darkStart - date).toBeLessThan(3 * 3600 * 1000);
+  });
+});
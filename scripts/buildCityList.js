@@ -0,0 +1,98 @@
+// 위치 직접 입력용 오프라인 도시 목록을 만드는 스크립트
+//
+// 사용법:
+//   node scripts/buildCityList.js --cities cityMap.json [--min-pop 300000]
+//
+// --cities  : city-timezones 패키지의 data/cityMap.json (Natural Earth 기반 도시 목록)
+// --min-pop : 이 인구 이상인 도시만 포함 (한국 도시는 인구와 관계없이 모두 포함)
+//
+// 출력: assets/cities.json
+//   cities: [이름, 한글 이름, 국가 코드(ISO2), 위도, 경도] 배열, 인구 많은 순
+const fs = require("fs");
+const path = require("path");
+
+const OUT_FILE = path.join(__dirname, "..", "assets", "cities.json");
+
+// 한국 도시 한글 이름
+const KOREAN_NAMES = {
+  Seoul: "서울",
+  Busan: "부산",
+  Incheon: "인천",
+  Daegu: "대구",
+  Daejeon: "대전",
+  Gwangju: "광주",
+  Ulsan: "울산",
+  Suwon: "수원",
+  Changwon: "창원",
+  Songnam: "성남",
+  Goyang: "고양",
+  "Puch'on": "부천",
+  Cheongju: "청주",
+  Ansan: "안산",
+  Jeonju: "전주",
+  Pohang: "포항",
+  Jeju: "제주",
+  Yeosu: "여수",
+  Mokpo: "목포",
+  Iksan: "익산",
+  Gunsan: "군산",
+  Wonju: "원주",
+  Chuncheon: "춘천",
+  Gangneung: "강릉",
+  Gyeongju: "경주",
+  Andong: "안동",
+  Sokcho: "속초",
+  Eumseong: "음성",
+  Tokyo: "도쿄",
+  Osaka: "오사카",
+  Beijing: "베이징",
+  Shanghai: "상하이",
+  Pyongyang: "평양",
+  "New York": "뉴욕",
+  London: "런던",
+  Paris: "파리",
+};
+
+/*-------------- 인자 처리 -------------- */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const round = (value) => Math.round(value * 1e4) / 1e4;
+
+const build = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.cities) {
+    console.error("--cities (cityMap.json) 입력 파일이 필요합니다");
+    process.exit(1);
+  }
+  const minPop = Number(args["min-pop"] || 300000);
+
+  const source = JSON.parse(fs.readFileSync(args.cities, "utf8"));
+  // 같은 이름의 도시가 여럿이면 한글 이름은 인구가 가장 많은 곳에만
+  const named = new Set();
+  const cities = source
+    .filter((c) => c.iso2 === "KR" || c.pop >= minPop)
+    .sort((a, b) => b.pop - a.pop)
+    .map((c) => {
+      const ko = named.has(c.city) ? "" : KOREAN_NAMES[c.city] || "";
+      if (ko) named.add(c.city);
+      return [c.city_ascii || c.city, ko, c.iso2, round(c.lat), round(c.lng)];
+    });
+
+  fs.writeFileSync(
+    OUT_FILE,
+    JSON.stringify({
+      version: 1,
+      source: "city-timezones (Natural Earth populated places)",
+      cities,
+    })
+  );
+  console.log(`도시 ${cities.length}개 저장 완료`);
+};
+
+build();
@@ -0,0 +1,181 @@
+// 별자리 선(stick figure)·IAU 경계·이름 데이터를 앱 번들용 JSON으로 변환하는 스크립트
+//
+// 사용법:
+//   node scripts/buildConstellations.js --data <d3-celestial data 디렉터리>
+//
+// 입력 (d3-celestial data/):
+//   constellations.json        : 별자리 이름(다국어)과 이름 표시 위치
+//   constellations.lines.json  : 별자리 선 (꼭짓점 좌표)
+//   constellations.bounds.json : IAU 경계 (J2000 다각형)
+//
+// 별자리 선의 꼭짓점은 assets/catalog 의 항성과 대조해 HIP 번호로 저장하므로
+// buildStarCatalog.js 를 먼저 실행해야 한다
+//
+// 출력: assets/constellations.json
+const fs = require("fs");
+const path = require("path");
+
+const ASSETS_DIR = path.join(__dirname, "..", "assets");
+const CATALOG_DIR = path.join(ASSETS_DIR, "catalog");
+
+// 꼭짓점과 항성 위치가 이 각도(도) 이내면 같은 별로 본다
+const MATCH_TOLERANCE = 0.2;
+
+// 경계선 한 변을 이 간격(도) 이하로 나눔 (화면에서 곡선으로 보이도록)
+const BOUNDARY_STEP = 2;
+
+/*-------------- 인자 처리 -------------- */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// d3-celestial 좌표 [경도(-180~180°), 적위] → [적경(시), 적위]
+const toRaDec = ([lon, lat]) => [
+  Math.round((((lon + 360) % 360) / 15) * 1e4) / 1e4,
+  Math.round(lat * 1e3) / 1e3,
+];
+
+/*-------------- 항성 카탈로그 (HIP 대조용) -------------- */
+const readCatalogStars = () => {
+  const index = readJson(path.join(CATALOG_DIR, "index.json"));
+  const stars = [];
+  // 별자리 선에 쓰이는 별은 모두 첫 두 구간(8등급 이하)에 있음
+  [0, 1].forEach((tier) => {
+    const { count, columns } = readJson(
+      path.join(CATALOG_DIR, `stars.${tier}.json`)
+    );
+    for (let row = 0; row < count; row++) {
+      if (!columns.hip[row]) continue;
+      stars.push({
+        hip: columns.hip[row],
+        ra: columns.ra[row] / index.scale.ra,
+        dec: columns.dec[row] / index.scale.dec,
+        mag: columns.mag[row] / index.scale.mag,
+      });
+    }
+  });
+  return stars;
+};
+
+const angularDistance = (ra1, dec1, ra2, dec2) => {
+  const d2r = Math.PI / 180;
+  const cos =
+    Math.sin(dec1 * d2r) * Math.sin(dec2 * d2r) +
+    Math.cos(dec1 * d2r) *
+      Math.cos(dec2 * d2r) *
+      Math.cos((ra1 - ra2) * 15 * d2r);
+  return Math.acos(Math.min(1, Math.max(-1, cos))) / d2r;
+};
+
+// 꼭짓점 좌표와 가장 가까운 (같으면 밝은) 항성의 HIP 번호
+const matchHip = (stars, [ra, dec]) => {
+  let best = null;
+  let bestDist = MATCH_TOLERANCE;
+  stars.forEach((star) => {
+    if (Math.abs(star.dec - dec) > MATCH_TOLERANCE) return;
+    const dist = angularDistance(ra, dec, star.ra, star.dec);
+    if (dist < bestDist || (dist === bestDist && star.mag < best.mag)) {
+      best = star;
+      bestDist = dist;
+    }
+  });
+  return best ? best.hip : null;
+};
+
+/*-------------- IAU 경계 -------------- */
+// 경계 다각형의 변을 잘게 나눔 (적경 0h 를 넘는 변 처리 포함)
+const densifyRing = (ring) => {
+  const points = [];
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    let dLon = lon2 - lon1;
+    if (dLon > 180) dLon -= 360;
+    if (dLon < -180) dLon += 360;
+    const steps = Math.max(
+      1,
+      Math.ceil(Math.max(Math.abs(dLon), Math.abs(lat2 - lat1)) / BOUNDARY_STEP)
+    );
+    for (let s = 0; s < steps; s++) {
+      points.push(
+        toRaDec([lon1 + (dLon * s) / steps, lat1 + ((lat2 - lat1) * s) / steps])
+      );
+    }
+  }
+  points.push(points[0]);
+  return points;
+};
+
+const build = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.data) {
+    console.error("--data (d3-celestial data 디렉터리)가 필요합니다");
+    process.exit(1);
+  }
+
+  const names = readJson(path.join(args.data, "constellations.json"));
+  const lines = readJson(path.join(args.data, "constellations.lines.json"));
+  const bounds = readJson(path.join(args.data, "constellations.bounds.json"));
+  const stars = readCatalogStars();
+
+  const byId = new Map();
+  // 뱀자리(Ser)는 머리·꼬리 두 부분으로 나뉘어 있으므로 하나로 합침
+  names.features.forEach((feature) => {
+    if (byId.has(feature.id)) return;
+    const props = feature.properties;
+    byId.set(feature.id, {
+      id: feature.id,
+      name: feature.id === "Ser" ? "Serpens" : props.name,
+      genitive: props.gen,
+      ko: props.ko,
+      rank: Number(props.rank),
+      center: toRaDec(feature.geometry.coordinates),
+      lines: [],
+      bounds: [],
+    });
+  });
+
+  let unmatched = 0;
+  lines.features.forEach((feature) => {
+    const con = byId.get(feature.id);
+    feature.geometry.coordinates.forEach((polyline) => {
+      const hips = polyline.map((point) => matchHip(stars, toRaDec(point)));
+      unmatched += hips.filter((hip) => hip === null).length;
+      // 대조에 실패한 꼭짓점에서 선을 끊음
+      let current = [];
+      hips.forEach((hip) => {
+        if (hip === null) {
+          if (current.length > 1) con.lines.push(current);
+          current = [];
+        } else {
+          current.push(hip);
+        }
+      });
+      if (current.length > 1) con.lines.push(current);
+    });
+  });
+
+  bounds.features.forEach((feature) => {
+    const con = byId.get(feature.id);
+    feature.geometry.coordinates.forEach((ring) =>
+      con.bounds.push(densifyRing(ring))
+    );
+  });
+
+  const constellations = [...byId.values()];
+  fs.writeFileSync(
+    path.join(ASSETS_DIR, "constellations.json"),
+    JSON.stringify({ version: 1, constellations })
+  );
+  console.log(
+    `별자리 ${constellations.length}개 저장 완료 (대조 실패 꼭짓점 ${unmatched}개)`
+  );
+};
+
+build();
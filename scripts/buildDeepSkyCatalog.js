@@ -0,0 +1,334 @@
+// 딥스카이 천체(메시에·NGC·IC·콜드웰) 목록을 앱 번들용 JSON으로 변환하는 스크립트
+//
+// 사용법:
+//   node scripts/buildDeepSkyCatalog.js --data <d3-celestial data 디렉터리> [--limit 12]
+//
+// 입력 (d3-celestial data/):
+//   dsos.14.json  : 14등급까지의 딥스카이 천체 (종류, 등급, 크기)
+//   messier.json  : 메시에 목록 (dsos.14.json 에 없는 천체 보충용)
+//   dsonames.json : 천체 이름 (다국어)
+//
+// NGC·IC 천체는 --limit 등급보다 밝거나 이름이 있는 것만, 메시에·콜드웰 천체는 모두 저장
+//
+// 출력: assets/deepsky.json
+const fs = require("fs");
+const path = require("path");
+
+const ASSETS_DIR = path.join(__dirname, "..", "assets");
+
+const DEFAULT_LIMIT = 12;
+
+// 콜드웰 번호 → 대응 천체 (d3-celestial 표기)
+const CALDWELL = {
+  1: ["NGC 188"],
+  2: ["NGC 40"],
+  3: ["NGC 4236"],
+  4: ["NGC 7023"],
+  5: ["IC 342"],
+  6: ["NGC 6543"],
+  7: ["NGC 2403"],
+  8: ["NGC 559"],
+  9: ["C 9"],
+  10: ["NGC 663"],
+  11: ["NGC 7635"],
+  12: ["NGC 6946"],
+  13: ["NGC 457"],
+  14: ["NGC 869", "NGC 884"],
+  15: ["NGC 6826"],
+  16: ["NGC 7243"],
+  17: ["NGC 147"],
+  18: ["NGC 185"],
+  19: ["IC 5146"],
+  20: ["NGC 7000"],
+  21: ["NGC 4449"],
+  22: ["NGC 7662"],
+  23: ["NGC 891"],
+  24: ["NGC 1275"],
+  25: ["NGC 2419"],
+  26: ["NGC 4244"],
+  27: ["NGC 6888"],
+  28: ["NGC 752"],
+  29: ["NGC 5005"],
+  30: ["NGC 7331"],
+  31: ["IC 405"],
+  32: ["NGC 4631"],
+  33: ["NGC 6992"],
+  34: ["NGC 6960"],
+  35: ["NGC 4889"],
+  36: ["NGC 4559"],
+  37: ["NGC 6885"],
+  38: ["NGC 4565"],
+  39: ["NGC 2392"],
+  40: ["NGC 3626"],
+  41: ["C 41"],
+  42: ["NGC 7006"],
+  43: ["NGC 7814"],
+  44: ["NGC 7479"],
+  45: ["NGC 5248"],
+  46: ["NGC 2261"],
+  47: ["NGC 6934"],
+  48: ["NGC 2775"],
+  49: ["Sh2 275"], // 장미 성운 (NGC 2237 은 그 일부)
+  50: ["NGC 2244"],
+  51: ["IC 1613"],
+  52: ["NGC 4697"],
+  53: ["NGC 3115"],
+  54: ["NGC 2506"],
+  55: ["NGC 7009"],
+  56: ["NGC 246"],
+  57: ["NGC 6822"],
+  58: ["NGC 2360"],
+  59: ["NGC 3242"],
+  60: ["NGC 4038"],
+  61: ["NGC 4039"],
+  62: ["NGC 247"],
+  63: ["NGC 7293"],
+  64: ["NGC 2362"],
+  65: ["NGC 253"],
+  66: ["NGC 5694"],
+  67: ["NGC 1097"],
+  68: ["NGC 6729"],
+  69: ["NGC 6302"],
+  70: ["NGC 300"],
+  71: ["NGC 2477"],
+  72: ["NGC 55"],
+  73: ["NGC 1851"],
+  74: ["NGC 3132"],
+  75: ["NGC 6124"],
+  76: ["NGC 6231"],
+  77: ["NGC 5128"],
+  78: ["NGC 6541"],
+  79: ["NGC 3201"],
+  80: ["NGC 5139"],
+  81: ["NGC 6352"],
+  82: ["NGC 6193"],
+  83: ["NGC 4945"],
+  84: ["NGC 5286"],
+  85: ["IC 2391"],
+  86: ["NGC 6397"],
+  87: ["NGC 1261"],
+  88: ["NGC 5823"],
+  89: ["NGC 6087"],
+  90: ["NGC 2867"],
+  91: ["NGC 3532"],
+  92: ["NGC 3372"],
+  93: ["NGC 6752"],
+  94: ["NGC 4755"],
+  95: ["NGC 6025"],
+  96: ["NGC 2516"],
+  97: ["NGC 3766"],
+  98: ["NGC 4609"],
+  99: ["C 99"],
+  100: ["IC 2944"],
+  101: ["NGC 6744"],
+  102: ["IC 2602"],
+  103: ["NGC 2070"],
+  104: ["NGC 362"],
+  105: ["NGC 4833"],
+  106: ["NGC 104"],
+  107: ["NGC 6101"],
+  108: ["NGC 4372"],
+  109: ["NGC 3195"],
+};
+
+// dsos.14.json 에 없는 콜드웰 천체 (dsos.20.json 의 같은 번호 항목은 다른 천체 값)
+// 좌표·등급·크기는 NGC/IC 프로젝트 값, 적경 시·적위 도
+const CALDWELL_FALLBACK = {
+  "NGC 4559": {
+    type: "s",
+    ra: 12.5994,
+    dec: 27.96,
+    mag: 10,
+    dim: "10.7x4.4",
+  },
+  "NGC 4565": {
+    type: "s",
+    ra: 12.6058,
+    dec: 25.988,
+    mag: 9.6,
+    dim: "15.9x1.9",
+  },
+};
+
+// dsonames.json 의 잘못된 한국어 이름 → 바른 이름
+const KO_NAME_FIXES = {
+  "석호 석운": "석호 성운",
+  "해엄치는 악어 성단": "헤엄치는 악어 성단",
+  "진주 은하": "진주 성단",
+  "페르세우스자리 X": "페르세우스자리 카이",
+  "파보 구상성단": "공작자리 구상성단",
+};
+
+/*-------------- 인자 처리 -------------- */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+// d3-celestial 좌표 [경도(-180~180°), 적위] → [적경(시), 적위]
+const toRaDec = ([lon, lat]) => [
+  Math.round((((lon + 360) % 360) / 15) * 1e4) / 1e4,
+  Math.round(lat * 1e3) / 1e3,
+];
+
+// 등급 (999 는 값 없음)
+const parseMag = (value) => {
+  const mag = Number(value);
+  return Number.isFinite(mag) && mag < 99 ? Math.round(mag * 100) / 100 : null;
+};
+
+// 크기 "장축x단축" (분) → [장축, 단축], 한 값이면 원형
+const parseSize = (dim) => {
+  const values = String(dim || "")
+    .split("x")
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value > 0);
+  if (!values.length) return null;
+  const major = Math.round(values[0] * 10) / 10;
+  const minor = Math.round((values[1] || values[0]) * 10) / 10;
+  return [major, minor];
+};
+
+// 평균 표면 밝기 (등급/제곱분) - 타원 면적으로 나눈 밝기
+const surfaceBrightness = (mag, size) => {
+  if (mag === null || !size) return null;
+  const area = (Math.PI / 4) * size[0] * size[1];
+  return Math.round((mag + 2.5 * Math.log10(area)) * 10) / 10;
+};
+
+const messierNumber = (desig) => {
+  const match = String(desig || "").match(/^M\s*(\d+)$/);
+  return match ? Number(match[1]) : null;
+};
+
+const build = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.data) {
+    console.error("--data (d3-celestial data 디렉터리)가 필요합니다");
+    process.exit(1);
+  }
+  const limit = args.limit ? Number(args.limit) : DEFAULT_LIMIT;
+
+  const dsos = readJson(path.join(args.data, "dsos.14.json"));
+  const messier = readJson(path.join(args.data, "messier.json"));
+  const names = readJson(path.join(args.data, "dsonames.json"));
+
+  const caldwellById = new Map();
+  Object.entries(CALDWELL).forEach(([number, ids]) =>
+    ids.forEach((id) => caldwellById.set(id, Number(number)))
+  );
+
+  // 이름 - 한국어 이름이 표기와 같으면 저장하지 않음
+  const nameOf = (id) => {
+    const entry = names[id];
+    if (!entry) return {};
+    const ko = KO_NAME_FIXES[entry.ko] || entry.ko;
+    return {
+      name: entry.name || undefined,
+      ko: ko && ko !== id ? ko : undefined,
+    };
+  };
+
+  const objects = new Map();
+  dsos.features.forEach((feature) => {
+    const id = feature.id;
+    const props = feature.properties;
+    const m = messierNumber(props.desig);
+    const c = caldwellById.get(id);
+    const mag = parseMag(props.mag);
+    const { name, ko } = nameOf(id);
+
+    const isCatalog = /^(NGC|IC) \d+$/.test(id);
+    const bright = mag !== null && mag <= limit;
+    if (!m && !c && !(isCatalog && (bright || name))) return;
+
+    const [ra, dec] = toRaDec(feature.geometry.coordinates);
+    const size = parseSize(props.dim);
+    objects.set(id, {
+      id,
+      messier: m || undefined,
+      caldwell: c,
+      name,
+      ko,
+      type: props.type,
+      ra,
+      dec,
+      mag,
+      size,
+      sb: surfaceBrightness(mag, size),
+    });
+  });
+
+  // dsos.14.json 에 없는 메시에 천체 (M24, M40, M102 등) - NGC·IC 번호가 있으면 그 표기로
+  const found = new Set(
+    [...objects.values()].map((object) => object.messier).filter(Boolean)
+  );
+  messier.features.forEach((feature) => {
+    const props = feature.properties;
+    const m = messierNumber(props.name);
+    if (found.has(m)) return;
+    const catalog = String(props.desig).match(/^(NGC|IC) \d+/);
+    const id = catalog ? catalog[0] : `M ${m}`;
+    const [ra, dec] = toRaDec(feature.geometry.coordinates);
+    const mag = parseMag(props.mag);
+    const size = parseSize(props.dim);
+    const { name, ko } = nameOf(id);
+    objects.set(id, {
+      id,
+      messier: m,
+      name: name || props.alt || undefined,
+      ko,
+      type: props.type,
+      ra,
+      dec,
+      mag,
+      size,
+      sb: surfaceBrightness(mag, size),
+    });
+  });
+
+  // dsos.14.json 에 없는 콜드웰 천체 보충
+  caldwellById.forEach((c, id) => {
+    const fallback = CALDWELL_FALLBACK[id];
+    if (objects.has(id) || !fallback) return;
+    const size = parseSize(fallback.dim);
+    const { name, ko } = nameOf(id);
+    objects.set(id, {
+      id,
+      caldwell: c,
+      name,
+      ko,
+      type: fallback.type,
+      ra: fallback.ra,
+      dec: fallback.dec,
+      mag: fallback.mag,
+      size,
+      sb: surfaceBrightness(fallback.mag, size),
+    });
+  });
+
+  // 콜드웰 목록은 모두 있어야 함
+  const missingCaldwell = [...caldwellById.keys()].filter(
+    (id) => !objects.has(id)
+  );
+  if (missingCaldwell.length) {
+    console.error(`찾지 못한 콜드웰 천체: ${missingCaldwell.join(", ")}`);
+    process.exit(1);
+  }
+
+  const list = [...objects.values()].sort(
+    (a, b) => (a.mag ?? 99) - (b.mag ?? 99)
+  );
+  fs.writeFileSync(
+    path.join(ASSETS_DIR, "deepsky.json"),
+    JSON.stringify({ version: 1, limit, objects: list })
+  );
+  console.log(`딥스카이 천체 ${list.length}개 저장 완료`);
+};
+
+build();
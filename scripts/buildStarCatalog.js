@@ -0,0 +1,315 @@
+// HYG v3 항성 목록(CSV)을 앱에 번들되는 압축 카탈로그로 변환하는 스크립트
+//
+// 사용법:
+//   node scripts/buildStarCatalog.js --hyg hygdata_v3.csv [--names starnames.json]
+//   node scripts/buildStarCatalog.js --xhip stars.14.json --names starnames.json
+//
+// --hyg   : https://github.com/astronexus/HYG-Database 의 hygdata_v3.csv
+// --xhip  : HYG CSV를 구할 수 없을 때 쓰는 Hipparcos(XHIP) GeoJSON (d3-celestial data/stars.14.json)
+// --names : HIP 번호를 키로 하는 다국어 이름 (d3-celestial data/starnames.json)
+//
+// 출력 (assets/catalog):
+//   index.json    : 등급 구간 정보, 값 배율, 이름 색인 (앱 시작 시 로드)
+//   stars.N.json  : 등급 구간별 열(column) 배열, 밝은 별부터 정렬 (필요할 때 로드)
+const fs = require("fs");
+const path = require("path");
+
+const OUT_DIR = path.join(__dirname, "..", "assets", "catalog");
+
+// 등급 구간 경계 (상한값). 마지막 구간은 나머지 전부
+const TIER_LIMITS = [6.5, 8, Infinity];
+
+// 정수로 저장할 때의 배율
+const SCALE = {
+  ra: 1e5, // 시간
+  dec: 1e4, // 도
+  mag: 100,
+  ci: 1000, // B-V 색지수
+  dist: 100, // 파섹
+  pmra: 100, // mas/yr
+  pmdec: 100, // mas/yr
+};
+
+const INT_COLUMNS = ["hyg", "hip", "hd", "hr"];
+const SCALED_COLUMNS = Object.keys(SCALE);
+const STRING_COLUMNS = ["spect"];
+
+/*-------------- 인자 처리 -------------- */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const toInt = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = String(value).match(/\d+/);
+  return match ? Number(match[0]) : null;
+};
+
+/*-------------- HYG CSV 읽기 -------------- */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+};
+
+const readHyg = (file) => {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const header = splitCsvLine(lines[0]);
+  const stars = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const cells = splitCsvLine(lines[i]);
+    const row = {};
+    header.forEach((key, idx) => (row[key] = cells[idx]));
+
+    // id 0 은 태양 - 태양계 천체는 StarData.js 에서 따로 계산
+    if (row.id === "0") continue;
+
+    const mag = toNumber(row.mag);
+    const ra = toNumber(row.ra);
+    const dec = toNumber(row.dec);
+    if (mag === null || ra === null || dec === null) continue;
+
+    const dist = toNumber(row.dist);
+    stars.push({
+      hyg: toInt(row.id),
+      hip: toInt(row.hip),
+      hd: toInt(row.hd),
+      hr: toInt(row.hr),
+      gl: row.gl || "",
+      proper: row.proper || "",
+      bayer: row.bayer || "",
+      flam: row.flam || "",
+      con: row.con || "",
+      ra,
+      dec,
+      mag,
+      ci: toNumber(row.ci),
+      // HYG는 거리를 모를 때 100000 pc 로 표기
+      dist: dist !== null && dist < 100000 ? dist : null,
+      pmra: toNumber(row.pmra),
+      pmdec: toNumber(row.pmdec),
+      spect: row.spect || "",
+    });
+  }
+  return stars;
+};
+
+/*-------------- XHIP GeoJSON 읽기 -------------- */
+const readXhip = (file) => {
+  const { features } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return features.map((f) => {
+    const [lon, lat] = f.geometry.coordinates;
+    return {
+      hyg: null,
+      hip: toInt(f.id),
+      hd: null,
+      hr: null,
+      gl: "",
+      proper: "",
+      bayer: "",
+      flam: "",
+      con: "",
+      ra: ((lon + 360) % 360) / 15,
+      dec: lat,
+      mag: toNumber(f.properties.mag),
+      ci: toNumber(f.properties.bv),
+      dist: null,
+      pmra: null,
+      pmdec: null,
+      spect: "",
+    };
+  });
+};
+
+/*-------------- 다국어 이름 병합 -------------- */
+const BAYER_LETTERS = {
+  α: "Alp",
+  β: "Bet",
+  γ: "Gam",
+  δ: "Del",
+  ε: "Eps",
+  ζ: "Zet",
+  η: "Eta",
+  θ: "The",
+  ι: "Iot",
+  κ: "Kap",
+  λ: "Lam",
+  μ: "Mu",
+  ν: "Nu",
+  ξ: "Xi",
+  ο: "Omi",
+  π: "Pi",
+  ρ: "Rho",
+  σ: "Sig",
+  τ: "Tau",
+  υ: "Ups",
+  φ: "Phi",
+  χ: "Chi",
+  ψ: "Psi",
+  ω: "Ome",
+};
+
+const mergeNames = (stars, file) => {
+  const names = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byHip = new Map(stars.filter((s) => s.hip).map((s) => [s.hip, s]));
+
+  Object.entries(names).forEach(([hip, entry]) => {
+    const star = byHip.get(Number(hip));
+    if (!star) return;
+    star.proper = star.proper || entry.name || "";
+    star.ko = entry.ko || "";
+    star.con = star.con || entry.c || "";
+    star.flam = star.flam || entry.flam || "";
+    star.gl = star.gl || entry.gl || "";
+    star.hd = star.hd || toInt(entry.hd);
+    // starnames 는 그리스 문자, HYG 는 약어(Alp) 사용 → HYG 형식으로 통일
+    if (!star.bayer && entry.bayer) {
+      const letter = entry.bayer[0];
+      star.bayer = BAYER_LETTERS[letter]
+        ? BAYER_LETTERS[letter] + entry.bayer.slice(1)
+        : entry.bayer;
+    }
+  });
+};
+
+/*-------------- 출력 -------------- */
+const encodeTier = (stars) => {
+  const columns = {};
+  INT_COLUMNS.forEach((key) => {
+    if (stars.some((s) => s[key])) columns[key] = stars.map((s) => s[key] || 0);
+  });
+  SCALED_COLUMNS.forEach((key) => {
+    if (stars.some((s) => s[key] !== null)) {
+      columns[key] = stars.map((s) =>
+        s[key] === null ? null : Math.round(s[key] * SCALE[key])
+      );
+    }
+  });
+  STRING_COLUMNS.forEach((key) => {
+    if (stars.some((s) => s[key])) columns[key] = stars.map((s) => s[key]);
+  });
+  return { count: stars.length, columns };
+};
+
+// StarData.makeStar 가 읽는 열 - HYG 로 만든 카탈로그에는 모두 있어야 함
+const REQUIRED_COLUMNS = ["hip", "hd", "hr", "spect", "pmra", "pmdec", "dist"];
+
+const checkColumns = (stars, strict) => {
+  const missing = REQUIRED_COLUMNS.filter(
+    (key) => !stars.some((s) => s[key] !== null && s[key] !== "")
+  );
+  if (!missing.length) return;
+  const message = `없는 열: ${missing.join(", ")}`;
+  if (strict) {
+    console.error(`${message} - HYG v3 CSV 가 맞는지 확인하세요`);
+    process.exit(1);
+  }
+  console.warn(`${message} (XHIP 입력에는 없는 값)`);
+};
+
+const isNamed = (star) =>
+  star.proper || star.ko || star.bayer || star.flam || star.gl;
+
+const build = () => {
+  const args = parseArgs(process.argv.slice(2));
+  let stars;
+  if (args.hyg) stars = readHyg(args.hyg);
+  else if (args.xhip) stars = readXhip(args.xhip);
+  else {
+    console.error("--hyg 또는 --xhip 입력 파일이 필요합니다");
+    process.exit(1);
+  }
+  if (args.names) mergeNames(stars, args.names);
+
+  stars = stars.filter((s) => s.mag !== null).sort((a, b) => a.mag - b.mag);
+  checkColumns(stars, Boolean(args.hyg));
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  const tiers = [];
+  const names = [];
+  let start = 0;
+  TIER_LIMITS.forEach((limit, tier) => {
+    let end = start;
+    while (end < stars.length && stars[end].mag < limit) end++;
+    const slice = stars.slice(start, end);
+    start = end;
+
+    fs.writeFileSync(
+      path.join(OUT_DIR, `stars.${tier}.json`),
+      JSON.stringify(encodeTier(slice))
+    );
+    tiers.push({
+      count: slice.length,
+      minMag: slice.length ? slice[0].mag : null,
+      maxMag: slice.length ? slice[slice.length - 1].mag : null,
+    });
+
+    // 이름 색인: [구간, 행, 고유명, 한글명, 바이어, 플램스티드, 별자리, 글리제]
+    slice.forEach((s, row) => {
+      if (!isNamed(s)) return;
+      names.push([
+        tier,
+        row,
+        s.proper,
+        s.ko || "",
+        s.bayer,
+        s.flam,
+        s.con,
+        s.gl,
+      ]);
+    });
+  });
+
+  // 실제로 쓴 열의 배율만 기록 (XHIP 입력에는 거리·고유운동이 없음)
+  const scale = {};
+  SCALED_COLUMNS.forEach((key) => {
+    if (stars.some((s) => s[key] !== null)) scale[key] = SCALE[key];
+  });
+
+  fs.writeFileSync(
+    path.join(OUT_DIR, "index.json"),
+    JSON.stringify({ version: 1, scale, tiers, names })
+  );
+  console.log(
+    `항성 ${stars.length}개 (${tiers.map((t) => t.count).join(" / ")}), 이름 ${
+      names.length
+    }개 저장 완료`
+  );
+};
+
+build();